@@ -1,30 +1,201 @@
 #!/usr/bin/env node
 
-const { extractText } = require('../lib/extractors.js');
-const { SpeedReader } = require('../lib/display.js');
+const { extractDocument } = require('../lib/extractors.js');
+const { SpeedReader, isOrpTable, parseWords } = require('../lib/display.js');
 const { loadConfig, saveConfig } = require('../lib/config.js');
 const { generateQuestions, distributeQuestions } = require('../lib/questions.js');
-const { detectProvider, scoreTokens, supportsLogprobs, estimateSapCost } = require('../lib/llm.js');
+const { detectProvider, PROVIDERS, scoreTokens, supportsLogprobs, checkScoringSetup, getRateLimits, estimateSapCost } = require('../lib/llm.js');
+const fs = require('fs');
 const readline = require('readline');
-const { processText, computeDurations, DEFAULT_PARAMS } = require('../lib/sap.js');
+const { processText, computeDurations, formatSapDebug, resolveNormalization, NORMALIZATION_MODES, DEFAULT_PARAMS } = require('../lib/sap.js');
 const { getCache, setCache } = require('../lib/cache.js');
+const { getRangeId, loadPosition, savePosition, clearPosition, getReplayStart } = require('../lib/resume.js');
+const { detectLanguage } = require('../lib/segment.js');
+const { resolveTheme, detectColorDepth } = require('../lib/theme.js');
+const { buildKeymap } = require('../lib/keys.js');
+const { parseHudFields, formatSummary } = require('../lib/hud.js');
+const { resolvePacing } = require('../lib/pacing.js');
+const { processTextLocally } = require('../lib/local.js');
+const { resolveSchedule } = require('../lib/scheduler.js');
+const { createEntry, appendHistory, readHistory, summarizeHistory, formatStats } = require('../lib/history.js');
+const {
+  HEAT_SCALES,
+  analyzeDurations,
+  heatLevels,
+  summarizeAnalysis,
+  formatAnalysis,
+  renderHeatmap,
+  heatLegend,
+  renderHtml,
+} = require('../lib/analyze.js');
 const { version } = require('../package.json');
 
+// Chunks listed when some could not be scored
+const MAX_REPORTED_FAILURES = 10;
+
+/**
+ * Write the --sap-debug dump: each word with its tokens, bits and duration
+ * under each normalization mode
+ * @param {string} file
+ * @param {object} result - From processText() or processTextLocally()
+ * @param {object} params - SAP parameters
+ */
+function writeSapDebug(file, result, params) {
+  fs.writeFileSync(file, formatSapDebug(result, params).join('\n') + '\n', 'utf-8');
+  console.log(`Wrote the pacing of each word to ${file}.`);
+}
+
+/**
+ * Cached LLM analysis of a text, if it was segmented in the same language
+ * @param {string} text
+ * @param {string|null} lang
+ * @returns {{items: Array, surprisalBits: Array<number>}|null}
+ */
+function getCachedAnalysis(text, lang) {
+  const cached = getCache(text);
+  return cached && cached.items && cached.surprisalBits && (cached.lang ?? null) === lang ? cached : null;
+}
+
+/**
+ * Surprisal and duration of each word, for --auto and srit analyze: an
+ * offline estimate, the cached analysis, or LLM scoring after a cost check
+ * @param {string} text
+ * @param {object} options - From parseArgs()
+ * @param {object} config
+ * @param {object} sapParams - SAP parameters (see sap.js)
+ * @param {object} [out] - Stream for progress messages
+ * @returns {Promise<{items: Array, surprisalBits: Array<number>, durations: Array<number>}>}
+ */
+async function analyzeText(text, options, config, sapParams, out = process.stdout) {
+  const say = (message) => out.write(`${message}\n`);
+
+  if (options.provider === 'local') {
+    // Offline estimate, quick enough not to be cached
+    const localResult = processTextLocally(text, sapParams);
+    if (!localResult.lexiconLang) {
+      say('No word frequency data for this language (available: English, French), pacing from word shape only.');
+    }
+    if (options.sapDebug) {
+      writeSapDebug(options.sapDebug, localResult, sapParams);
+    }
+    say(`Estimated the difficulty of ${localResult.items.length} words offline.`);
+    return localResult;
+  }
+
+  // Check cache first (items depend on the language used to segment the
+  // text); the cache has no tokens for --sap-debug
+  const cached = options.sapDebug ? null : getCachedAnalysis(text, sapParams.lang);
+  if (cached) {
+    say('Using cached semantic analysis...');
+    // Recompute durations with current params (in case gamma changed)
+    const durations = computeDurations(cached.items, cached.surprisalBits, sapParams);
+    say(`Loaded ${cached.items.length} words from cache.`);
+    return { items: cached.items, surprisalBits: cached.surprisalBits, durations };
+  }
+
+  // Requests in flight and rate limits: the provider's, then the user's
+  const providerName = options.provider || detectProvider()?.provider;
+  const schedule = resolveSchedule(
+    getRateLimits(providerName),
+    (config.rateLimits || {})[providerName],
+    options.concurrency ? { concurrency: options.concurrency } : null
+  );
+
+  // Estimate cost before processing
+  const costEstimate = estimateSapCost(text, {
+    provider: options.provider,
+    model: options.model,
+  }, sapParams);
+
+  say(`Estimated cost: up to $${costEstimate.cost.toFixed(4)} (${costEstimate.inputTokens} input + ${costEstimate.outputTokens} output tokens, model: ${costEstimate.model})`);
+
+  if (costEstimate.cost > options.maxCost) {
+    // Nobody to ask without a terminal
+    if (!process.stdin.isTTY) {
+      throw new Error(`Cost exceeds $${options.maxCost.toFixed(2)} threshold (raise it with --max-cost)`);
+    }
+    const confirmed = await confirm(`Cost exceeds $${options.maxCost.toFixed(2)} threshold. Continue?`);
+    if (!confirmed) {
+      say('Aborted.');
+      process.exit(0);
+    }
+  }
+
+  say('Analyzing text for semantic adaptive pacing...');
+
+  // Create scoring function for LLM
+  const scoreFn = async (contextText, chunkText) => {
+    return scoreTokens(contextText, chunkText, {
+      provider: options.provider,
+      model: options.model,
+    });
+  };
+
+  let lastProgress = -1;
+  const onProgress = (current, total) => {
+    const percent = Math.round((current / total) * 100);
+    if (percent !== lastProgress && percent % 10 === 0) {
+      out.write(`\rProcessing: ${percent}%`);
+      lastProgress = percent;
+    }
+  };
+
+  const sapResult = await processText(text, scoreFn, sapParams, onProgress, schedule);
+  out.write('\r');
+
+  // Cache the result (items and surprisalBits, not durations), unless
+  // some chunks are missing: the next run scores them again
+  const { failures } = sapResult;
+  if (failures.length === 0) {
+    setCache(text, {
+      items: sapResult.items,
+      surprisalBits: sapResult.surprisalBits,
+      lang: sapParams.lang,
+    });
+  } else {
+    say(`Warning: ${failures.length} chunk${failures.length === 1 ? '' : 's'} could not be scored (uniform pacing there, result not cached):`);
+    for (const failure of failures.slice(0, MAX_REPORTED_FAILURES)) {
+      const reason = failure.error.message.split('\n')[0].slice(0, 120);
+      say(`  Words ${failure.startItem + 1}-${failure.endItem}, after ${failure.attempts} attempt${failure.attempts === 1 ? '' : 's'}: ${reason}`);
+    }
+    if (failures.length > MAX_REPORTED_FAILURES) {
+      say(`  ... and ${failures.length - MAX_REPORTED_FAILURES} more`);
+    }
+  }
+
+  // Scored from the text's own tokens, not from what a model made of it
+  const faithful = Math.floor(sapResult.faithfulFraction * 1000) / 10;
+  say(`Scored ${faithful}% of the text faithfully${faithful < 100 ? ' (the rest keeps the base speed)' : ''}.`);
+
+  if (options.sapDebug) {
+    writeSapDebug(options.sapDebug, sapResult, sapParams);
+  }
+
+  say(`Processed ${sapResult.items.length} words.`);
+  return sapResult;
+}
+
 /**
  * Prompt user for confirmation
  * @param {string} message - The prompt message
+ * @param {boolean} defaultYes - Answer when the user just presses Enter
  * @returns {Promise<boolean>} - True if user confirmed
  */
-async function confirm(message) {
+async function confirm(message, defaultYes = false) {
   const rl = readline.createInterface({
     input: process.stdin,
     output: process.stdout,
   });
 
   return new Promise((resolve) => {
-    rl.question(`${message} [y/N] `, (answer) => {
+    rl.question(`${message} ${defaultYes ? '[Y/n]' : '[y/N]'} `, (answer) => {
       rl.close();
-      resolve(answer.toLowerCase() === 'y' || answer.toLowerCase() === 'yes');
+      const normalized = answer.trim().toLowerCase();
+      if (normalized === '') {
+        resolve(defaultYes);
+      } else {
+        resolve(normalized === 'y' || normalized === 'yes');
+      }
     });
   });
 }
@@ -33,6 +204,7 @@ function parseArgs(args) {
   const options = {
     source: null,
     demo: false,
+    restart: false,
     check: false,
     auto: false,
     questions: 10,
@@ -42,6 +214,18 @@ function parseArgs(args) {
     gamma: null,
     targetWpm: null,
     maxCost: 1.0, // Default $1 threshold
+    concurrency: null,
+    sapDebug: null,
+    normalize: null,
+    pages: null,
+    section: null,
+    chunk: null,
+    lang: null,
+    orp: null,
+    guides: false,
+    bigText: false,
+    hud: false,
+    theme: null,
   };
 
   for (let i = 0; i < args.length; i++) {
@@ -49,6 +233,8 @@ function parseArgs(args) {
 
     if (arg === '--demo') {
       options.demo = true;
+    } else if (arg === '--restart') {
+      options.restart = true;
     } else if (arg === '--check') {
       options.check = true;
     } else if (arg === '--auto') {
@@ -71,7 +257,7 @@ function parseArgs(args) {
     } else if (arg === '--provider') {
       options.provider = args[++i];
       if (!options.provider) {
-        throw new Error('--provider requires a provider name (openai, anthropic, gemini)');
+        throw new Error('--provider requires a provider name (openai, anthropic, gemini, ollama, completions, local)');
       }
     } else if (arg === '--gamma') {
       options.gamma = parseFloat(args[++i]);
@@ -88,6 +274,61 @@ function parseArgs(args) {
       if (isNaN(options.maxCost) || options.maxCost < 0) {
         throw new Error('--max-cost requires a non-negative number');
       }
+    } else if (arg === '--concurrency') {
+      options.concurrency = parseInt(args[++i], 10);
+      if (isNaN(options.concurrency) || options.concurrency < 1 || options.concurrency > 64) {
+        throw new Error('--concurrency requires a number between 1 and 64');
+      }
+    } else if (arg === '--sap-debug') {
+      options.sapDebug = args[++i];
+      if (!options.sapDebug) {
+        throw new Error('--sap-debug requires a file to write to');
+      }
+      options.auto = true;
+    } else if (arg === '--normalize') {
+      options.normalize = args[++i];
+      if (!NORMALIZATION_MODES.includes(options.normalize)) {
+        throw new Error(`--normalize requires a mode (${NORMALIZATION_MODES.join(', ')})`);
+      }
+    } else if (arg === '--chunk') {
+      options.chunk = parseInt(args[++i], 10);
+      if (isNaN(options.chunk) || options.chunk < 1 || options.chunk > 5) {
+        throw new Error('--chunk requires a number between 1 and 5');
+      }
+    } else if (arg === '--pages') {
+      const match = (args[++i] || '').match(/^(\d+)(?:-(\d+))?$/);
+      const from = match ? parseInt(match[1], 10) : 0;
+      const to = match && match[2] ? parseInt(match[2], 10) : from;
+      if (from < 1 || to < from) {
+        throw new Error('--pages requires a page or page range (e.g. 40 or 40-62)');
+      }
+      options.pages = { from, to };
+    } else if (arg === '--section') {
+      options.section = args[++i];
+      if (!options.section) {
+        throw new Error('--section requires a heading');
+      }
+    } else if (arg === '--orp') {
+      options.orp = args[++i];
+      if (!['median', 'spritz', 'custom'].includes(options.orp)) {
+        throw new Error('--orp requires a strategy (median, spritz, custom)');
+      }
+    } else if (arg === '--guides') {
+      options.guides = true;
+    } else if (arg === '--big') {
+      options.bigText = true;
+    } else if (arg === '--hud') {
+      options.hud = true;
+    } else if (arg === '--theme') {
+      options.theme = args[++i];
+      if (!options.theme) {
+        throw new Error('--theme requires a theme name (default, high-contrast, colorblind)');
+      }
+    } else if (arg === '--lang') {
+      options.lang = args[++i];
+      if (!/^[a-z]{2,3}(-[a-z0-9]+)*$/i.test(options.lang || '')) {
+        throw new Error('--lang requires a language code (e.g. zh, ja, th)');
+      }
     } else if (!arg.startsWith('-')) {
       options.source = arg;
     }
@@ -96,23 +337,195 @@ function parseArgs(args) {
   return options;
 }
 
+/**
+ * srit stats: totals and trends from the reading history
+ * @param {Array<string>} args - Arguments after "stats"
+ */
+function runStats(args) {
+  const config = loadConfig();
+  let goal = config.dailyGoal || 0;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--goal') {
+      goal = parseInt(args[++i], 10);
+      if (isNaN(goal) || goal < 0) {
+        throw new Error('--goal requires a number of words per day (0 for none)');
+      }
+    } else {
+      throw new Error(`Unknown stats option: ${args[i]}`);
+    }
+  }
+
+  for (const line of formatStats(summarizeHistory(readHistory(), { goal }))) {
+    console.log(line);
+  }
+}
+
+/**
+ * srit analyze: the text colored by surprisal or planned duration, the
+ * predicted reading time and the hardest passages. Works without a
+ * terminal: progress goes to stderr, and colors are left out when the
+ * output is not a terminal.
+ * @param {Array<string>} args - Arguments after "analyze"
+ */
+async function runAnalyze(args) {
+  let html = null;
+  let by = 'duration';
+  const rest = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--html') {
+      html = args[++i];
+      if (!html) {
+        throw new Error('--html requires a file to write to');
+      }
+    } else if (args[i] === '--by') {
+      by = args[++i];
+      if (!HEAT_SCALES.includes(by)) {
+        throw new Error(`--by requires a scale (${HEAT_SCALES.join(', ')})`);
+      }
+    } else {
+      rest.push(args[i]);
+    }
+  }
+
+  const options = parseArgs(rest);
+  if (!options.source) {
+    throw new Error('analyze requires a document: srit analyze [options] <file|url|->');
+  }
+
+  const { text } = await extractDocument(options.source, {
+    pages: options.pages,
+    section: options.section,
+  });
+  if (!text || text.trim().length === 0) {
+    throw new Error('No text content found');
+  }
+
+  const config = loadConfig();
+  const lang = options.lang || detectLanguage(text);
+  const sapParams = {
+    target_wpm: options.targetWpm ?? config.targetWpm ?? DEFAULT_PARAMS.target_wpm,
+    gamma: options.gamma ?? config.gamma ?? DEFAULT_PARAMS.gamma,
+    lang,
+    pacing: resolvePacing(config.pacing),
+    ...resolveNormalization(options.normalize || config.normalization, config.normalizationWindow),
+  };
+
+  // A provider is only needed when there is no analysis to reuse
+  if (options.provider !== 'local' && (options.sapDebug || !getCachedAnalysis(text, lang))) {
+    checkProvider({ ...options, auto: true });
+  }
+  const { items, surprisalBits } = await analyzeText(text, options, config, sapParams, process.stderr);
+
+  const analysis = analyzeDurations(items, surprisalBits, sapParams);
+  const scale = heatLevels(surprisalBits, analysis, by);
+  const summary = summarizeAnalysis(items, surprisalBits, analysis, sapParams);
+  const depth = process.stdout.isTTY || process.env.FORCE_COLOR !== undefined ? detectColorDepth(process.env) : 1;
+
+  console.log(renderHeatmap(text, items, scale.levels, depth).trimEnd());
+  console.log('');
+  console.log(heatLegend(scale, depth));
+  console.log('');
+  for (const line of formatAnalysis(text, items, summary)) {
+    console.log(line);
+  }
+
+  if (html) {
+    const title = options.source === '-' ? 'stdin' : options.source;
+    fs.writeFileSync(html, renderHtml({ title, text, items, surprisalBits, analysis, scale, summary }), 'utf-8');
+    console.log('');
+    console.log(`Wrote the heatmap to ${html}.`);
+  }
+}
+
+/**
+ * Check that --auto and --check have a provider that can serve them, and
+ * an API key if it needs one; exits with an error otherwise
+ * @param {object} options - From parseArgs()
+ */
+function checkProvider(options) {
+  // The local scorer only estimates word difficulty, it cannot write questions
+  const isLocal = options.provider === 'local';
+  if (isLocal && options.check) {
+    console.error('Error: --check requires an LLM provider (--provider local only works with --auto).');
+    process.exit(1);
+  }
+
+  // Check for API key if --check or --auto mode (Ollama and the local scorer don't need one)
+  if ((options.check || options.auto) && !isLocal) {
+    const detected = detectProvider();
+    // Ollama and completions servers run without a key
+    const isKeyless = Boolean(PROVIDERS[options.provider]?.noApiKey);
+
+    if (!detected && !options.provider) {
+      console.error(`Error: --${options.auto ? 'auto' : 'check'} requires an LLM provider.`);
+      console.error(`Set OPENAI_API_KEY, ANTHROPIC_API_KEY, GEMINI_API_KEY, or use --provider ollama${options.auto ? ' or --provider local' : ''}.`);
+      process.exit(1);
+    }
+
+    // For --auto, check that provider supports logprobs
+    if (options.auto) {
+      const providerName = options.provider || detected?.provider;
+      if (!supportsLogprobs(providerName)) {
+        console.error(`Error: --auto requires a provider with logprobs support (OpenAI, Gemini, Ollama, or completions).`);
+        console.error(`Provider '${providerName}' does not support token logprobs.`);
+        process.exit(1);
+      }
+
+      // Missing server URLs, keys or models would otherwise fail every chunk
+      try {
+        checkScoringSetup(providerName, options);
+      } catch (err) {
+        console.error(`Error: ${err.message}`);
+        process.exit(1);
+      }
+    }
+
+    // Skip API key check for Ollama and completions servers
+    if (!isKeyless && !detected) {
+      // This is for --check mode with explicit non-ollama provider but no key
+      console.error(`Error: Provider '${options.provider}' requires an API key.`);
+      process.exit(1);
+    }
+  }
+}
+
 function printUsage() {
   console.error('Usage: srit [options] <file|url|->');
+  console.error('       srit stats [--goal N]   Reading history: totals, speed trend, daily goal');
+  console.error('       srit analyze [--by duration|bits] [--html FILE] [options] <file|url|->');
+  console.error('                               Surprisal heatmap, predicted reading time, hardest passages');
   console.error('');
   console.error('Options:');
   console.error('  --auto               Enable semantic adaptive pacing (OpenAI/Gemini/Ollama)');
   console.error('  --gamma N            Slowdown intensity for --auto (0.0-2.0, default: 0.6)');
   console.error('  --target-wpm N       Target WPM for --auto mode (default: 360)');
   console.error('  --max-cost N         Max cost in USD before confirmation (default: 1.0)');
+  console.error('  --concurrency N      Scoring requests in flight for --auto (default: per provider)');
+  console.error('  --normalize MODE     Surprisal compared over: window, section or global (default: global)');
+  console.error('  --sap-debug FILE     Score the text again (--auto) and write each word with its');
+  console.error('                       tokens, surprisal and duration in each --normalize mode to FILE');
   console.error('  --check              Enable comprehension check mode');
   console.error('  --questions N        Number of questions (default: 10)');
   console.error('  --frequency N        Average words between questions');
-  console.error('  --provider NAME      LLM provider (openai, anthropic, gemini, ollama)');
+  console.error('  --provider NAME      LLM provider (openai, anthropic, gemini, ollama), completions for an');
+  console.error('                       OpenAI-compatible server at COMPLETIONS_URL (--auto), or local');
+  console.error('                       for offline --auto pacing from word frequencies');
   console.error('  --model NAME         LLM model to use');
+  console.error('  --chunk N            Show phrases of up to N words (1-5, default: 1)');
+  console.error('  --pages N[-M]        Read only these pages (PDF)');
+  console.error('  --section HEADING    Read only the section under a heading (markdown, DOCX)');
+  console.error('  --orp NAME           Fixation letter: median, spritz, custom (default: median)');
+  console.error('  --guides             Show guide marks above and below the fixation letter');
+  console.error('  --big                Draw words with big block letters (reading from a distance)');
+  console.error('  --hud                Show time remaining, words read, elapsed time and chapter');
+  console.error('  --theme NAME         Color theme: default, high-contrast, colorblind');
+  console.error('  --lang CODE          Language of the text (default: detected), e.g. zh, ja, th');
+  console.error('  --restart            Start from the beginning instead of offering to resume');
   console.error('  --demo               Demo mode (fast, limited words)');
   console.error('  -v, --version        Show version number');
   console.error('');
-  console.error('Supported formats: txt, md, pdf, doc, docx');
+  console.error('Supported formats: txt, md, html, pdf, doc, docx, epub');
   console.error('Use - to read from stdin');
 }
 
@@ -124,6 +537,26 @@ async function main() {
     process.exit(0);
   }
 
+  if (args[0] === 'stats') {
+    try {
+      runStats(args.slice(1));
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (args[0] === 'analyze') {
+    try {
+      await runAnalyze(args.slice(1));
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+    return;
+  }
+
   let options;
   try {
     options = parseArgs(args);
@@ -143,37 +576,14 @@ async function main() {
     process.exit(1);
   }
 
-  // Check for API key if --check or --auto mode (Ollama doesn't need one)
-  if (options.check || options.auto) {
-    const detected = detectProvider();
-    const isOllama = options.provider === 'ollama';
-
-    if (!detected && !options.provider) {
-      console.error(`Error: --${options.auto ? 'auto' : 'check'} requires an LLM provider.`);
-      console.error('Set OPENAI_API_KEY, ANTHROPIC_API_KEY, GEMINI_API_KEY, or use --provider ollama.');
-      process.exit(1);
-    }
-
-    // For --auto, check that provider supports logprobs
-    if (options.auto) {
-      const providerName = options.provider || detected?.provider;
-      if (!supportsLogprobs(providerName)) {
-        console.error(`Error: --auto requires a provider with logprobs support (OpenAI, Gemini, or Ollama).`);
-        console.error(`Provider '${providerName}' does not support token logprobs.`);
-        process.exit(1);
-      }
-    }
-
-    // Skip API key check for Ollama
-    if (!isOllama && !detected && options.provider !== 'ollama') {
-      // This is for --check mode with explicit non-ollama provider but no key
-      console.error(`Error: Provider '${options.provider}' requires an API key.`);
-      process.exit(1);
-    }
-  }
+  checkProvider(options);
 
   try {
-    const text = await extractText(options.source);
+    // Only the selected range is read, scored by --auto and asked about by --check
+    const { text, chapters } = await extractDocument(options.source, {
+      pages: options.pages,
+      section: options.section,
+    });
 
     if (!text || text.trim().length === 0) {
       console.error('Error: No text content found');
@@ -185,6 +595,39 @@ async function main() {
       config.wpm = 400;
     }
 
+    // Checked before any analysis, so that a bad setting fails fast
+    const theme = resolveTheme({ ...config, theme: options.theme || config.theme }, detectColorDepth(process.env));
+    const keymap = buildKeymap(config.keys);
+    parseHudFields(config.hud || options.hud);
+    const pacing = resolvePacing(config.pacing);
+    const normalization = resolveNormalization(options.normalize || config.normalization, config.normalizationWindow);
+
+    const orp = options.orp || config.orp;
+    if (orp === 'custom' && !isOrpTable(config.orpTable)) {
+      console.error('Error: the custom fixation strategy needs an "orpTable" of letter positions in ~/.srit.json');
+      process.exit(1);
+    }
+
+    // Languages written without spaces need their words segmented
+    const lang = options.lang || detectLanguage(text);
+
+    // Offer to resume where the previous session stopped (not possible from a pipe)
+    const words = parseWords(text, lang);
+    const canResume = !options.demo && options.source !== '-';
+    const range = getRangeId(options);
+    let startIndex = 0;
+
+    if (canResume && !options.restart) {
+      const saved = loadPosition(options.source, text, words, range);
+      if (saved && saved.index > 0) {
+        const percent = Math.round((saved.index / saved.total) * 100);
+        const edited = saved.exact ? '' : ' (document changed since)';
+        if (await confirm(`Resume at word ${saved.index + 1}/${saved.total} (${percent}%)${edited}?`, true)) {
+          startIndex = getReplayStart(words, saved.index);
+        }
+      }
+    }
+
     let questionPositions = [];
     let sapDurations = null;
     const sapGamma = options.gamma ?? config.gamma ?? DEFAULT_PARAMS.gamma;
@@ -195,63 +638,11 @@ async function main() {
       const sapParams = {
         target_wpm: sapTargetWpm,
         gamma: sapGamma,
+        lang,
+        pacing,
+        ...normalization,
       };
-
-      // Check cache first
-      const cached = getCache(text);
-      if (cached && cached.items && cached.surprisalBits) {
-        console.log('Using cached semantic analysis...');
-        // Recompute durations with current params (in case gamma changed)
-        sapDurations = computeDurations(cached.items, cached.surprisalBits, sapParams);
-        console.log(`Loaded ${cached.items.length} words from cache. Starting...`);
-      } else {
-        // Estimate cost before processing
-        const costEstimate = estimateSapCost(text, {
-          provider: options.provider,
-        }, sapParams);
-
-        console.log(`Estimated cost: $${costEstimate.cost.toFixed(4)} (${costEstimate.inputTokens} input + ${costEstimate.outputTokens} output tokens, model: ${costEstimate.model})`);
-
-        if (costEstimate.cost > options.maxCost) {
-          const confirmed = await confirm(`Cost exceeds $${options.maxCost.toFixed(2)} threshold. Continue?`);
-          if (!confirmed) {
-            console.log('Aborted.');
-            process.exit(0);
-          }
-        }
-
-        console.log('Analyzing text for semantic adaptive pacing...');
-
-        // Create scoring function for LLM
-        const scoreFn = async (contextText, chunkText) => {
-          return scoreTokens(contextText, chunkText, {
-            provider: options.provider,
-            model: options.model,
-          });
-        };
-
-        let lastProgress = -1;
-        const onProgress = (current, total) => {
-          const percent = Math.round((current / total) * 100);
-          if (percent !== lastProgress && percent % 10 === 0) {
-            process.stdout.write(`\rProcessing: ${percent}%`);
-            lastProgress = percent;
-          }
-        };
-
-        const sapResult = await processText(text, scoreFn, sapParams, onProgress);
-
-        // Cache the result (items and surprisalBits, not durations)
-        setCache(text, {
-          items: sapResult.items,
-          surprisalBits: sapResult.surprisalBits,
-        });
-
-        sapDurations = sapResult.durations;
-
-        process.stdout.write('\r');
-        console.log(`Processed ${sapResult.items.length} words. Starting...`);
-      }
+      sapDurations = (await analyzeText(text, options, config, sapParams)).durations;
     }
 
     if (options.check) {
@@ -262,9 +653,6 @@ async function main() {
         model: options.model,
       });
 
-      const { parseWords } = require('../lib/display.js');
-      const words = parseWords(text);
-
       questionPositions = distributeQuestions(words, questions, {
         frequency: options.frequency,
       });
@@ -282,6 +670,17 @@ async function main() {
         durations: sapDurations,
         gamma: sapGamma,
         targetWpm: sapTargetWpm,
+        chapters,
+        startIndex,
+        chunkSize: options.chunk,
+        lang,
+        orp: options.orp,
+        guides: options.guides,
+        bigText: options.bigText,
+        hud: options.hud,
+        theme,
+        keymap,
+        pacing,
       }
     );
 
@@ -300,13 +699,32 @@ async function main() {
 
     const result = await reader.start();
 
-    if (options.check && result) {
+    if (canResume) {
+      if (reader.finished) {
+        clearPosition(options.source, range);
+      } else {
+        savePosition(options.source, text, words, reader.currentIndex, range);
+      }
+    }
+
+    if (!options.demo && config.history !== false) {
+      appendHistory(createEntry({
+        source: options.source,
+        text,
+        startIndex,
+        result,
+        auto: options.auto,
+        check: options.check,
+      }));
+    }
+
+    console.log('');
+    if (options.check && result.total > 0) {
       const percentage = Math.round((result.score / result.total) * 100);
-      const minutes = Math.floor(result.elapsedTime / 60000);
-      const seconds = Math.floor((result.elapsedTime % 60000) / 1000);
-      console.log('');
       console.log(`Score: ${result.score}/${result.total} (${percentage}%)`);
-      console.log(`Time: ${minutes}m ${seconds}s`);
+    }
+    for (const line of formatSummary(result)) {
+      console.log(line);
     }
   } catch (err) {
     console.error(`Error: ${err.message}`);
@@ -0,0 +1,300 @@
+/**
+ * `srit analyze`: the surprisal and planned durations of a document outside
+ * the reader, as a heatmap of the text in the terminal or in a
+ * self-contained HTML page, with the predicted reading time and the
+ * hardest passages.
+ */
+
+const { computeDurations, DEFAULT_PARAMS } = require('./sap.js');
+const { parseColor, colorSequence } = require('./theme.js');
+const { formatDuration } = require('./hud.js');
+
+// What the heat of a word shows
+const HEAT_SCALES = ['duration', 'bits'];
+
+// Heat levels 1 to 4, from warm to hot (level 0 is left as is)
+const HEAT_COLORS = ['#ffd75f', '#ffaf00', '#ff5f00', '#d70000'];
+
+// Slowdown of each level, as a fraction of the largest one (gamma)
+const SLOWDOWN_LEVELS = [0.1, 0.3, 0.55, 0.8];
+
+// Surprisal percentiles of each level
+const BITS_PERCENTILES = [0.5, 0.75, 0.9, 0.97];
+
+// Words of a passage, and passages listed in the summary
+const PASSAGE_WORDS = 25;
+const PASSAGE_COUNT = 5;
+
+// Passages adding less than this fraction of the time the hardest one adds
+// are not worth listing
+const MIN_PASSAGE_SHARE = 0.25;
+
+// Characters of a passage quoted in the summary
+const EXCERPT_LENGTH = 60;
+
+/**
+ * Planned duration of each word, and how much surprisal slows it down
+ * @param {Array} items - RSVP items
+ * @param {Array<number>} surprisalBits - Per-item surprisal in bits
+ * @param {object} params - SAP parameters (gamma, target_wpm, ...)
+ * @returns {{durations: Array<number>, flat: Array<number>, multipliers: Array<number>, gamma: number}} -
+ *   flat has the durations without surprisal (pauses only); multipliers
+ *   go up to 1 + gamma
+ */
+function analyzeDurations(items, surprisalBits, params) {
+  const durations = computeDurations(items, surprisalBits, params);
+  const flat = computeDurations(items, surprisalBits, { ...params, gamma: 0 });
+  return {
+    durations,
+    flat,
+    multipliers: durations.map((ms, i) => ms / flat[i]),
+    gamma: params.gamma ?? DEFAULT_PARAMS.gamma,
+  };
+}
+
+/**
+ * Heat level (0-4) of each word
+ * @param {Array<number>} surprisalBits
+ * @param {object} analysis - From analyzeDurations()
+ * @param {string} by - One of HEAT_SCALES: the slowdown of the word, or
+ *   its surprisal against the rest of the document
+ * @returns {{by: string, thresholds: Array<number>, levels: Array<number>}} -
+ *   thresholds are the values a word must exceed for each level
+ */
+function heatLevels(surprisalBits, analysis, by = 'duration') {
+  let values = analysis.multipliers;
+  let thresholds = SLOWDOWN_LEVELS.map((share) => 1 + share * analysis.gamma);
+  if (by === 'bits') {
+    values = surprisalBits;
+    const sorted = [...surprisalBits].sort((a, b) => a - b);
+    thresholds = BITS_PERCENTILES.map((q) => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))] || 0);
+  }
+  return {
+    by,
+    thresholds,
+    levels: values.map((value) => thresholds.filter((threshold) => value > threshold).length),
+  };
+}
+
+/**
+ * Passages where surprisal adds the most time, without overlap
+ * @param {object} analysis - From analyzeDurations()
+ * @param {number} [size] - Words of a passage
+ * @param {number} [count] - Passages to find
+ * @returns {Array<{start: number, end: number, extraMs: number}>} - Items
+ *   start to end (excluded), in text order
+ */
+function findHardestPassages(analysis, size = PASSAGE_WORDS, count = PASSAGE_COUNT) {
+  const extra = analysis.durations.map((ms, i) => ms - analysis.flat[i]);
+  const width = Math.min(size, extra.length);
+  const windows = [];
+  let sum = 0;
+  for (let i = 0; i < extra.length; i++) {
+    sum += extra[i];
+    if (i >= width) sum -= extra[i - width];
+    if (i >= width - 1) windows.push({ start: i - width + 1, end: i + 1, extraMs: sum });
+  }
+
+  const passages = [];
+  windows.sort((a, b) => b.extraMs - a.extraMs || a.start - b.start);
+  const minExtraMs = windows.length > 0 ? windows[0].extraMs * MIN_PASSAGE_SHARE : 0;
+  for (const candidate of windows) {
+    if (passages.length >= count || candidate.extraMs <= 0 || candidate.extraMs < minExtraMs) break;
+    if (passages.every((p) => candidate.end <= p.start || candidate.start >= p.end)) {
+      passages.push(candidate);
+    }
+  }
+  return passages.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Figures of the analysis summary
+ * @param {Array} items - RSVP items
+ * @param {Array<number>} surprisalBits
+ * @param {object} analysis - From analyzeDurations()
+ * @param {object} params - SAP parameters
+ * @returns {object}
+ */
+function summarizeAnalysis(items, surprisalBits, analysis, params) {
+  const totalMs = analysis.durations.reduce((sum, ms) => sum + ms, 0);
+  const flatMs = analysis.flat.reduce((sum, ms) => sum + ms, 0);
+  const meanBits = (start, end) => surprisalBits.slice(start, end).reduce((sum, b) => sum + b, 0) / Math.max(1, end - start);
+
+  return {
+    words: items.length,
+    gamma: params.gamma,
+    targetWpm: params.target_wpm,
+    totalMs,
+    flatMs,
+    wpm: totalMs > 0 ? Math.round(items.length / (totalMs / 60000)) : null,
+    slowed: analysis.multipliers.filter((m) => m > 1).length,
+    meanBits: meanBits(0, items.length),
+    passages: findHardestPassages(analysis).map((p) => ({ ...p, meanBits: meanBits(p.start, p.end) })),
+  };
+}
+
+/**
+ * Text of a passage on one line, shortened
+ */
+function excerpt(text, items, start, end) {
+  const quoted = text.slice(items[start].startChar, items[end - 1].endChar).replace(/\s+/g, ' ');
+  return quoted.length > EXCERPT_LENGTH ? `${quoted.slice(0, EXCERPT_LENGTH - 3)}...` : quoted;
+}
+
+/**
+ * Reading time and slowdown lines of the summary
+ */
+function overviewLines(summary) {
+  if (summary.words === 0) {
+    return ['No words to analyze.'];
+  }
+
+  const added = summary.flatMs > 0 ? Math.round(((summary.totalMs - summary.flatMs) / summary.flatMs) * 100) : 0;
+  const percent = Math.round((summary.slowed / summary.words) * 100);
+  return [
+    `Predicted reading time: ${formatDuration(summary.totalMs)} for ${summary.words} words (gamma ${summary.gamma}, target ${summary.targetWpm} WPM)`,
+    `Without slowdowns: ${formatDuration(summary.flatMs)}; surprisal adds ${added}%, effective speed ${summary.wpm} WPM`,
+    `Words slowed down: ${summary.slowed} (${percent}%), mean surprisal ${summary.meanBits.toFixed(2)} bits`,
+  ];
+}
+
+/**
+ * Lines of the analysis summary
+ * @param {string} text - Document text
+ * @param {Array} items - RSVP items
+ * @param {object} summary - From summarizeAnalysis()
+ * @returns {Array<string>}
+ */
+function formatAnalysis(text, items, summary) {
+  const lines = overviewLines(summary);
+  if (summary.passages.length > 0) {
+    lines.push('', 'Hardest passages:');
+    for (const p of summary.passages) {
+      const range = `Words ${p.start + 1}-${p.end}`.padEnd(18);
+      lines.push(`  ${range}+${(p.extraMs / 1000).toFixed(1)}s  ${p.meanBits.toFixed(1)} bits/word  "${excerpt(text, items, p.start, p.end)}"`);
+    }
+  }
+  return lines;
+}
+
+/**
+ * The text with each word colored by its heat level. Without colors, the
+ * hottest words (levels 3 and 4) are put in brackets.
+ * @param {string} text - Document text
+ * @param {Array} items - RSVP items
+ * @param {Array<number>} levels - From heatLevels()
+ * @param {number} depth - Color depth (see detectColorDepth())
+ * @returns {string}
+ */
+function renderHeatmap(text, items, levels, depth) {
+  const colors = HEAT_COLORS.map((hex) => colorSequence(parseColor(hex), false, depth));
+  let out = '';
+  let end = 0; // Of the text already copied
+  items.forEach((item, i) => {
+    out += text.slice(end, item.startChar);
+    end = item.endChar;
+    const level = levels[i];
+    if (level === 0) {
+      out += item.text;
+    } else if (depth <= 1) {
+      out += level >= 3 ? `[${item.text}]` : item.text;
+    } else {
+      out += `${colors[level - 1]}${level === 4 ? '\x1b[1m' : ''}${item.text}\x1b[0m`;
+    }
+  });
+  return out + text.slice(end);
+}
+
+/**
+ * What the heat levels mean, on one line
+ * @param {{by: string, thresholds: Array<number>}} scale - From heatLevels()
+ * @param {number} depth - Color depth
+ * @returns {string}
+ */
+function heatLegend(scale, depth) {
+  const format = scale.by === 'bits'
+    ? (t) => `>${t.toFixed(1)} bits`
+    : (t) => `>x${t.toFixed(2)}`;
+  if (depth <= 1) {
+    return `[word]: ${format(scale.thresholds[2])}`;
+  }
+  const levels = scale.thresholds.map((t, i) => `${colorSequence(parseColor(HEAT_COLORS[i]), false, depth)}${format(t)}\x1b[0m`);
+  return `Heat by ${scale.by === 'bits' ? 'surprisal' : 'slowdown'}: ${levels.join('  ')}`;
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Self-contained HTML heatmap: the text with each word shaded by its heat
+ * level, its bits, slowdown and duration on hover, then the summary with
+ * links to the hardest passages
+ * @param {object} page
+ * @param {string} page.title
+ * @param {string} page.text - Document text
+ * @param {Array} page.items - RSVP items
+ * @param {Array<number>} page.surprisalBits
+ * @param {object} page.analysis - From analyzeDurations()
+ * @param {object} page.scale - From heatLevels()
+ * @param {object} page.summary - From summarizeAnalysis()
+ * @returns {string}
+ */
+function renderHtml({ title, text, items, surprisalBits, analysis, scale, summary }) {
+  const passageStarts = new Set(summary.passages.map((p) => p.start));
+  let body = '';
+  let end = 0; // Of the text already copied
+  items.forEach((item, i) => {
+    body += escapeHtml(text.slice(end, item.startChar));
+    end = item.endChar;
+    const tip = `${surprisalBits[i].toFixed(2)} bits, x${analysis.multipliers[i].toFixed(2)}, ${analysis.durations[i]} ms`;
+    const id = passageStarts.has(i) ? ` id="w${i + 1}"` : '';
+    body += `<span${id} class="h${scale.levels[i]}" title="${tip}">${escapeHtml(item.text)}</span>`;
+  });
+  body += escapeHtml(text.slice(end));
+
+  const passages = summary.passages.map((p) =>
+    `<li><a href="#w${p.start + 1}">Words ${p.start + 1}-${p.end}</a>: +${(p.extraMs / 1000).toFixed(1)}s, ${p.meanBits.toFixed(1)} bits/word, &quot;${escapeHtml(excerpt(text, items, p.start, p.end))}&quot;</li>`);
+  const legend = scale.thresholds.map((t, i) =>
+    `<span class="h${i + 1}">${scale.by === 'bits' ? `&gt;${t.toFixed(1)} bits` : `&gt;x${t.toFixed(2)}`}</span>`);
+  const shades = HEAT_COLORS.map((hex, i) => `.h${i + 1} { background: ${hex}${['55', '88', 'bb', 'ff'][i]}; }`);
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)} - srit analysis</title>
+<style>
+body { font-family: Georgia, serif; max-width: 46em; margin: 2em auto; padding: 0 1em; line-height: 1.6; color: #222; }
+header { font-family: sans-serif; font-size: 0.9em; border-bottom: 1px solid #ccc; margin-bottom: 1.5em; }
+.text { white-space: pre-wrap; }
+.text span[title] { cursor: help; }
+.h0 { background: none; }
+${shades.join('\n')}
+.legend span { padding: 0 0.4em; margin-right: 0.3em; }
+</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(title)}</h1>
+${overviewLines(summary).map((line) => `<p>${escapeHtml(line)}</p>`).join('\n')}
+<p class="legend">Heat by ${scale.by === 'bits' ? 'surprisal' : 'slowdown'}: ${legend.join('')}</p>
+${passages.length > 0 ? `<h2>Hardest passages</h2>\n<ol>\n${passages.join('\n')}\n</ol>` : ''}
+</header>
+<div class="text">${body}</div>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  HEAT_SCALES,
+  analyzeDurations,
+  heatLevels,
+  findHardestPassages,
+  summarizeAnalysis,
+  formatAnalysis,
+  renderHeatmap,
+  heatLegend,
+  renderHtml,
+};
@@ -0,0 +1,253 @@
+/**
+ * Large-glyph text for reading from a distance, drawn with block characters.
+ *
+ * Two bitmap fonts ship with srit (5x7 and 3x5 pixels), each drawn with
+ * full blocks (one pixel per row) or half blocks (two pixels per row), for
+ * words 7, 5, 4 or 3 rows tall. Glyphs are written as rows separated by
+ * spaces, '#' for a set pixel.
+ */
+
+const { splitGraphemes } = require('./width.js');
+
+const FONT_5X7 = {
+  height: 7,
+  glyphs: {
+    A: '.###. #...# #...# ##### #...# #...# #...#',
+    B: '####. #...# #...# ####. #...# #...# ####.',
+    C: '.###. #...# #.... #.... #.... #...# .###.',
+    D: '####. #...# #...# #...# #...# #...# ####.',
+    E: '##### #.... #.... ####. #.... #.... #####',
+    F: '##### #.... #.... ####. #.... #.... #....',
+    G: '.###. #...# #.... #.### #...# #...# .####',
+    H: '#...# #...# #...# ##### #...# #...# #...#',
+    I: '.###. ..#.. ..#.. ..#.. ..#.. ..#.. .###.',
+    J: '..### ...#. ...#. ...#. ...#. #..#. .##..',
+    K: '#...# #..#. #.#.. ##... #.#.. #..#. #...#',
+    L: '#.... #.... #.... #.... #.... #.... #####',
+    M: '#...# ##.## #.#.# #.#.# #...# #...# #...#',
+    N: '#...# #...# ##..# #.#.# #..## #...# #...#',
+    O: '.###. #...# #...# #...# #...# #...# .###.',
+    P: '####. #...# #...# ####. #.... #.... #....',
+    Q: '.###. #...# #...# #...# #.#.# #..#. .##.#',
+    R: '####. #...# #...# ####. #.#.. #..#. #...#',
+    S: '.#### #.... #.... .###. ....# ....# ####.',
+    T: '##### ..#.. ..#.. ..#.. ..#.. ..#.. ..#..',
+    U: '#...# #...# #...# #...# #...# #...# .###.',
+    V: '#...# #...# #...# #...# #...# .#.#. ..#..',
+    W: '#...# #...# #...# #.#.# #.#.# #.#.# .#.#.',
+    X: '#...# #...# .#.#. ..#.. .#.#. #...# #...#',
+    Y: '#...# #...# .#.#. ..#.. ..#.. ..#.. ..#..',
+    Z: '##### ....# ...#. ..#.. .#... #.... #####',
+    a: '..... ..... .###. ....# .#### #...# .####',
+    b: '#.... #.... #.##. ##..# #...# #...# ####.',
+    c: '..... ..... .###. #.... #.... #...# .###.',
+    d: '....# ....# .##.# #..## #...# #...# .####',
+    e: '..... ..... .###. #...# ##### #.... .###.',
+    f: '..##. .#..# .#... ###.. .#... .#... .#...',
+    g: '..... .#### #...# #...# .#### ....# .###.',
+    h: '#.... #.... #.##. ##..# #...# #...# #...#',
+    i: '..#.. ..... .##.. ..#.. ..#.. ..#.. .###.',
+    j: '...#. ..... ..##. ...#. ...#. #..#. .##..',
+    k: '#.... #.... #..#. #.#.. ##... #.#.. #..#.',
+    l: '.##.. ..#.. ..#.. ..#.. ..#.. ..#.. .###.',
+    m: '..... ..... ##.#. #.#.# #.#.# #...# #...#',
+    n: '..... ..... #.##. ##..# #...# #...# #...#',
+    o: '..... ..... .###. #...# #...# #...# .###.',
+    p: '..... ..... ####. #...# ####. #.... #....',
+    q: '..... ..... .##.# #..## .#### ....# ....#',
+    r: '..... ..... #.##. ##..# #.... #.... #....',
+    s: '..... ..... .###. #.... .###. ....# ####.',
+    t: '.#... .#... ###.. .#... .#... .#..# ..##.',
+    u: '..... ..... #...# #...# #...# #..## .##.#',
+    v: '..... ..... #...# #...# #...# .#.#. ..#..',
+    w: '..... ..... #...# #...# #.#.# #.#.# .#.#.',
+    x: '..... ..... #...# .#.#. ..#.. .#.#. #...#',
+    y: '..... ..... #...# #...# .#### ....# .###.',
+    z: '..... ..... ##### ...#. ..#.. .#... #####',
+    0: '.###. #...# #..## #.#.# ##..# #...# .###.',
+    1: '..#.. .##.. ..#.. ..#.. ..#.. ..#.. .###.',
+    2: '.###. #...# ....# ...#. ..#.. .#... #####',
+    3: '##### ...#. ..#.. ...#. ....# #...# .###.',
+    4: '...#. ..##. .#.#. #..#. ##### ...#. ...#.',
+    5: '##### #.... ####. ....# ....# #...# .###.',
+    6: '..##. .#... #.... ####. #...# #...# .###.',
+    7: '##### ....# ...#. ..#.. .#... .#... .#...',
+    8: '.###. #...# #...# .###. #...# #...# .###.',
+    9: '.###. #...# #...# .#### ....# ...#. .##..',
+    ' ': '... ... ... ... ... ... ...',
+    '.': '. . . . . . #',
+    ',': '.. .. .. .. .# .# #.',
+    '!': '# # # # # . #',
+    '?': '.###. #...# ....# ...#. ..#.. ..... ..#..',
+    ';': '.. .. .# .. .# .# #.',
+    ':': '. . # . . # .',
+    "'": '# # . . . . .',
+    '"': '#.# #.# ... ... ... ... ...',
+    '-': '.... .... .... #### .... .... ....',
+    '—': '..... ..... ..... ##### ..... ..... .....',
+    '(': '..# .#. #.. #.. #.. .#. ..#',
+    ')': '#.. .#. ..# ..# ..# .#. #..',
+    '[': '## #. #. #. #. #. ##',
+    ']': '## .# .# .# .# .# ##',
+    '/': '....# ....# ...#. ..#.. .#... #.... #....',
+    '&': '.##.. #..#. #.#.. .#... #.#.# #..#. .##.#',
+    '%': '##..# ##..# ...#. ..#.. .#... #..## #..##',
+    '+': '..... ..#.. ..#.. ##### ..#.. ..#.. .....',
+    '=': '..... ..... ##### ..... ##### ..... .....',
+  },
+};
+
+// Small font: capitals only, lowercase letters use them
+const FONT_3X5 = {
+  height: 5,
+  upperOnly: true,
+  glyphs: {
+    A: '.#. #.# ### #.# #.#',
+    B: '##. #.# ##. #.# ##.',
+    C: '.## #.. #.. #.. .##',
+    D: '##. #.# #.# #.# ##.',
+    E: '### #.. ##. #.. ###',
+    F: '### #.. ##. #.. #..',
+    G: '.## #.. #.# #.# .##',
+    H: '#.# #.# ### #.# #.#',
+    I: '### .#. .#. .#. ###',
+    J: '..# ..# ..# #.# .#.',
+    K: '#.# #.# ##. #.# #.#',
+    L: '#.. #.. #.. #.. ###',
+    M: '#...# ##.## #.#.# #...# #...#',
+    N: '#..# ##.# #.## #..# #..#',
+    O: '.#. #.# #.# #.# .#.',
+    P: '##. #.# ##. #.. #..',
+    Q: '.#. #.# #.# ##. .##',
+    R: '##. #.# ##. #.# #.#',
+    S: '.## #.. .#. ..# ##.',
+    T: '### .#. .#. .#. .#.',
+    U: '#.# #.# #.# #.# ###',
+    V: '#.# #.# #.# #.# .#.',
+    W: '#...# #...# #.#.# ##.## #...#',
+    X: '#.# #.# .#. #.# #.#',
+    Y: '#.# #.# .#. .#. .#.',
+    Z: '### ..# .#. #.. ###',
+    0: '### #.# #.# #.# ###',
+    1: '.#. ##. .#. .#. ###',
+    2: '##. ..# .#. #.. ###',
+    3: '##. ..# .#. ..# ##.',
+    4: '#.# #.# ### ..# ..#',
+    5: '### #.. ##. ..# ##.',
+    6: '.## #.. ### #.# ###',
+    7: '### ..# .#. .#. .#.',
+    8: '### #.# ### #.# ###',
+    9: '### #.# ### ..# ##.',
+    ' ': '.. .. .. .. ..',
+    '.': '. . . . #',
+    ',': '.. .. .. .# #.',
+    '!': '# # # . #',
+    '?': '##. ..# .#. ... .#.',
+    ';': '.. .# .. .# #.',
+    ':': '. # . # .',
+    "'": '# # . . .',
+    '"': '#.# #.# ... ... ...',
+    '-': '... ... ### ... ...',
+    '—': '..... ..... ##### ..... .....',
+    '(': '.# #. #. #. .#',
+    ')': '#. .# .# .# #.',
+    '[': '## #. #. #. ##',
+    ']': '## .# .# .# ##',
+    '/': '..# ..# .#. #.. #..',
+    '%': '#.# ..# .#. #.. #.#',
+    '+': '... .#. ### .#. ...',
+    '=': '... ### ... ### ...',
+  },
+};
+
+// Typographic characters drawn with a plain glyph
+const ALIASES = {
+  '’': "'",
+  '‘': "'",
+  '“': '"',
+  '”': '"',
+  '–': '-',
+  '‐': '-',
+};
+
+// Fonts from the tallest to the shortest, in terminal rows
+const BIG_FONTS = [
+  { font: FONT_5X7, half: false, height: 7 },
+  { font: FONT_3X5, half: false, height: 5 },
+  { font: FONT_5X7, half: true, height: 4 },
+  { font: FONT_3X5, half: true, height: 3 },
+];
+
+// Blank columns between two glyphs
+const GLYPH_SPACING = 1;
+
+function findGlyph(font, grapheme) {
+  const char = ALIASES[grapheme] || grapheme;
+  const glyph = font.glyphs[char] || (font.upperOnly ? font.glyphs[char.toUpperCase()] : undefined);
+  return glyph ? glyph.split(' ') : null;
+}
+
+/**
+ * Draw text with a big font
+ * @param {string} text
+ * @param {{font: object, half: boolean, height: number}} bigFont - One of BIG_FONTS
+ * @returns {{lines: Array<string>, glyphs: Array<{start: number, width: number}>}|null} -
+ *   Rows of block characters, and the columns taken by each grapheme of text;
+ *   null if a character has no glyph
+ */
+function renderBigText(text, bigFont) {
+  const pixelRows = Array.from({ length: bigFont.font.height }, () => '');
+  const glyphs = [];
+
+  for (const grapheme of splitGraphemes(text)) {
+    const glyph = findGlyph(bigFont.font, grapheme);
+    if (!glyph) return null;
+
+    const start = pixelRows[0].length + (glyphs.length > 0 ? GLYPH_SPACING : 0);
+    glyphs.push({ start, width: glyph[0].length });
+    for (let y = 0; y < pixelRows.length; y++) {
+      pixelRows[y] = pixelRows[y].padEnd(start, '.') + glyph[y];
+    }
+  }
+
+  const lines = [];
+  if (bigFont.half) {
+    // Two pixel rows per line: upper and lower half blocks
+    for (let y = 0; y < pixelRows.length; y += 2) {
+      const upper = pixelRows[y];
+      const lower = pixelRows[y + 1] || '';
+      let line = '';
+      for (let x = 0; x < upper.length; x++) {
+        const top = upper[x] === '#';
+        const bottom = lower[x] === '#';
+        line += top && bottom ? '█' : top ? '▀' : bottom ? '▄' : ' ';
+      }
+      lines.push(line);
+    }
+  } else {
+    for (const row of pixelRows) {
+      lines.push(row.replace(/#/g, '█').replace(/\./g, ' '));
+    }
+  }
+
+  return { lines, glyphs };
+}
+
+/**
+ * Draw text with the tallest font that fits in the given space
+ * @param {string} text
+ * @param {number} maxHeight - Available rows
+ * @param {number} maxWidth - Available columns
+ * @returns {{lines: Array<string>, glyphs: Array<{start: number, width: number}>}|null} -
+ *   See renderBigText(); null if no font fits or has all the characters
+ */
+function fitBigText(text, maxHeight, maxWidth) {
+  for (const bigFont of BIG_FONTS) {
+    if (bigFont.height > maxHeight) continue;
+    const rendered = renderBigText(text, bigFont);
+    if (rendered && rendered.lines[0].length <= maxWidth) return rendered;
+  }
+  return null;
+}
+
+module.exports = { BIG_FONTS, renderBigText, fitBigText };
@@ -6,10 +6,22 @@ const CONFIG_PATH = path.join(os.homedir(), '.srit.json');
 
 const DEFAULT_CONFIG = {
   wpm: 300,
-  highlightColor: 'red',
+  cpm: 500, // Speed for Chinese and Japanese, in characters per minute
+  theme: 'default', // default, high-contrast, colorblind, or an object of role colors
+  orp: 'median', // Fixation letter: median, spritz, or custom (uses orpTable)
+  guides: false, // Reticle marks above and below the fixation letter
+  bigText: false, // Words drawn with big block letters
+  hud: false, // Reading figures under the progress bar: true, or a list of fields
+  chunk: 1, // Words per displayed phrase
+  rampStart: 0.5, // Warm-up: starting fraction of the target speed
+  rampWords: 10, // Warm-up: words to reach the target speed (0 for none)
+  history: true, // Log each session to ~/.srit-history.jsonl
+  dailyGoal: 0, // Words per day for the streak of `srit stats` (0 for none)
   // SAP (Semantic Adaptive Pacing) settings
   gamma: 0.6,
   targetWpm: 360,
+  normalization: 'global', // Surprisal compared over: global, section or window
+  normalizationWindow: 200, // Words of the window
 };
 
 function loadConfig() {
@@ -1,53 +1,148 @@
 const EventEmitter = require('events');
 const readline = require('readline');
+const { splitGraphemes, stringWidth, truncateToWidth } = require('./width.js');
+const { segmentWords, isUnspacedLanguage, isCharacterLanguage } = require('./segment.js');
+const { Screen } = require('./screen.js');
+const { fitBigText } = require('./bigtext.js');
+const { resolveTheme, detectColorDepth } = require('./theme.js');
+const { ACTIONS, keyName, buildKeymap, keyLabel, helpLines } = require('./keys.js');
+const { parseHudFields, buildHudLine } = require('./hud.js');
+const { SENTENCE_END, CLAUSE_END, resolvePacing, findBoundaries, wordPause } = require('./pacing.js');
 
-// ANSI escape codes
-const ANSI = {
-  clear: '\x1b[2J',
-  home: '\x1b[H',
-  hideCursor: '\x1b[?25l',
-  showCursor: '\x1b[?25h',
-  reset: '\x1b[0m',
-  bold: '\x1b[1m',
-  colors: {
-    red: '\x1b[31m',
-    green: '\x1b[32m',
-    yellow: '\x1b[33m',
-    blue: '\x1b[34m',
-    magenta: '\x1b[35m',
-    cyan: '\x1b[36m',
-    white: '\x1b[37m',
-  },
-};
-
-const PUNCTUATION_CHARS = ['.', ',', '!', '?', ';', ':', '-', '(', ')', '"', "'"];
-const PUNCTUATION_PAUSE_MS = 200;
 const WPM_INCREMENT = 10;
 const MIN_WPM = 50;
 const MAX_WPM = 1000;
+// Chinese and Japanese speed, in characters per minute
+const CPM_INCREMENT = 25;
+const MIN_CPM = 100;
+const MAX_CPM = 2000;
 const GAMMA_INCREMENT = 0.1;
 const MIN_GAMMA = 0.0;
 const MAX_GAMMA = 2.0;
 
+// Chunk mode: at most this many words displayed together, and short
+// function words that stick to the word following them
+const MAX_CHUNK_SIZE = 5;
+const FUNCTION_WORDS = new Set([
+  // English
+  'a', 'an', 'the', 'of', 'in', 'on', 'at', 'to', 'for', 'by', 'with', 'from',
+  'into', 'onto', 'and', 'or', 'but', 'nor', 'as', 'if', 'so', 'than', 'that',
+  'this', 'my', 'your', 'his', 'her', 'its', 'our', 'their', 'is', 'are', 'was',
+  'not', 'no', 'i', 'we', 'you', 'he', 'she', 'it', 'they',
+  // French
+  'le', 'la', 'les', 'un', 'une', 'des', 'de', 'du', 'à', 'au', 'aux', 'en',
+  'et', 'ou', 'ni', 'mais', 'par', 'pour', 'sur', 'sous', 'dans', 'avec', 'sans',
+  'ce', 'cet', 'cette', 'ces', 'mon', 'ma', 'mes', 'ton', 'ta', 'tes', 'son',
+  'sa', 'ses', 'que', 'qui', 'ne', 'je', 'tu', 'il', 'elle', 'on', 'nous',
+  'vous', 'ils', 'elles', 'se', 'si',
+]);
+
+// Resuming after a pause or a question rewinds to the start of the phrase,
+// at most this many words back
+const MAX_REWIND_WORDS = 12;
+
+// Optimal recognition point (ORP) strategies: where the fixation letter is
+// placed in a word. The Spritz-like table gives the position of the letter
+// (1 = first) for words of 1, 2, 3... letters, the last entry applying to
+// longer words.
+const SPRITZ_ORP_TABLE = [1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5];
+
+// Width of the reticle guides drawn above and below the fixation letter
+const GUIDE_WIDTH = 21;
+
+// Rows kept free around big text (status line, guides, progress bar)
+const BIG_TEXT_MARGIN_ROWS = 6;
+
+// Context peek shown while paused: lines around the current sentence, and
+// how many words before and after it are laid out to fill them
+const PEEK_CONTEXT_LINES = 2;
+const PEEK_WINDOW_WORDS = 40;
+const PEEK_MAX_WIDTH = 70;
+
+// Blank line between two words: a paragraph break, as itemize() sees it
+const PARAGRAPH_BREAK = /\n\s*\n/;
+
 class SpeedReader extends EventEmitter {
   constructor(text, config, isPipeMode = false, maxWords = 0, questionPositions = [], options = {}) {
     super();
-    this.words = parseWords(text);
+    // Language of the text, for segmenting languages written without spaces
+    this.lang = options.lang || null;
+    const segments = segmentWords(text, this.lang);
+    this.words = segments.map((segment) => segment.text);
+
+    // Word indices where paragraphs and sentences start, for navigation
+    this.paragraphStarts = findParagraphStarts(text, segments);
+    this.sentenceStarts = findSentenceStarts(this.words, this.paragraphStarts);
+
+    // Pauses for punctuation and structure, in normal mode (see pacing.js)
+    this.boundaries = findBoundaries(text, segments);
+    this.pacing = resolvePacing(options.pacing || config.pacing);
+    // Chinese and Japanese are timed by characters rather than words
+    this.characterMode = isCharacterLanguage(this.lang);
+    this.wordSeparator = isUnspacedLanguage(this.lang) ? '' : ' ';
+    // Whether each word had a space before it in the text, for the context
+    // peek (none between Chinese or Japanese words)
+    this.spaced = segments.map((segment, i) => i > 0 && segment.start > segments[i - 1].end);
     this.config = { ...config };
     this.isPipeMode = isPipeMode;
     this.maxWords = maxWords;
-    this.questionPositions = questionPositions;
-    this.currentIndex = 0;
+    this.currentIndex = Math.min(options.startIndex || 0, Math.max(0, this.words.length - 1));
+
+    // Words are displayed in chunks (phrases); a chunk size of 1 is the classic one-word mode
+    this.chunkSize = Math.max(1, Math.min(MAX_CHUNK_SIZE, options.chunkSize || config.chunk || 1));
+    this.chunks = chunkWords(this.words, this.chunkSize, this.boundaries);
+    this.chunkIndexOf = new Array(this.words.length);
+    this.chunks.forEach((chunk, ci) => {
+      for (let i = chunk.start; i < chunk.end; i++) this.chunkIndexOf[i] = ci;
+    });
+
+    // When resuming, questions about the skipped part are not asked
+    this.questionPositions = questionPositions.filter((q) => q.wordIndex >= this.currentIndex);
+    this.finished = false;
     this.running = false;
     this.paused = false;
     this.timer = null;
+    this.peekLines = []; // Layout of the context peek, while paused
+
+    // Styles of the display roles (see theme.js)
+    this.theme = options.theme || resolveTheme(config, detectColorDepth(process.env));
+
+    // Only the parts of the screen that change are redrawn
+    this.output = options.output || process.stdout;
+    this.screen = new Screen(this.output, this.theme.base);
+
+    // Fixation letter strategy, falling back to the median without a usable table
+    const orp = options.orp || config.orp;
+    this.orpTable = null; // Median
+    if (orp === 'spritz') {
+      this.orpTable = SPRITZ_ORP_TABLE;
+    } else if (orp === 'custom' && isOrpTable(config.orpTable)) {
+      this.orpTable = config.orpTable;
+    }
+    this.guides = options.guides || config.guides || false;
+    this.bigText = options.bigText || config.bigText || false;
+    // Configured HUD fields, or all of them with --hud
+    this.hudFields = parseHudFields(config.hud || options.hud);
+    this.remainingCache = null; // Remaining time from each word, for the current speed
+
+    // Key bindings, and the help overlay listing them
+    this.keymap = options.keymap || buildKeymap(config.keys);
+    this.showingHelp = false;
+    this.resumeAfterHelp = false;
+
+    // Warm-up: the speed starts at a fraction of the target and rises to it
+    // over a few words, when starting and when resuming
+    this.rampStart = Math.max(0.1, Math.min(1, options.rampStart ?? config.rampStart ?? 1));
+    this.rampWords = Math.max(0, Math.round(options.rampWords ?? config.rampWords ?? 0));
+    this.rampFrom = null; // Word index where the current ramp started
+    this.pausedAt = null;
 
     // Question mode state
     this.inQuestionMode = false;
     this.currentQuestion = null;
     this.questionIndex = 0;
     this.score = 0;
-    this.totalQuestions = questionPositions.length;
+    this.totalQuestions = this.questionPositions.length;
 
     // Timing
     this.startTime = null;
@@ -60,9 +155,18 @@ class SpeedReader extends EventEmitter {
     this.baseGamma = options.gamma || 0.6; // Original gamma for recalculation
     this.baseWpm = options.targetWpm || config.wpm; // Original target WPM for scaling
 
-    // Stats for auto mode
+    // Chapter structure (e.g. from EPUB), mapped from char offsets to word indices
+    this.chapters = (options.chapters || []).map((chapter) => ({
+      title: chapter.title,
+      wordIndex: wordIndexAt(segments, chapter.offset),
+    }));
+
+    // Session stats: words shown and their display time (average WPM),
+    // pauses, and jumps back in the text
     this.totalDisplayTime = 0;
     this.wordsDisplayed = 0;
+    this.pauses = 0;
+    this.rewinds = 0;
   }
 
   get wpm() {
@@ -78,6 +182,15 @@ class SpeedReader extends EventEmitter {
     return Math.round(60000 / this.wpm);
   }
 
+  get cpm() {
+    return this.config.cpm;
+  }
+
+  set cpm(value) {
+    this.config.cpm = Math.max(MIN_CPM, Math.min(MAX_CPM, value));
+    this.emit('configChange', this.config);
+  }
+
   async start() {
     if (this.words.length === 0) {
       throw new Error('No words to display');
@@ -87,11 +200,12 @@ class SpeedReader extends EventEmitter {
     this.startTime = Date.now();
     this.setupKeyboardInput();
 
-    // Hide cursor and clear screen
-    process.stdout.write(ANSI.hideCursor);
+    // Draw on the alternate screen, keeping the terminal scrollback intact
+    this.screen.enter();
 
     // Handle resize
-    process.stdout.on('resize', () => {
+    this.output.on('resize', () => {
+      this.screen.invalidate();
       if (this.inQuestionMode) {
         this.renderQuestion();
       } else {
@@ -108,11 +222,11 @@ class SpeedReader extends EventEmitter {
       if (process.stdin.isTTY && process.stdin.isRaw) {
         process.stdin.setRawMode(false);
       }
-      process.stdout.write(ANSI.showCursor);
-      process.stdout.write(ANSI.reset);
+      this.screen.leave();
     });
 
     // Start the display loop
+    this.startRamp();
     this.scheduleNext();
 
     // Wait until done
@@ -136,19 +250,19 @@ class SpeedReader extends EventEmitter {
     }
     process.stdin.pause();
 
-    // Show cursor and clear screen
-    process.stdout.write(ANSI.showCursor);
-    process.stdout.write(ANSI.clear);
-    process.stdout.write(ANSI.home);
-    process.stdout.write(ANSI.reset);
+    // Back to the main screen, with the cursor
+    this.screen.leave();
 
-    const result = this.totalQuestions > 0 ? {
+    this.emit('done', {
+      ...this.stats,
+      wordsDisplayed: this.wordsDisplayed,
+      displayTime: this.totalDisplayTime,
+      averageWPM: this.averageWPM,
+      pauses: this.pauses,
+      rewinds: this.rewinds,
       score: this.score,
       total: this.totalQuestions,
-      elapsedTime: this.elapsedTime,
-    } : null;
-
-    this.emit('done', result);
+    });
   }
 
   setupKeyboardInput() {
@@ -158,48 +272,64 @@ class SpeedReader extends EventEmitter {
       process.stdin.setRawMode(true);
     }
 
-    process.stdin.on('keypress', (str, key) => {
-      if (!key) return;
+    process.stdin.on('keypress', (str, key) => this.handleKey(str, key));
 
-      if (key.name === 'escape' || (key.ctrl && key.name === 'c')) {
-        this.stop();
-        return;
-      }
+    process.stdin.resume();
+  }
 
-      // Handle question mode input
-      if (this.inQuestionMode) {
+  /**
+   * Run the action bound to a key (see keys.js)
+   * @param {string} str - Character typed, from readline's keypress event
+   * @param {object} key - Key details, from readline's keypress event
+   */
+  handleKey(str, key) {
+    if (!key) return;
+
+    // Ctrl+C always exits, whatever the bindings
+    const name = keyName(str, key);
+    if (name === 'ctrl+c') {
+      this.stop();
+      return;
+    }
+
+    // Any key closes the help overlay
+    if (this.showingHelp) {
+      this.toggleHelp();
+      return;
+    }
+
+    // Digits answer questions in question mode; only quitting is bound there
+    if (this.inQuestionMode) {
+      if (this.keymap.reading.get(name) === 'quit') {
+        this.stop();
+      } else {
         this.handleQuestionInput(str, key);
-        return;
       }
+      return;
+    }
 
-      switch (key.name) {
-        case 'left':
-          this.goBack();
-          break;
-        case 'right':
-          this.goForward();
-          break;
-        case 'up':
-          this.increaseSpeed();
-          break;
-        case 'down':
-          this.decreaseSpeed();
-          break;
-        case 'space':
-          this.togglePause();
-          break;
-        default:
-          // Handle +/- for gamma in auto mode
-          if (this.autoMode && (str === '+' || str === '=')) {
-            this.increaseGamma();
-          } else if (this.autoMode && (str === '-' || str === '_')) {
-            this.decreaseGamma();
-          }
-          break;
-      }
-    });
+    const action = this.keymap[this.paused ? 'paused' : 'reading'].get(name);
+    if (action) {
+      ACTIONS[action].run(this);
+    }
+  }
 
-    process.stdin.resume();
+  /**
+   * Show or hide the help overlay, pausing while it is shown
+   */
+  toggleHelp() {
+    this.showingHelp = !this.showingHelp;
+    if (this.showingHelp) {
+      this.resumeAfterHelp = !this.paused;
+      if (!this.paused) {
+        this.togglePause();
+        return;
+      }
+    } else if (this.resumeAfterHelp) {
+      this.togglePause();
+      return;
+    }
+    this.render();
   }
 
   handleQuestionInput(str, _key) {
@@ -215,66 +345,153 @@ class SpeedReader extends EventEmitter {
       // Show brief feedback
       this.showAnswerFeedback(isCorrect);
 
-      // Exit question mode after brief delay
+      // Exit question mode after brief delay, picking up the thread from
+      // the start of the last phrase read
       setTimeout(() => {
         this.inQuestionMode = false;
         this.currentQuestion = null;
         this.questionIndex++;
+        this.currentIndex = findPhraseStart(this.words, Math.max(0, this.currentIndex - 1), this.paragraphStarts);
+        this.startRamp();
         this.scheduleNext();
       }, 800);
     }
   }
 
   showAnswerFeedback(isCorrect) {
-    const rows = process.stdout.rows || 24;
-    const columns = process.stdout.columns || 80;
-
-    process.stdout.write(ANSI.clear);
-    process.stdout.write(ANSI.home);
+    const { rows, columns } = this.screen;
+    this.screen.begin();
 
     const centerRow = Math.floor(rows / 2);
 
-    const feedbackText = isCorrect
-      ? `${ANSI.colors.green}${ANSI.bold}Correct!${ANSI.reset}`
-      : `${ANSI.colors.red}${ANSI.bold}Wrong!${ANSI.reset} The answer was: ${this.currentQuestion.choices[this.currentQuestion.correct]}`;
-
     const plainText = isCorrect ? 'Correct!' : `Wrong! The answer was: ${this.currentQuestion.choices[this.currentQuestion.correct]}`;
-    const col = Math.max(1, Math.floor((columns - plainText.length) / 2));
+    const col = Math.max(1, Math.floor((columns - stringWidth(plainText)) / 2));
 
-    process.stdout.write(`\x1b[${centerRow};${col}H`);
-    process.stdout.write(feedbackText);
+    if (isCorrect) {
+      this.screen.text(centerRow, col, 'Correct!', this.theme.correct + this.theme.bold);
+    } else {
+      this.screen.text(centerRow, col, 'Wrong!', this.theme.wrong + this.theme.bold);
+      this.screen.text(centerRow, col + 6, plainText.slice(6));
+    }
 
     // Show current score
     const scoreText = `Score: ${this.score}/${this.questionIndex + 1}`;
-    const scoreCol = Math.max(1, Math.floor((columns - scoreText.length) / 2));
-    process.stdout.write(`\x1b[${centerRow + 2};${scoreCol}H`);
-    process.stdout.write(scoreText);
+    const scoreCol = Math.max(1, Math.floor((columns - stringWidth(scoreText)) / 2));
+    this.screen.text(centerRow + 2, scoreCol, scoreText);
+
+    this.screen.flush();
   }
 
   goBack() {
-    if (this.currentIndex > 0) {
-      this.currentIndex--;
-      this.render();
-      this.reschedule();
+    const ci = this.chunkIndexOf[this.currentIndex];
+    const target = this.currentIndex > this.chunks[ci].start ? ci : ci - 1;
+    if (target >= 0) {
+      this.jumpTo(this.chunks[target].start);
     }
   }
 
   goForward() {
-    if (this.currentIndex < this.words.length - 1) {
-      this.currentIndex++;
-      this.render();
-      this.reschedule();
+    const next = this.currentChunk.end;
+    if (next < this.words.length) {
+      this.jumpTo(next);
     }
   }
 
+  /**
+   * Go back to the start of the current sentence, or to the previous one
+   * when already at the start
+   */
+  goToPreviousSentence() {
+    this.jumpTo(previousBoundary(this.sentenceStarts, this.currentIndex));
+  }
+
+  goToNextSentence() {
+    this.jumpTo(nextBoundary(this.sentenceStarts, this.currentIndex));
+  }
+
+  goToPreviousParagraph() {
+    this.jumpTo(previousBoundary(this.paragraphStarts, this.currentIndex));
+  }
+
+  goToNextParagraph() {
+    this.jumpTo(nextBoundary(this.paragraphStarts, this.currentIndex));
+  }
+
+  /**
+   * Seek to a tenth of the document (0 for the start, 9 for 90%)
+   * @param {number} tenths
+   */
+  seekToPercent(tenths) {
+    this.jumpTo(Math.floor((this.words.length * tenths) / 10));
+  }
+
+  /**
+   * Move the highlighted word of the context peek: by one word (left/right)
+   * or to the nearest word of the line above/below (up/down). Reading
+   * resumes from the highlighted word.
+   * @param {string} direction - 'left', 'right', 'up' or 'down'
+   */
+  moveHighlight(direction) {
+    if (direction === 'left') {
+      this.jumpTo(this.currentIndex - 1);
+    } else if (direction === 'right') {
+      this.jumpTo(Math.min(this.currentIndex + 1, this.words.length - 1));
+    } else {
+      this.jumpTo(wordInAdjacentLine(this.words, this.peekLines, this.currentIndex, direction === 'up' ? -1 : 1, this.spaced));
+    }
+  }
+
+  jumpTo(index) {
+    if (index === -1 || index === this.currentIndex) return;
+    // Moves in the context peek count once, and skip questions, when
+    // reading resumes
+    if (index < this.currentIndex && !this.paused) this.rewinds++;
+    this.currentIndex = Math.max(0, Math.min(index, this.words.length - 1));
+    if (!this.paused) this.skipQuestions();
+    this.render();
+    this.reschedule();
+  }
+
+  /**
+   * Drop the questions about the part skipped by a jump forward, as the
+   * constructor does when resuming: they are not asked back to back, nor
+   * counted in the score
+   */
+  skipQuestions() {
+    let skipped = 0;
+    while (this.questionIndex + skipped < this.questionPositions.length &&
+      this.questionPositions[this.questionIndex + skipped].wordIndex < this.currentIndex) {
+      skipped++;
+    }
+    this.questionPositions.splice(this.questionIndex, skipped);
+    this.totalQuestions = this.questionPositions.length;
+  }
+
+  /**
+   * Words displayed together, from the current index to the end of its chunk
+   * @returns {{start: number, end: number}} - Word index range (end exclusive)
+   */
+  get currentChunk() {
+    const chunk = this.chunks[this.chunkIndexOf[this.currentIndex]];
+    return { start: this.currentIndex, end: chunk.end };
+  }
+
   increaseSpeed() {
-    this.wpm += WPM_INCREMENT;
+    if (this.characterMode && !this.autoMode) {
+      this.cpm += CPM_INCREMENT;
+    } else {
+      this.wpm += WPM_INCREMENT;
+    }
     this.render();
     this.reschedule();
   }
 
   decreaseSpeed() {
-    this.wpm -= WPM_INCREMENT;
+    if (this.characterMode && !this.autoMode) {
+      this.cpm -= CPM_INCREMENT;
+    } else {
+      this.wpm -= WPM_INCREMENT;
+    }
     this.render();
     this.reschedule();
   }
@@ -294,8 +511,36 @@ class SpeedReader extends EventEmitter {
   }
 
   get currentDuration() {
-    if (this.autoMode && this.durations && this.durations[this.currentIndex] !== undefined) {
-      let duration = this.durations[this.currentIndex];
+    return this.wordDuration(this.currentIndex);
+  }
+
+  /**
+   * Display time of a word, slowed down during a warm-up ramp
+   * @param {number} index - Word index
+   * @returns {number} - Milliseconds
+   */
+  wordDuration(index) {
+    return Math.round(this.targetDuration(index) / this.rampFactor(index));
+  }
+
+  /**
+   * Fraction of the target speed for a word: rises evenly from rampStart
+   * to 1 over the rampWords words following the start of the ramp
+   */
+  rampFactor(index) {
+    if (this.rampFrom === null || this.rampWords === 0) return 1;
+    const progress = (index - this.rampFrom) / this.rampWords;
+    if (progress < 0 || progress >= 1) return 1;
+    return this.rampStart + (1 - this.rampStart) * progress;
+  }
+
+  startRamp() {
+    this.rampFrom = this.currentIndex;
+  }
+
+  targetDuration(index) {
+    if (this.autoMode && this.durations && this.durations[index] !== undefined) {
+      let duration = this.durations[index];
 
       // Scale by WPM ratio (higher WPM = shorter duration)
       const wpmScale = this.baseWpm / this.wpm;
@@ -311,10 +556,72 @@ class SpeedReader extends EventEmitter {
 
       return Math.round(duration);
     }
-    // Fallback to WPM-based delay
+    // Fallback to CPM-based delay for Chinese and Japanese, WPM-based otherwise
+    if (this.characterMode) {
+      return Math.round((60000 / this.cpm) * countCharacters(this.words[index]));
+    }
     return this.delayMs;
   }
 
+  /**
+   * Pause after a word, for its punctuation, structure and length (auto
+   * mode durations already include it)
+   */
+  pauseAfter(index) {
+    if (this.autoMode && this.durations) return 0;
+    return wordPause(this.words[index], this.boundaries[index], this.pacing);
+  }
+
+  get totalWords() {
+    return this.maxWords > 0 ? Math.min(this.maxWords, this.words.length) : this.words.length;
+  }
+
+  /**
+   * Estimated time to the end, from the per-word durations at the current
+   * speed (without the warm-up)
+   */
+  get remainingTime() {
+    if (this.finished) return 0;
+
+    const key = `${this.wpm}|${this.cpm}|${this.gamma}`;
+    if (!this.remainingCache || this.remainingCache.key !== key) {
+      const end = this.totalWords;
+      const fromWord = new Array(end + 1).fill(0);
+      for (let i = end - 1; i >= 0; i--) {
+        fromWord[i] = fromWord[i + 1] + this.targetDuration(i) + this.pauseAfter(i);
+      }
+      this.remainingCache = { key, fromWord };
+    }
+
+    const { fromWord } = this.remainingCache;
+    return fromWord[Math.min(this.currentIndex, fromWord.length - 1)];
+  }
+
+  /**
+   * Reading figures for the HUD and the end of session summary
+   * @returns {{wordsRead: number, totalWords: number, elapsedTime: number, remainingTime: number, chapter: string|null}}
+   */
+  get stats() {
+    const totalWords = this.totalWords;
+    const chapter = this.currentChapter;
+    return {
+      wordsRead: this.finished ? totalWords : Math.min(this.currentIndex, totalWords),
+      totalWords,
+      elapsedTime: this.running ? Date.now() - this.startTime : this.elapsedTime,
+      remainingTime: this.remainingTime,
+      chapter: chapter ? chapter.title : null,
+    };
+  }
+
+  get currentChapter() {
+    let current = null;
+    for (const chapter of this.chapters) {
+      if (chapter.wordIndex > this.currentIndex) break;
+      current = chapter;
+    }
+    return current;
+  }
+
   get averageWPM() {
     if (this.wordsDisplayed === 0 || this.totalDisplayTime === 0) {
       return this.wpm;
@@ -332,10 +639,23 @@ class SpeedReader extends EventEmitter {
   togglePause() {
     this.paused = !this.paused;
     if (!this.paused) {
+      // Rewind to the start of the phrase, unless another word was picked
+      // in the context peek, and warm up again
+      if (this.currentIndex === this.pausedAt) {
+        this.currentIndex = findPhraseStart(this.words, this.currentIndex, this.paragraphStarts);
+      } else if (this.currentIndex < this.pausedAt) {
+        this.rewinds++;
+      }
+      this.skipQuestions();
+      this.startRamp();
       this.scheduleNext();
-    } else if (this.timer) {
-      clearTimeout(this.timer);
-      this.timer = null;
+    } else {
+      this.pausedAt = this.currentIndex;
+      if (!this.showingHelp) this.pauses++;
+      if (this.timer) {
+        clearTimeout(this.timer);
+        this.timer = null;
+      }
     }
     this.render();
   }
@@ -375,44 +695,39 @@ class SpeedReader extends EventEmitter {
       return;
     }
 
-    const word = this.words[this.currentIndex];
+    const { start, end } = this.currentChunk;
 
-    // Calculate delay: use per-word duration in auto mode, otherwise WPM-based
-    let delay;
-    if (this.autoMode && this.durations) {
-      delay = this.currentDuration;
-    } else {
-      const hasPunctuation = PUNCTUATION_CHARS.some((p) => word.endsWith(p));
-      delay = this.delayMs + (hasPunctuation ? PUNCTUATION_PAUSE_MS : 0);
-    }
-
-    // Track stats for auto mode
-    if (this.autoMode) {
-      this.totalDisplayTime += delay;
-      this.wordsDisplayed++;
+    // Calculate delay: sum of per-word durations and pauses (chunks end at
+    // clause punctuation, so punctuation pauses come after the chunk)
+    let delay = 0;
+    for (let i = start; i < end; i++) {
+      delay += this.wordDuration(i) + this.pauseAfter(i);
     }
 
     this.render();
 
     this.timer = setTimeout(() => {
-      const reachedMaxWords = this.maxWords > 0 && this.currentIndex >= this.maxWords - 1;
-      if (this.currentIndex < this.words.length - 1 && !reachedMaxWords) {
-        this.currentIndex++;
+      // Counted once shown in full, not when interrupted by a key
+      this.totalDisplayTime += delay;
+      this.wordsDisplayed += end - start;
+
+      const reachedMaxWords = this.maxWords > 0 && end >= this.maxWords;
+      if (end < this.words.length && !reachedMaxWords) {
+        this.currentIndex = end;
         this.scheduleNext();
       } else {
         // Reached the end or maxWords limit
+        this.finished = end >= this.words.length;
         setTimeout(() => this.stop(), 500);
       }
     }, delay);
   }
 
   renderQuestion() {
-    const rows = process.stdout.rows || 24;
-    const columns = process.stdout.columns || 80;
+    const { rows, columns } = this.screen;
     const q = this.currentQuestion;
 
-    process.stdout.write(ANSI.clear);
-    process.stdout.write(ANSI.home);
+    this.screen.begin();
 
     // Calculate starting row for centering
     const totalLines = 2 + q.choices.length + 2; // question + blank + choices + blank + instruction
@@ -420,9 +735,8 @@ class SpeedReader extends EventEmitter {
 
     // Draw question number and text
     const questionHeader = `Question ${this.questionIndex + 1}/${this.totalQuestions}`;
-    const headerCol = Math.max(1, Math.floor((columns - questionHeader.length) / 2));
-    process.stdout.write(`\x1b[${startRow};${headerCol}H`);
-    process.stdout.write(`${ANSI.bold}${questionHeader}${ANSI.reset}`);
+    const headerCol = Math.max(1, Math.floor((columns - stringWidth(questionHeader)) / 2));
+    this.screen.text(startRow, headerCol, questionHeader, this.theme.bold);
 
     // Word wrap the question if needed
     const questionText = q.question;
@@ -431,9 +745,8 @@ class SpeedReader extends EventEmitter {
 
     let currentRow = startRow + 2;
     for (const line of wrappedQuestion) {
-      const col = Math.max(1, Math.floor((columns - line.length) / 2));
-      process.stdout.write(`\x1b[${currentRow};${col}H`);
-      process.stdout.write(line);
+      const col = Math.max(1, Math.floor((columns - stringWidth(line)) / 2));
+      this.screen.text(currentRow, col, line);
       currentRow++;
     }
 
@@ -442,9 +755,9 @@ class SpeedReader extends EventEmitter {
     // Draw choices
     for (let i = 0; i < q.choices.length; i++) {
       const choiceText = `${i + 1}. ${q.choices[i]}`;
-      const col = Math.max(1, Math.floor((columns - choiceText.length) / 2));
-      process.stdout.write(`\x1b[${currentRow};${col}H`);
-      process.stdout.write(`${ANSI.colors.cyan}${i + 1}.${ANSI.reset} ${q.choices[i]}`);
+      const col = Math.max(1, Math.floor((columns - stringWidth(choiceText)) / 2));
+      this.screen.text(currentRow, col, `${i + 1}.`, this.theme.highlight);
+      this.screen.text(currentRow, col + stringWidth(`${i + 1}.`), ` ${q.choices[i]}`);
       currentRow++;
     }
 
@@ -452,55 +765,35 @@ class SpeedReader extends EventEmitter {
 
     // Draw instruction
     const instruction = 'Press 1-' + q.choices.length + ' to answer';
-    const instrCol = Math.max(1, Math.floor((columns - instruction.length) / 2));
-    process.stdout.write(`\x1b[${currentRow};${instrCol}H`);
-    process.stdout.write(`${ANSI.colors.yellow}${instruction}${ANSI.reset}`);
+    const instrCol = Math.max(1, Math.floor((columns - stringWidth(instruction)) / 2));
+    this.screen.text(currentRow, instrCol, instruction, this.theme.status);
 
     // Show score in corner
     const scoreText = `Score: ${this.score}/${this.questionIndex}`;
-    process.stdout.write(`\x1b[1;${columns - scoreText.length}H`);
-    process.stdout.write(scoreText);
+    this.screen.text(1, columns - stringWidth(scoreText), scoreText);
+
+    this.screen.flush();
   }
 
   render() {
-    const rows = process.stdout.rows || 24;
-    const columns = process.stdout.columns || 80;
-    const word = this.words[this.currentIndex];
-    const highlightColor = ANSI.colors[this.config.highlightColor] || ANSI.colors.red;
-
-    // Clear screen
-    process.stdout.write(ANSI.clear);
-    process.stdout.write(ANSI.home);
-
-    // Calculate median position
-    const medianIndex = getMedianIndex(word);
-
-    // Build the word with highlighted median letter
-    let displayWord = '';
-    for (let i = 0; i < word.length; i++) {
-      if (i === medianIndex) {
-        displayWord += highlightColor + word[i] + ANSI.reset;
-      } else {
-        displayWord += word[i];
-      }
-    }
+    const { rows, columns } = this.screen;
+    this.screen.begin();
 
-    // Calculate position to center the median letter on screen
-    const centerCol = Math.floor(columns / 2);
-    const centerRow = Math.floor(rows / 2);
-
-    // Position word so median letter is at center
-    const wordStartCol = Math.max(0, centerCol - medianIndex);
-
-    // Move cursor to center row and calculated column
-    process.stdout.write(`\x1b[${centerRow};${wordStartCol}H`);
-    process.stdout.write(displayWord);
+    if (this.showingHelp) {
+      this.renderHelp(rows, columns);
+    } else if (this.paused) {
+      this.renderPeek(rows, columns);
+    } else {
+      this.renderWord(rows, columns);
+    }
 
     // Draw status indicator at top right
     let statusText;
     if (this.autoMode) {
       // In auto mode: show current WPM, average WPM, and gamma
       statusText = `${this.currentWPM} WPM (avg: ${this.averageWPM}) | γ=${this.gamma.toFixed(1)}`;
+    } else if (this.characterMode) {
+      statusText = `${this.cpm} CPM`;
     } else {
       statusText = `${this.wpm} WPM`;
     }
@@ -510,53 +803,506 @@ class SpeedReader extends EventEmitter {
     if (this.totalQuestions > 0) {
       statusText = `Score: ${this.score}/${this.questionIndex} | ${statusText}`;
     }
-    process.stdout.write(`\x1b[1;${Math.max(1, columns - statusText.length)}H`);
-    process.stdout.write(statusText);
+    this.screen.text(1, Math.max(1, columns - stringWidth(statusText)), statusText, this.theme.status);
+
+    // Draw current chapter title at top left, leaving room for the status
+    // (unless the HUD shows it)
+    const chapter = this.hudFields.includes('chapter') ? null : this.currentChapter;
+    const chapterWidth = columns - stringWidth(statusText) - 3;
+    if (chapter && chapterWidth > 3) {
+      this.screen.text(1, 1, truncateToWidth(chapter.title, chapterWidth), this.theme.status);
+    }
 
     // Draw progress bar at bottom (except in pipe mode)
     if (!this.isPipeMode) {
       this.renderProgressBar(rows, columns);
     }
+
+    // HUD on the last line, clear of the bottom right corner
+    if (this.hudFields.length > 0) {
+      const hud = buildHudLine(this.stats, this.hudFields, columns - 3);
+      this.screen.text(rows, Math.max(1, Math.floor((columns - stringWidth(hud)) / 2)), hud, this.theme.status);
+    }
+
+    this.screen.flush();
+  }
+
+  renderWord(rows, columns) {
+    const { start, end } = this.currentChunk;
+    const word = this.words.slice(start, end).join(this.wordSeparator);
+    const highlightColor = this.theme.highlight;
+
+    // Calculate fixation position (median letter of the word or phrase),
+    // counting graphemes so that accents and emoji are never split
+    const graphemes = splitGraphemes(word);
+    const medianIndex = getFixationIndex(word, this.orpTable);
+
+    // Big block letters when enabled and the word fits, normal text otherwise
+    if (this.bigText && this.renderBigWord(word, medianIndex, rows, columns)) {
+      return;
+    }
+
+    // Calculate position to center the median letter on screen
+    const centerCol = Math.floor(columns / 2);
+    const centerRow = Math.floor(rows / 2);
+
+    // Position word so median letter is at center (wide characters take two columns)
+    const before = graphemes.slice(0, medianIndex).join('');
+    const wordStartCol = Math.max(1, centerCol - stringWidth(before));
+
+    // Draw the word with its median letter highlighted
+    const fixationCol = wordStartCol + stringWidth(before);
+    this.screen.text(centerRow, wordStartCol, before);
+    this.screen.text(centerRow, fixationCol, graphemes[medianIndex] || '', highlightColor);
+    this.screen.text(centerRow, fixationCol + stringWidth(graphemes[medianIndex] || ''), graphemes.slice(medianIndex + 1).join(''));
+
+    if (this.guides) {
+      this.renderGuides(centerRow - 1, centerRow + 1, centerCol, columns);
+    }
+  }
+
+  /**
+   * Draw the word with a big block font, the middle of its fixation letter
+   * at the center of the screen
+   * @returns {boolean} - False when the word does not fit, to draw normal text instead
+   */
+  renderBigWord(word, medianIndex, rows, columns) {
+    const big = fitBigText(word, rows - BIG_TEXT_MARGIN_ROWS, columns - 2);
+    if (!big) return false;
+
+    const highlightColor = this.theme.highlight;
+    const width = big.lines[0].length;
+    const fixation = big.glyphs[medianIndex];
+    const centerCol = Math.floor(columns / 2);
+    const top = Math.floor(rows / 2) - Math.floor(big.lines.length / 2);
+
+    // Keep the whole word on screen, even if that moves the fixation letter off center
+    const startCol = Math.max(1, Math.min(centerCol - fixation.start - Math.floor(fixation.width / 2), columns - width));
+
+    big.lines.forEach((line, i) => {
+      this.screen.text(top + i, startCol, line);
+      this.screen.text(top + i, startCol + fixation.start, line.slice(fixation.start, fixation.start + fixation.width), highlightColor);
+    });
+
+    if (this.guides) {
+      this.renderGuides(top - 1, top + big.lines.length, startCol + fixation.start + Math.floor(fixation.width / 2), columns);
+    }
+    return true;
+  }
+
+  /**
+   * Reticle marks above and below the fixation column, so the eye stays put
+   */
+  renderGuides(topRow, bottomRow, centerCol, columns) {
+    const half = Math.min(Math.floor(GUIDE_WIDTH / 2), centerCol - 1, columns - centerCol);
+    const line = '─'.repeat(half);
+    const startCol = centerCol - half;
+    this.screen.text(topRow, startCol, `${line}┬${line}`, this.theme.dim);
+    this.screen.text(bottomRow, startCol, `${line}┴${line}`, this.theme.dim);
+  }
+
+  /**
+   * Context peek: the current sentence with a few lines around it, the
+   * current word highlighted and the surrounding sentences dimmed
+   */
+  renderPeek(rows, columns) {
+    const highlightColor = this.theme.highlight;
+    const width = Math.max(10, Math.min(columns - 4, PEEK_MAX_WIDTH));
+    const index = this.currentIndex;
+
+    // Current sentence, and the words laid out around it
+    const sentenceStart = Math.max(0, previousBoundary(this.sentenceStarts, index + 1));
+    const nextSentence = nextBoundary(this.sentenceStarts, index);
+    const sentenceEnd = nextSentence === -1 ? this.words.length : nextSentence;
+    const from = Math.max(0, sentenceStart - PEEK_WINDOW_WORDS);
+    const to = Math.min(this.words.length, sentenceEnd + PEEK_WINDOW_WORDS);
+    this.peekLines = layoutPeek(this.words, from, to, this.paragraphStarts, width, this.spaced);
+
+    // Lines to show, keeping the current word in view on small terminals
+    const lineOf = (wordIndex) => this.peekLines.findIndex((line) => line && wordIndex >= line.start && wordIndex < line.end);
+    const maxLines = Math.max(1, rows - 6);
+    let top = Math.max(0, lineOf(sentenceStart) - PEEK_CONTEXT_LINES);
+    let bottom = Math.min(this.peekLines.length, lineOf(sentenceEnd - 1) + 1 + PEEK_CONTEXT_LINES);
+    if (bottom - top > maxLines) {
+      top = Math.max(top, Math.min(lineOf(index) - Math.floor(maxLines / 2), bottom - maxLines));
+      bottom = top + maxLines;
+    }
+
+    const startRow = Math.max(3, Math.floor((rows - (bottom - top)) / 2));
+    const startCol = Math.max(1, Math.floor((columns - width) / 2) + 1);
+    for (let l = top; l < bottom; l++) {
+      const line = this.peekLines[l];
+      if (!line) continue;
+
+      let col = startCol;
+      for (let i = line.start; i < line.end; i++) {
+        if (i > line.start) col += gapWidth(this.spaced, i);
+        let style = '';
+        if (i === index) {
+          style = this.theme.bold + highlightColor;
+        } else if (i < sentenceStart || i >= sentenceEnd) {
+          style = this.theme.dim;
+        }
+        this.screen.text(startRow + l - top, col, this.words[i], style);
+        col += stringWidth(this.words[i]);
+      }
+    }
+
+    const first = (action) => keyLabel((this.keymap.bindings[action] || ['?'])[0]);
+    const move = ['peek-prev-word', 'peek-next-word', 'peek-line-up', 'peek-line-down'].map(first).join('/');
+    const hint = `${move} move · ${first('pause')} resume from here · ${first('help')} help`;
+    this.screen.text(Math.max(1, rows - 2), Math.max(1, Math.floor((columns - stringWidth(hint)) / 2)), hint, this.theme.dim);
+  }
+
+  /**
+   * Help overlay: the active key bindings
+   */
+  renderHelp(rows, columns) {
+    const lines = helpLines(this.keymap, this.autoMode);
+    const keysWidth = Math.max(...lines.map((line) => stringWidth(line.keys)));
+    const width = Math.max(...lines.map((line) => keysWidth + 2 + stringWidth(line.description)));
+    const startRow = Math.max(3, Math.floor((rows - lines.length - 2) / 2));
+    const startCol = Math.max(1, Math.floor((columns - width) / 2) + 1);
+
+    this.screen.text(startRow, startCol, 'Keys', this.theme.bold);
+    lines.forEach((line, i) => {
+      const row = startRow + 2 + i;
+      this.screen.text(row, startCol, line.keys, this.theme.highlight);
+      this.screen.text(row, startCol + keysWidth + 2, line.description);
+    });
+
+    const hint = 'Press any key to close';
+    this.screen.text(Math.max(1, rows - 2), Math.max(1, Math.floor((columns - stringWidth(hint)) / 2)), hint, this.theme.dim);
   }
 
   renderProgressBar(rows, columns) {
     const progress = this.currentIndex / (this.words.length - 1);
     const barWidth = columns - 4; // Leave room for brackets and padding
-    const filledWidth = Math.round(progress * barWidth);
-
-    let bar = '[';
-    for (let i = 0; i < barWidth; i++) {
-      if (i < filledWidth) {
-        bar += '=';
-      } else if (i === filledWidth) {
-        bar += '>';
+    const ticks = this.paragraphStarts.slice(1).map((index) => index / (this.words.length - 1));
+    const bar = buildProgressBar(barWidth, progress, ticks);
+
+    // Position at one line from bottom
+    this.screen.text(rows - 1, 1, bar, this.theme.status);
+  }
+}
+
+/**
+ * Split text into words, keeping punctuation, hyphens and apostrophes attached
+ * @param {string} text
+ * @param {string|null} lang - Language; text in languages written without
+ *   spaces (Chinese, Japanese, Thai...) is split with a word segmenter
+ * @returns {Array<string>}
+ */
+function parseWords(text, lang = null) {
+  return segmentWords(text, lang).map((word) => word.text);
+}
+
+/**
+ * Word indices where paragraphs start: the first word, and every word after
+ * a blank line in the original text
+ * @param {string} text - Original text
+ * @param {Array<{start: number, end: number}>} segments - Words with their offsets (see segmentWords)
+ * @returns {Array<number>}
+ */
+function findParagraphStarts(text, segments) {
+  const starts = segments.length > 0 ? [0] : [];
+  for (let i = 1; i < segments.length; i++) {
+    if (PARAGRAPH_BREAK.test(text.slice(segments[i - 1].end, segments[i].start))) {
+      starts.push(i);
+    }
+  }
+  return starts;
+}
+
+/**
+ * Index of the word at a char offset: the number of words starting before it
+ * @param {Array<{start: number}>} segments - Words with their offsets (see segmentWords)
+ * @param {number} offset - Char offset in the original text
+ * @returns {number}
+ */
+function wordIndexAt(segments, offset) {
+  let low = 0;
+  let high = segments.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (segments[middle].start < offset) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+/**
+ * Word indices where sentences start: paragraph starts, and words following
+ * sentence-ending punctuation
+ * @param {Array<string>} words
+ * @param {Array<number>} paragraphStarts
+ * @returns {Array<number>}
+ */
+function findSentenceStarts(words, paragraphStarts) {
+  const paragraphs = new Set(paragraphStarts);
+  const starts = [];
+  for (let i = 0; i < words.length; i++) {
+    if (i === 0 || paragraphs.has(i) || SENTENCE_END.test(words[i - 1])) {
+      starts.push(i);
+    }
+  }
+  return starts;
+}
+
+/**
+ * Last boundary before index (the current one if index is past it)
+ * @returns {number} - Word index, or -1 if there is none
+ */
+function previousBoundary(boundaries, index) {
+  for (let i = boundaries.length - 1; i >= 0; i--) {
+    if (boundaries[i] < index) return boundaries[i];
+  }
+  return -1;
+}
+
+/**
+ * First boundary after index
+ * @returns {number} - Word index, or -1 if there is none
+ */
+function nextBoundary(boundaries, index) {
+  return boundaries.find((boundary) => boundary > index) ?? -1;
+}
+
+/**
+ * Whether a word ends a clause or a sentence: chunks never extend past it
+ */
+function endsPhrase(word) {
+  return SENTENCE_END.test(word) || CLAUSE_END.test(word);
+}
+
+/**
+ * Start of the phrase containing a word: the word after the previous
+ * clause punctuation or paragraph start, at most MAX_REWIND_WORDS back
+ * @param {Array<string>} words
+ * @param {number} index - Word index
+ * @param {Array<number>} paragraphStarts - Sorted word indices
+ * @returns {number}
+ */
+function findPhraseStart(words, index, paragraphStarts) {
+  const limit = Math.max(0, index - MAX_REWIND_WORDS);
+  let start = index;
+  while (start > limit && !endsPhrase(words[start - 1]) && !paragraphStarts.includes(start)) {
+    start--;
+  }
+  return start;
+}
+
+/**
+ * Columns between a word and the previous one on a line of the context
+ * peek: a space where the text had one, as joinItems() does in sap.js
+ * @param {Array<boolean>|null} spaced - Whether each word had a space
+ *   before it, null for spaces everywhere
+ * @param {number} index - Word index
+ * @returns {number}
+ */
+function gapWidth(spaced, index) {
+  return !spaced || spaced[index] ? 1 : 0;
+}
+
+/**
+ * Lay out words for the context peek: each paragraph is wrapped to width
+ * like wordWrap() does, and paragraphs are separated by a blank line
+ * @param {Array<string>} words - Document words (without spaces)
+ * @param {number} from - First word to lay out
+ * @param {number} to - End of the words to lay out (exclusive)
+ * @param {Array<number>} paragraphStarts - Word indices of paragraph starts
+ * @param {number} width - Maximum line width
+ * @param {Array<boolean>|null} spaced - Spaces between words, see gapWidth()
+ * @returns {Array<{start: number, end: number}|null>} - Word range of each
+ *   line (end exclusive), null for blank lines
+ */
+function layoutPeek(words, from, to, paragraphStarts, width, spaced = null) {
+  const lines = [];
+  const breaks = paragraphStarts.filter((index) => index > from && index < to);
+  const bounds = [from, ...breaks, to];
+
+  for (let p = 0; p < bounds.length - 1; p++) {
+    if (p > 0) lines.push(null);
+    let start = bounds[p];
+    let lineWidth = 0;
+    for (let i = bounds[p]; i < bounds[p + 1]; i++) {
+      const wordWidth = stringWidth(words[i]);
+      const gap = i > start ? gapWidth(spaced, i) : 0;
+      if (i > start && lineWidth + gap + wordWidth > width) {
+        lines.push({ start, end: i });
+        start = i;
+        lineWidth = wordWidth;
       } else {
-        bar += ' ';
+        lineWidth += gap + wordWidth;
       }
     }
-    bar += ']';
+    if (bounds[p + 1] > start) lines.push({ start, end: bounds[p + 1] });
+  }
 
-    // Position at one line from bottom
-    process.stdout.write(`\x1b[${rows - 1};1H`);
-    process.stdout.write(bar);
+  return lines;
+}
+
+/**
+ * Word of the line above (offset -1) or below (+1) the one containing index,
+ * nearest to its column
+ * @param {Array<string>} words - Document words
+ * @param {Array<{start: number, end: number}|null>} lines - Layout from layoutPeek()
+ * @param {number} index - Current word
+ * @param {number} offset - -1 or 1
+ * @param {Array<boolean>|null} spaced - Spaces between words, see gapWidth()
+ * @returns {number} - Word index, or -1 if there is no such line
+ */
+function wordInAdjacentLine(words, lines, index, offset, spaced = null) {
+  const current = lines.findIndex((line) => line && index >= line.start && index < line.end);
+  if (current === -1) return -1;
+
+  let target = current + offset;
+  while (target >= 0 && target < lines.length && !lines[target]) target += offset;
+  if (target < 0 || target >= lines.length) return -1;
+
+  // Column of the middle of a word in its line
+  const columnOf = (line, wordIndex) => {
+    let column = 0;
+    for (let i = line.start; i < wordIndex; i++) column += stringWidth(words[i]) + gapWidth(spaced, i + 1);
+    return column + stringWidth(words[wordIndex]) / 2;
+  };
+
+  const column = columnOf(lines[current], index);
+  const line = lines[target];
+  let best = line.start;
+  for (let i = line.start; i < line.end; i++) {
+    if (Math.abs(columnOf(line, i) - column) < Math.abs(columnOf(line, best) - column)) best = i;
+  }
+  return best;
+}
+
+/**
+ * Text of the progress bar, with tick marks (e.g. at paragraph starts).
+ * Ticks are left out when too dense to be told apart.
+ * @param {number} width - Inner width, brackets excluded
+ * @param {number} progress - Position from 0 to 1
+ * @param {Array<number>} ticks - Tick positions from 0 to 1
+ * @returns {string}
+ */
+function buildProgressBar(width, progress, ticks = []) {
+  const filledWidth = Math.round(progress * width);
+  const cells = [];
+  for (let i = 0; i < width; i++) {
+    cells.push(i < filledWidth ? '=' : i === filledWidth ? '>' : ' ');
+  }
+
+  if (ticks.length * 2 <= width) {
+    for (const tick of ticks) {
+      const i = Math.round(tick * width);
+      if (i < width && i !== filledWidth) cells[i] = '|';
+    }
   }
+
+  return '[' + cells.join('') + ']';
 }
 
-function parseWords(text) {
-  // Split on whitespace, keeping words with punctuation, hyphens, apostrophes
-  return text
-    .split(/\s+/)
-    .map((w) => w.trim())
-    .filter((w) => w.length > 0);
+/**
+ * Number of letters and digits in a word, for timing by characters
+ */
+function countCharacters(word) {
+  const count = splitGraphemes(word).filter((g) => /[\p{L}\p{N}]/u.test(g)).length;
+  return Math.max(1, count);
 }
 
 function getMedianIndex(word) {
-  // Get the index of the median letter (middle character)
+  // Get the index of the median letter (middle grapheme cluster)
   // For even length, use the character just before middle
-  if (word.length === 0) return 0;
-  if (word.length === 1) return 0;
-  if (word.length === 2) return 0;
-  return Math.floor((word.length - 1) / 2);
+  const length = splitGraphemes(word).length;
+  if (length === 0) return 0;
+  if (length === 1) return 0;
+  if (length === 2) return 0;
+  return Math.floor((length - 1) / 2);
+}
+
+/**
+ * Whether a custom ORP table (see getOrpIndex) is usable
+ */
+function isOrpTable(table) {
+  return Array.isArray(table) && table.length > 0 && table.every((n) => Number.isInteger(n) && n >= 1);
+}
+
+/**
+ * Optimal recognition point of a word: the grapheme index of its fixation
+ * letter. Leading and trailing punctuation is ignored when choosing it.
+ * @param {string} word
+ * @param {Array<number>|null} table - Fixation letter position (1 = first) by
+ *   word length, the last entry applying to longer words; null for the median
+ * @returns {number}
+ */
+function getOrpIndex(word, table = null) {
+  const graphemes = splitGraphemes(word);
+  const isLetter = (g) => /[\p{L}\p{N}]/u.test(g);
+  const first = graphemes.findIndex(isLetter);
+  if (first === -1) return getMedianIndex(word);
+
+  const last = graphemes.findLastIndex(isLetter);
+  const length = last - first + 1;
+  const offset = table
+    ? table[Math.min(length, table.length) - 1] - 1
+    : Math.floor((length - 1) / 2);
+  return first + Math.min(offset, length - 1);
+}
+
+/**
+ * Fixation point of a word or phrase: its optimal recognition point, moved
+ * off a space when it falls between two words of a phrase
+ * @param {string} phrase
+ * @param {Array<number>|null} table - ORP table (see getOrpIndex)
+ * @returns {number}
+ */
+function getFixationIndex(phrase, table = null) {
+  const index = getOrpIndex(phrase, table);
+  return splitGraphemes(phrase)[index] === ' ' ? index - 1 : index;
+}
+
+function isFunctionWord(word) {
+  const bare = word.toLowerCase().replace(/^[^\p{L}]+|[^\p{L}]+$/gu, '');
+  return FUNCTION_WORDS.has(bare);
+}
+
+/**
+ * Group words into phrases of up to maxSize words. A phrase never extends
+ * past clause punctuation or the end of a paragraph or heading, and never
+ * ends on a function word, which sticks to the next word instead ("of the",
+ * "in a").
+ * @param {Array<string>} words - Words to group
+ * @param {number} maxSize - Maximum words per phrase
+ * @param {Array<string>} boundaries - Boundary after each word, from
+ *   findBoundaries() (none if omitted)
+ * @returns {Array<{start: number, end: number}>} - Word index ranges (end exclusive)
+ */
+function chunkWords(words, maxSize, boundaries = []) {
+  const chunks = [];
+  let start = 0;
+  const endsBlock = (index) => boundaries[index] === 'para' || boundaries[index] === 'heading';
+
+  while (start < words.length) {
+    let end = start;
+    while (end < words.length && end - start < maxSize) {
+      end++;
+      if (endsPhrase(words[end - 1]) || endsBlock(end - 1)) break;
+    }
+
+    // Leave trailing function words for the next phrase, keeping at least one word
+    if (end < words.length && !endsPhrase(words[end - 1]) && !endsBlock(end - 1)) {
+      while (end - 1 > start && isFunctionWord(words[end - 1])) {
+        end--;
+      }
+    }
+
+    chunks.push({ start, end });
+    start = end;
+  }
+
+  return chunks;
 }
 
 function wordWrap(text, maxWidth) {
@@ -565,7 +1311,7 @@ function wordWrap(text, maxWidth) {
   let currentLine = '';
 
   for (const word of words) {
-    if (currentLine.length + word.length + 1 <= maxWidth) {
+    if (stringWidth(currentLine) + stringWidth(word) + 1 <= maxWidth) {
       currentLine += (currentLine ? ' ' : '') + word;
     } else {
       if (currentLine) lines.push(currentLine);
@@ -577,4 +1323,20 @@ function wordWrap(text, maxWidth) {
   return lines;
 }
 
-module.exports = { SpeedReader, parseWords, getMedianIndex };
+module.exports = {
+  SpeedReader,
+  parseWords,
+  getMedianIndex,
+  getOrpIndex,
+  isOrpTable,
+  getFixationIndex,
+  chunkWords,
+  wordWrap,
+  findParagraphStarts,
+  findSentenceStarts,
+  buildProgressBar,
+  layoutPeek,
+  wordInAdjacentLine,
+  findPhraseStart,
+  SPRITZ_ORP_TABLE,
+};
@@ -1,17 +1,54 @@
 const fs = require('fs');
 const path = require('path');
+const { decodeEntities, extractArticle, extractSection } = require('./html.js');
 
-const SUPPORTED_FORMATS = ['txt', 'md', 'pdf', 'doc', 'docx'];
+const SUPPORTED_FORMATS = ['txt', 'md', 'html', 'htm', 'pdf', 'doc', 'docx', 'epub'];
 
-async function extractText(source) {
+// Content types a web server may send, mapped to our formats
+const CONTENT_TYPES = {
+  'text/html': 'html',
+  'application/xhtml+xml': 'html',
+  'text/markdown': 'md',
+  'text/x-markdown': 'md',
+  'text/plain': 'txt',
+  'application/pdf': 'pdf',
+  'application/x-pdf': 'pdf',
+  'application/msword': 'doc',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'application/epub+zip': 'epub',
+};
+
+// Content types that say nothing about the format: the URL extension decides
+const GENERIC_CONTENT_TYPES = [
+  '',
+  'application/octet-stream',
+  'binary/octet-stream',
+  'application/download',
+  'application/x-download',
+  'application/force-download',
+];
+
+/**
+ * Extract text from a source along with its chapter structure, when the
+ * format has one.
+ * @param {string} source - File path, URL, or '-' for stdin
+ * @param {object} options - Range selection
+ * @param {{from: number, to: number}} [options.pages] - 1-based page range (PDF only)
+ * @param {string} [options.section] - Heading to read from (markdown and DOC/DOCX only)
+ * @returns {Promise<{text: string, chapters: Array<{title: string, offset: number}>}>}
+ */
+async function extractDocument(source, options = {}) {
   // Handle stdin
   if (source === '-') {
-    return readStdin();
+    if (options.pages || options.section) {
+      throw new Error('--pages and --section cannot be used with stdin');
+    }
+    return { text: await readStdin(), chapters: [] };
   }
 
   // Handle URL
   if (source.startsWith('http://') || source.startsWith('https://')) {
-    return extractFromUrl(source);
+    return extractFromUrl(source, options);
   }
 
   // Handle file
@@ -19,26 +56,57 @@ async function extractText(source) {
     throw new Error(`File not found: ${source}`);
   }
 
-  const ext = path.extname(source).toLowerCase().slice(1);
+  let ext = path.extname(source).toLowerCase().slice(1);
+  if (!SUPPORTED_FORMATS.includes(ext)) {
+    console.error(`Warning: Unknown format '.${ext}', treating as plain text`);
+    ext = 'txt';
+  }
 
-  switch (ext) {
-    case 'txt':
-      return fs.readFileSync(source, 'utf-8');
+  return extractFromBuffer(fs.readFileSync(source), ext, null, options);
+}
 
-    case 'md':
-      return stripMarkdown(fs.readFileSync(source, 'utf-8'));
+async function extractText(source, options = {}) {
+  return (await extractDocument(source, options)).text;
+}
 
+/**
+ * Extract text from raw document bytes
+ * @param {Buffer} buffer - Document content
+ * @param {string} format - One of SUPPORTED_FORMATS
+ * @param {string|null} charset - Text encoding, if known (text formats only)
+ * @param {object} options - Range selection, see extractDocument
+ * @returns {Promise<{text: string, chapters: Array<{title: string, offset: number}>}>}
+ */
+async function extractFromBuffer(buffer, format, charset = null, options = {}) {
+  if (options.pages && format !== 'pdf') {
+    throw new Error(`--pages is only supported for PDF documents, not ${format}`);
+  }
+  if (options.section && !['md', 'doc', 'docx'].includes(format)) {
+    throw new Error(`--section is only supported for markdown and DOC/DOCX documents, not ${format}`);
+  }
+
+  switch (format) {
     case 'pdf':
-      return extractFromPdf(source);
+      return { text: await extractFromPdf(buffer, options.pages), chapters: [] };
 
     case 'doc':
     case 'docx':
-      return extractFromDoc(source);
+      return { text: await extractFromDoc(buffer, options.section), chapters: [] };
 
-    default:
-      console.error(`Warning: Unknown format '.${ext}', treating as plain text`);
-      return fs.readFileSync(source, 'utf-8');
+    case 'epub':
+      return extractFromEpub(buffer);
   }
+
+  const isHtml = format === 'html' || format === 'htm';
+  const text = decodeText(buffer, charset || (isHtml ? sniffHtmlCharset(buffer) : null));
+
+  if (format === 'md') {
+    return { text: await stripMarkdown(text, options.section), chapters: [] };
+  }
+  if (isHtml) {
+    return { text: extractArticle(text).text, chapters: [] };
+  }
+  return { text, chapters: [] };
 }
 
 async function readStdin() {
@@ -60,75 +128,325 @@ async function readStdin() {
   });
 }
 
-async function extractFromUrl(url) {
+async function extractFromUrl(url, options = {}) {
+  let response;
+  let buffer;
   try {
-    const response = await fetch(url);
+    // Redirects are followed; response.url is the final location
+    response = await fetch(url, { redirect: 'follow' });
 
     if (!response.ok) {
       throw new Error(`HTTP ${response.status}: ${response.statusText}`);
     }
 
-    const contentType = response.headers.get('content-type') || '';
-    const text = await response.text();
-
-    // If HTML, try to extract text content
-    if (contentType.includes('text/html')) {
-      return extractTextFromHtml(text);
-    }
-
-    return text;
+    buffer = Buffer.from(await response.arrayBuffer());
   } catch (err) {
     throw new Error(`Failed to fetch URL: ${err.message}`);
   }
+
+  const contentType = response.headers.get('content-type') || '';
+  const format = detectUrlFormat(contentType, response.url || url);
+  if (!format) {
+    const mimeType = contentType.split(';')[0].trim();
+    throw new Error(`Unsupported content type '${mimeType}' at ${url} (supported formats: ${SUPPORTED_FORMATS.join(', ')})`);
+  }
+
+  return extractFromBuffer(buffer, format, getCharset(contentType), options);
 }
 
-function extractTextFromHtml(html) {
-  // Remove script and style tags
-  let text = html.replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '');
-  text = text.replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '');
+/**
+ * Pick a format from the Content-Type header, falling back to the URL
+ * extension when the server sends a generic type.
+ * @returns {string|null} - Format, or null if unsupported
+ */
+function detectUrlFormat(contentType, url) {
+  const mimeType = contentType.split(';')[0].trim().toLowerCase();
+  const ext = path.posix.extname(new URL(url).pathname).toLowerCase().slice(1);
+  const extFormat = SUPPORTED_FORMATS.includes(ext) ? ext : null;
+
+  if (GENERIC_CONTENT_TYPES.includes(mimeType)) {
+    // No type at all: assume text, as browsers do
+    return extFormat || (mimeType === '' ? 'txt' : null);
+  }
 
-  // Remove HTML tags
-  text = text.replace(/<[^>]+>/g, ' ');
+  const format = CONTENT_TYPES[mimeType] || (mimeType.startsWith('text/') ? 'txt' : null);
 
-  // Decode common HTML entities
-  text = text.replace(/&nbsp;/g, ' ');
-  text = text.replace(/&amp;/g, '&');
-  text = text.replace(/&lt;/g, '<');
-  text = text.replace(/&gt;/g, '>');
-  text = text.replace(/&quot;/g, '"');
-  text = text.replace(/&#39;/g, "'");
+  // Raw markdown is commonly served as text/plain
+  if (format === 'txt' && extFormat === 'md') {
+    return 'md';
+  }
+  return format;
+}
 
-  // Normalize whitespace
-  text = text.replace(/\s+/g, ' ').trim();
+function getCharset(contentType) {
+  const match = contentType.match(/charset\s*=\s*"?([^";\s]+)/i);
+  return match ? match[1] : null;
+}
 
-  return text;
+function sniffHtmlCharset(buffer) {
+  // <meta charset="..."> or http-equiv content type, within the first bytes
+  const head = buffer.subarray(0, 1024).toString('latin1');
+  const match = head.match(/<meta[^>]+charset\s*=\s*["']?([\w-]+)/i);
+  return match ? match[1] : null;
 }
 
-async function extractFromPdf(filePath) {
+function decodeText(buffer, charset) {
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(buffer);
+  } catch {
+    // Unknown charset label, fall back to UTF-8
+    return new TextDecoder('utf-8').decode(buffer);
+  }
+}
+
+/**
+ * Convert an XHTML document to text, keeping block elements as paragraphs
+ * separated by blank lines.
+ */
+function xhtmlToText(xhtml) {
+  const bodyMatch = xhtml.match(/<body[^>]*>([\s\S]*)<\/body>/i);
+  let text = bodyMatch ? bodyMatch[1] : xhtml;
+
+  text = text.replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '');
+  text = text.replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '');
+
+  // Block boundaries become paragraph breaks, <br> a plain line break
+  text = text.replace(/<\/?(p|div|h[1-6]|li|blockquote|section|article|tr|pre|hr)\b[^>]*>/gi, '\n\n');
+  text = text.replace(/<br\s*\/?>/gi, '\n');
+  text = text.replace(/<[^>]+>/g, '');
+  text = decodeEntities(text);
+
+  return text
+    .split(/\n\s*\n/)
+    .map((para) => para.replace(/\s+/g, ' ').trim())
+    .filter((para) => para.length > 0)
+    .join('\n\n');
+}
+
+/**
+ * Extract text from a PDF, optionally restricted to a page range
+ * @param {Buffer} dataBuffer - PDF content
+ * @param {{from: number, to: number}|null} pages - 1-based inclusive page range
+ * @returns {Promise<string>}
+ */
+async function extractFromPdf(dataBuffer, pages = null) {
   try {
     const pdfParse = require('pdf-parse');
-    const dataBuffer = fs.readFileSync(filePath);
-    const data = await pdfParse(dataBuffer);
-    return data.text;
+
+    if (!pages) {
+      const data = await pdfParse(dataBuffer);
+      return data.text;
+    }
+
+    // Render only the selected pages and stop parsing after the last one
+    const pageTexts = [];
+    const data = await pdfParse(dataBuffer, {
+      max: pages.to,
+      pagerender: async (pageData) => {
+        if (pageData.pageNumber < pages.from) return '';
+        const text = await renderPdfPage(pageData);
+        pageTexts.push(text);
+        return text;
+      },
+    });
+
+    if (pages.from > data.numpages) {
+      throw new Error(`page ${pages.from} is past the end of the document (${data.numpages} pages)`);
+    }
+    return pageTexts.join('\n\n');
   } catch (err) {
     throw new Error(`Failed to extract text from PDF: ${err.message}`);
   }
 }
 
-async function extractFromDoc(filePath) {
+/**
+ * Render the text of one PDF page, one line per text row
+ * (same as pdf-parse's default renderer)
+ */
+async function renderPdfPage(pageData) {
+  const textContent = await pageData.getTextContent({
+    normalizeWhitespace: false,
+    disableCombineTextItems: false,
+  });
+
+  let lastY;
+  let text = '';
+  for (const item of textContent.items) {
+    const y = item.transform[5];
+    text += (lastY === undefined || lastY === y) ? item.str : '\n' + item.str;
+    lastY = y;
+  }
+  return text;
+}
+
+/**
+ * Extract text from a Word document, optionally restricted to a section
+ * @param {Buffer} buffer - DOC/DOCX content
+ * @param {string|null} section - Heading to read from
+ * @returns {Promise<string>}
+ */
+async function extractFromDoc(buffer, section = null) {
+  let result;
   try {
     const mammoth = require('mammoth');
-    const result = await mammoth.extractRawText({ path: filePath });
-    return result.value;
+    if (!section) {
+      result = await mammoth.extractRawText({ buffer });
+      return result.value;
+    }
+    // Headings only survive the HTML conversion
+    result = await mammoth.convertToHtml({ buffer });
   } catch (err) {
     throw new Error(`Failed to extract text from DOC/DOCX: ${err.message}`);
   }
+  return extractSection(result.value, section).join('\n\n');
 }
 
-function stripMarkdown(text) {
-  const { marked } = require('marked');
+/**
+ * Extract text from an EPUB (2 or 3) book, following the OPF spine order.
+ * Chapter titles come from the EPUB 3 navigation document, or from the
+ * NCX table of contents for EPUB 2 books.
+ * @param {Buffer} buffer - Content of the .epub file
+ * @returns {Promise<{text: string, chapters: Array<{title: string, offset: number}>}>}
+ */
+async function extractFromEpub(buffer) {
+  try {
+    const JSZip = require('jszip');
+    const zip = await JSZip.loadAsync(buffer);
+
+    const readEntry = async (name) => {
+      const entry = zip.file(name);
+      if (!entry) {
+        throw new Error(`Missing ${name} in archive`);
+      }
+      return entry.async('string');
+    };
+
+    // The container points at the OPF package document
+    const container = await readEntry('META-INF/container.xml');
+    const rootfile = getAttribute(container.match(/<rootfile\b[^>]*>/i)?.[0] || '', 'full-path');
+    if (!rootfile) {
+      throw new Error('No rootfile in META-INF/container.xml');
+    }
+    const opf = await readEntry(rootfile);
+    const opfDir = path.posix.dirname(rootfile);
+
+    // Manifest: id -> { path, mediaType, properties }
+    const manifest = new Map();
+    for (const tag of opf.match(/<(?:opf:)?item\b[^>]*>/gi) || []) {
+      const id = getAttribute(tag, 'id');
+      const href = getAttribute(tag, 'href');
+      if (!id || !href) continue;
+      manifest.set(id, {
+        path: resolveHref(opfDir, href),
+        mediaType: getAttribute(tag, 'media-type') || '',
+        properties: getAttribute(tag, 'properties') || '',
+      });
+    }
+
+    // Spine: reading order
+    const spineTag = opf.match(/<(?:opf:)?spine\b[^>]*>/i)?.[0] || '';
+    const spine = [];
+    for (const tag of opf.match(/<(?:opf:)?itemref\b[^>]*>/gi) || []) {
+      const item = manifest.get(getAttribute(tag, 'idref'));
+      if (item && getAttribute(tag, 'linear') !== 'no') {
+        spine.push(item.path);
+      }
+    }
+
+    const titles = await readEpubToc(manifest, getAttribute(spineTag, 'toc'), readEntry);
+
+    const parts = [];
+    const chapters = [];
+    let offset = 0;
+    for (const docPath of spine) {
+      const entry = zip.file(docPath);
+      if (!entry) continue;
+      const text = xhtmlToText(await entry.async('string'));
+      if (text.length === 0) continue;
+
+      if (titles.has(docPath)) {
+        chapters.push({ title: titles.get(docPath), offset });
+      }
+      parts.push(text);
+      offset += text.length + 2; // account for the '\n\n' separator
+    }
+
+    return { text: parts.join('\n\n'), chapters };
+  } catch (err) {
+    throw new Error(`Failed to extract text from EPUB: ${err.message}`);
+  }
+}
+
+/**
+ * Read chapter titles from the EPUB 3 nav document, falling back to the
+ * EPUB 2 NCX. Only the first entry pointing at a given document is kept.
+ * @returns {Promise<Map<string, string>>} - Content document path -> title
+ */
+async function readEpubToc(manifest, ncxId, readEntry) {
+  const titles = new Map();
+  const addTitle = (baseDir, href, label) => {
+    const title = decodeEntities(label.replace(/<[^>]+>/g, '')).replace(/\s+/g, ' ').trim();
+    const docPath = resolveHref(baseDir, href);
+    if (title && !titles.has(docPath)) {
+      titles.set(docPath, title);
+    }
+  };
+
+  const nav = [...manifest.values()].find((item) => item.properties.split(/\s+/).includes('nav'));
+  if (nav) {
+    const navDoc = await readEntry(nav.path);
+    // Prefer the toc <nav>, ignoring landmarks and page lists
+    const tocNav = (navDoc.match(/<nav\b[^>]*>[\s\S]*?<\/nav>/gi) || [])
+      .find((block) => /epub:type\s*=\s*["']toc["']/i.test(block)) || navDoc;
+    const linkRegex = /<a\b([^>]*)>([\s\S]*?)<\/a>/gi;
+    let match;
+    while ((match = linkRegex.exec(tocNav)) !== null) {
+      const href = getAttribute(match[1], 'href');
+      if (href) addTitle(path.posix.dirname(nav.path), href, match[2]);
+    }
+    if (titles.size > 0) return titles;
+  }
+
+  const ncx = manifest.get(ncxId)
+    || [...manifest.values()].find((item) => item.mediaType === 'application/x-dtbncx+xml');
+  if (ncx) {
+    const ncxDoc = await readEntry(ncx.path);
+    // navPoints nest, so pair each label with the content tag that follows it
+    const pointRegex = /<navLabel\b[^>]*>\s*<text\b[^>]*>([\s\S]*?)<\/text>\s*<\/navLabel>\s*(<content\b[^>]*>)/gi;
+    let match;
+    while ((match = pointRegex.exec(ncxDoc)) !== null) {
+      const src = getAttribute(match[2], 'src');
+      if (src) addTitle(path.posix.dirname(ncx.path), src, match[1]);
+    }
+  }
+
+  return titles;
+}
+
+function getAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)')`, 'i'));
+  if (!match) return null;
+  return decodeEntities(match[2] ?? match[3]);
+}
+
+function resolveHref(baseDir, href) {
+  let target = href.split('#')[0];
+  try {
+    target = decodeURIComponent(target);
+  } catch {
+    // A stray % (not an escape): the href is the file name as is
+  }
+  return path.posix.normalize(path.posix.join(baseDir, target)).replace(/^\.\//, '');
+}
+
+async function stripMarkdown(text, section = null) {
+  // marked ships only as an ES module, which require() cannot load before Node 20.19
+  const { marked } = await import('marked');
   const html = marked(text);
-  return extractTextFromHtml(html);
+  if (section) {
+    return extractSection(html, section).join('\n\n');
+  }
+  return xhtmlToText(html);
 }
 
-module.exports = { extractText, SUPPORTED_FORMATS };
+module.exports = { extractText, extractDocument, SUPPORTED_FORMATS };
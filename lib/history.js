@@ -0,0 +1,293 @@
+/**
+ * Reading history: one JSON line per session in ~/.srit-history.jsonl
+ * (fields documented in the README), and the figures shown by `srit stats`:
+ * daily and weekly totals, speed trend, comprehension against speed, and
+ * the daily goal streak.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { getCacheKey } = require('./cache.js');
+const { getSourceId } = require('./resume.js');
+const { formatDuration } = require('./hud.js');
+
+const HISTORY_PATH = path.join(os.homedir(), '.srit-history.jsonl');
+const HISTORY_VERSION = 1;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+// Shorter sessions give too noisy a speed for the trend and correlation
+const MIN_SESSION_WORDS = 50;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * History entry of a finished session
+ * @param {object} session
+ * @param {string} session.source - File path, URL or "-"
+ * @param {string} session.text - Document text
+ * @param {number} session.startIndex - Word index the session started at
+ * @param {object} session.result - Result of SpeedReader.start()
+ * @param {boolean} session.auto - Adaptive pacing was on
+ * @param {boolean} session.check - Comprehension check was on
+ * @param {number} [session.endedAt] - End of the session (ms since epoch)
+ * @returns {object}
+ */
+function createEntry({ source, text, startIndex, result, auto, check, endedAt = Date.now() }) {
+  return {
+    version: HISTORY_VERSION,
+    date: new Date(endedAt - result.elapsedTime).toISOString(),
+    source: source === '-' ? '-' : getSourceId(source),
+    hash: getCacheKey(text),
+    from: startIndex,
+    to: result.wordsRead,
+    totalWords: result.totalWords,
+    finished: result.wordsRead >= result.totalWords,
+    wordsRead: result.wordsDisplayed,
+    durationMs: result.elapsedTime,
+    readingMs: result.displayTime,
+    wpm: result.wordsDisplayed > 0 ? result.averageWPM : null,
+    pauses: result.pauses,
+    rewinds: result.rewinds,
+    auto: Boolean(auto),
+    score: check ? result.score : null,
+    questions: check ? result.total : null,
+  };
+}
+
+/**
+ * Append a session to the history
+ * @param {object} entry - From createEntry()
+ * @param {string} [file]
+ */
+function appendHistory(entry, file = HISTORY_PATH) {
+  try {
+    fs.appendFileSync(file, JSON.stringify(entry) + '\n', 'utf-8');
+  } catch {
+    // Ignore write errors, the history is a convenience
+  }
+}
+
+/**
+ * Sessions of the history, oldest first. Unreadable lines are skipped.
+ * @param {string} [file]
+ * @returns {Array<object>}
+ */
+function readHistory(file = HISTORY_PATH) {
+  let data;
+  try {
+    data = fs.readFileSync(file, 'utf-8');
+  } catch {
+    return [];
+  }
+
+  return data
+    .split('\n')
+    .map((line) => {
+      try {
+        return line.trim() ? JSON.parse(line) : null;
+      } catch {
+        return null;
+      }
+    })
+    .filter((entry) => entry && typeof entry.date === 'string' && !isNaN(Date.parse(entry.date)))
+    .sort((a, b) => Date.parse(a.date) - Date.parse(b.date));
+}
+
+/**
+ * Local calendar day of a date, as YYYY-MM-DD
+ */
+function dayKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+/**
+ * Totals of a group of sessions
+ */
+function totals(entries) {
+  const words = entries.reduce((sum, e) => sum + (e.wordsRead || 0), 0);
+  const readingMs = entries.reduce((sum, e) => sum + (e.readingMs || 0), 0);
+  return {
+    sessions: entries.length,
+    words,
+    durationMs: entries.reduce((sum, e) => sum + (e.durationMs || 0), 0),
+    wpm: readingMs > 0 ? Math.round(words / (readingMs / 60000)) : null,
+  };
+}
+
+/**
+ * Least squares slope of y over x
+ */
+function slope(points) {
+  const n = points.length;
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+  let num = 0;
+  let den = 0;
+  for (const p of points) {
+    num += (p.x - meanX) * (p.y - meanY);
+    den += (p.x - meanX) ** 2;
+  }
+  return den === 0 ? null : num / den;
+}
+
+/**
+ * Pearson correlation coefficient of y and x
+ */
+function correlation(points) {
+  const n = points.length;
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+  let cov = 0;
+  let varX = 0;
+  let varY = 0;
+  for (const p of points) {
+    cov += (p.x - meanX) * (p.y - meanY);
+    varX += (p.x - meanX) ** 2;
+    varY += (p.y - meanY) ** 2;
+  }
+  return varX === 0 || varY === 0 ? null : cov / Math.sqrt(varX * varY);
+}
+
+/**
+ * Figures of `srit stats`
+ * @param {Array<object>} entries - From readHistory()
+ * @param {object} [options]
+ * @param {Date} [options.now]
+ * @param {number} [options.days] - Days listed
+ * @param {number} [options.weeks] - Weeks listed (starting on Monday)
+ * @param {number} [options.goal] - Daily words goal, 0 for none
+ * @returns {object}
+ */
+function summarizeHistory(entries, { now = new Date(), days = 7, weeks = 4, goal = 0 } = {}) {
+  const byDay = new Map();
+  for (const entry of entries) {
+    const key = dayKey(new Date(entry.date));
+    if (!byDay.has(key)) byDay.set(key, []);
+    byDay.get(key).push(entry);
+  }
+
+  const today = startOfDay(now);
+  const dayList = [];
+  for (let i = days - 1; i >= 0; i--) {
+    const date = addDays(today, -i);
+    dayList.push({ date, ...totals(byDay.get(dayKey(date)) || []) });
+  }
+
+  const monday = addDays(today, -((today.getDay() + 6) % 7));
+  const weekList = [];
+  for (let i = weeks - 1; i >= 0; i--) {
+    const start = addDays(monday, -7 * i);
+    const end = addDays(start, 7);
+    weekList.push({ start, ...totals(entries.filter((e) => new Date(e.date) >= start && new Date(e.date) < end)) });
+  }
+
+  // Speed trend, in WPM per week, over sessions long enough to tell
+  const timed = entries.filter((e) => e.wpm && e.wordsRead >= MIN_SESSION_WORDS);
+  const trendSlope = timed.length >= 2
+    ? slope(timed.map((e) => ({ x: Date.parse(e.date) / WEEK_MS, y: e.wpm })))
+    : null;
+
+  // Comprehension against speed, over checked sessions
+  const checked = timed.filter((e) => e.questions > 0);
+  const r = checked.length >= 3
+    ? correlation(checked.map((e) => ({ x: e.wpm, y: e.score / e.questions })))
+    : null;
+
+  let streak = null;
+  if (goal > 0) {
+    const wordsOn = (date) => totals(byDay.get(dayKey(date)) || []).words;
+    // Today still counts for the streak until it is over
+    let date = wordsOn(today) >= goal ? today : addDays(today, -1);
+    let count = 0;
+    while (wordsOn(date) >= goal) {
+      count++;
+      date = addDays(date, -1);
+    }
+    streak = { goal, today: wordsOn(today), days: count };
+  }
+
+  return {
+    total: totals(entries),
+    days: dayList,
+    weeks: weekList,
+    trend: trendSlope === null ? null : { wpmPerWeek: trendSlope, sessions: timed.length },
+    correlation: r === null ? null : { r, sessions: checked.length },
+    streak,
+  };
+}
+
+function formatRow(label, row) {
+  if (row.sessions === 0) return `  ${label}  -`;
+  const sessions = `${row.sessions} session${row.sessions === 1 ? '' : 's'}`;
+  const wpm = row.wpm === null ? '' : `  ${row.wpm} WPM`;
+  return `  ${label}  ${sessions.padEnd(12)}${String(row.words).padStart(7)} words  ${formatDuration(row.durationMs).padStart(7)}${wpm}`;
+}
+
+/**
+ * Lines printed by `srit stats`
+ * @param {object} summary - From summarizeHistory()
+ * @returns {Array<string>}
+ */
+function formatStats(summary) {
+  const { total } = summary;
+  if (total.sessions === 0) {
+    return ['No reading sessions recorded yet.'];
+  }
+
+  const lines = [
+    `Sessions: ${total.sessions}, ${total.words} words in ${formatDuration(total.durationMs)}` +
+      (total.wpm === null ? '' : ` (${total.wpm} WPM)`),
+    '',
+    `Last ${summary.days.length} days`,
+    ...summary.days.map((day) => formatRow(`${WEEKDAYS[day.date.getDay()]} ${dayKey(day.date)}`, day)),
+    '',
+    `Last ${summary.weeks.length} weeks`,
+    ...summary.weeks.map((week) => formatRow(`Week of ${dayKey(week.start)}`, week)),
+    '',
+  ];
+
+  if (summary.trend) {
+    const { wpmPerWeek, sessions } = summary.trend;
+    const rounded = Math.round(wpmPerWeek);
+    lines.push(`Speed trend: ${rounded > 0 ? '+' : ''}${rounded} WPM per week (${sessions} sessions)`);
+  } else {
+    lines.push('Speed trend: not enough sessions yet');
+  }
+
+  if (summary.correlation) {
+    const { r, sessions } = summary.correlation;
+    let reading = 'no clear link';
+    if (r <= -0.3) reading = 'scores drop as speed rises';
+    if (r >= 0.3) reading = 'scores hold up as speed rises';
+    lines.push(`Comprehension vs speed: r = ${r.toFixed(2)} over ${sessions} checked sessions (${reading})`);
+  }
+
+  if (summary.streak) {
+    const { goal, today, days } = summary.streak;
+    lines.push(`Daily goal: ${today}/${goal} words today, streak of ${days} day${days === 1 ? '' : 's'}`);
+  }
+
+  return lines;
+}
+
+module.exports = {
+  HISTORY_PATH,
+  createEntry,
+  appendHistory,
+  readHistory,
+  summarizeHistory,
+  formatStats,
+};
@@ -0,0 +1,502 @@
+/**
+ * HTML helpers: entity decoding, a small tolerant parser, a
+ * Readability-style main-content extractor for web pages, and
+ * heading-based section selection.
+ */
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'param', 'source', 'track', 'wbr',
+]);
+
+// Elements whose content is not markup
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+// Elements that start a new paragraph when converting to text
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'body', 'dd', 'div', 'dl', 'dt',
+  'figcaption', 'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'header', 'hr', 'li', 'main', 'ol', 'p', 'pre', 'section', 'table', 'tr', 'ul',
+]);
+
+// Never part of the readable content
+const STRIP_ELEMENTS = new Set([
+  'script', 'style', 'noscript', 'template', 'nav', 'aside', 'form', 'iframe',
+  'svg', 'button', 'select', 'input', 'textarea', 'object', 'embed',
+]);
+const STRIP_ROLES = /^(navigation|banner|contentinfo|complementary|dialog|alertdialog|menu|menubar)$/i;
+
+const UNLIKELY_CANDIDATES = /banner|breadcrumb|combx|comment|community|consent|cookie|disqus|extra|foot|gdpr|header|legends|menu|modal|newsletter|pager|pagination|popup|promo|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|supplemental|nav/i;
+const MAYBE_CANDIDATE = /and|article|body|column|content|main|shadow/i;
+const NEGATIVE_CLASS = /hidden|banner|combx|comment|com-|contact|cookie|foot|footnote|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i;
+const POSITIVE_CLASS = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story/i;
+const BYLINE_CLASS = /byline|author|writtenby|p-author/i;
+
+// Elements whose text is scored as a paragraph
+const SCORED_ELEMENTS = new Set(['p', 'pre', 'td']);
+
+// Minimum text length for a paragraph to count towards its ancestors
+const MIN_PARAGRAPH_LENGTH = 25;
+
+const HEADING_TAG = /^h([1-6])$/;
+
+/**
+ * Character of a numeric entity: U+FFFD for code points that are not
+ * characters (surrogates, or past U+10FFFF)
+ */
+function fromCodePoint(code) {
+  if (code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff)) return '\ufffd';
+  return String.fromCodePoint(code);
+}
+
+// Latin-1 characters U+00A0 to U+00FF, by entity name
+const LATIN1_ENTITIES = [
+  'nbsp', 'iexcl', 'cent', 'pound', 'curren', 'yen', 'brvbar', 'sect', 'uml', 'copy', 'ordf', 'laquo',
+  'not', 'shy', 'reg', 'macr', 'deg', 'plusmn', 'sup2', 'sup3', 'acute', 'micro', 'para', 'middot',
+  'cedil', 'sup1', 'ordm', 'raquo', 'frac14', 'frac12', 'frac34', 'iquest', 'Agrave', 'Aacute', 'Acirc',
+  'Atilde', 'Auml', 'Aring', 'AElig', 'Ccedil', 'Egrave', 'Eacute', 'Ecirc', 'Euml', 'Igrave', 'Iacute',
+  'Icirc', 'Iuml', 'ETH', 'Ntilde', 'Ograve', 'Oacute', 'Ocirc', 'Otilde', 'Ouml', 'times', 'Oslash',
+  'Ugrave', 'Uacute', 'Ucirc', 'Uuml', 'Yacute', 'THORN', 'szlig', 'agrave', 'aacute', 'acirc', 'atilde',
+  'auml', 'aring', 'aelig', 'ccedil', 'egrave', 'eacute', 'ecirc', 'euml', 'igrave', 'iacute', 'icirc',
+  'iuml', 'eth', 'ntilde', 'ograve', 'oacute', 'ocirc', 'otilde', 'ouml', 'divide', 'oslash', 'ugrave',
+  'uacute', 'ucirc', 'uuml', 'yacute', 'thorn', 'yuml',
+];
+
+// Named entities decoded: markup characters, Latin-1, and the typographic
+// ones common in articles (quotes, dashes, ellipsis...)
+const NAMED_ENTITIES = {
+  ...Object.fromEntries(LATIN1_ENTITIES.map((name, i) => [name, String.fromCharCode(0xa0 + i)])),
+  // A plain space, so that words around it split as usual
+  nbsp: ' ',
+  quot: '"', amp: '&', apos: "'", lt: '<', gt: '>',
+  OElig: 'Œ', oelig: 'œ', Scaron: 'Š', scaron: 'š', Yuml: 'Ÿ', fnof: 'ƒ', circ: 'ˆ', tilde: '˜',
+  ensp: '\u2002', emsp: '\u2003', thinsp: '\u2009', zwnj: '\u200c', zwj: '\u200d', lrm: '\u200e', rlm: '\u200f',
+  ndash: '–', mdash: '—', lsquo: '‘', rsquo: '’', sbquo: '‚', ldquo: '“', rdquo: '”', bdquo: '„',
+  dagger: '†', Dagger: '‡', bull: '•', hellip: '…', permil: '‰', prime: '′', Prime: '″',
+  lsaquo: '‹', rsaquo: '›', euro: '€', trade: '™', minus: '−',
+  larr: '←', uarr: '↑', rarr: '→', darr: '↓', harr: '↔',
+};
+
+/**
+ * Decode named HTML entities (see NAMED_ENTITIES) and numeric ones. Unknown
+ * names are left as they are.
+ * @param {string} text - Text with entities
+ * @returns {string}
+ */
+function decodeEntities(text) {
+  // In one pass, so that "&amp;lt;" decodes to "&lt;" and not "<"
+  return text.replace(/&(?:#x([0-9a-f]+)|#(\d+)|([a-z][a-z0-9]*));/gi, (entity, hex, dec, name) => {
+    if (hex) return fromCodePoint(parseInt(hex, 16));
+    if (dec) return fromCodePoint(parseInt(dec, 10));
+    return Object.hasOwn(NAMED_ENTITIES, name) ? NAMED_ENTITIES[name] : entity;
+  });
+}
+
+/**
+ * Parse HTML into a lightweight element tree. Unknown closing tags are
+ * ignored and unclosed elements are closed by their ancestors, so any
+ * real-world page yields a tree.
+ * @param {string} html - HTML source
+ * @returns {{tag: string, attrs: object, children: Array, parent: object|null}}
+ */
+function parseHtml(html) {
+  const root = { tag: '#root', attrs: {}, children: [], parent: null };
+  const tagRegex = /<!--[\s\S]*?-->|<![^>]*>|<\?[^>]*>|<\/([a-zA-Z][\w:-]*)\s*>|<([a-zA-Z][\w:-]*)((?:\s+[^\s=/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*\/?>/g;
+  let current = root;
+  let lastIndex = 0;
+  let match;
+  // For the closing tags of raw text elements; only ASCII letters are
+  // lowercased, so that offsets match the source
+  const lowerHtml = html.replace(/[A-Z]+/g, (letters) => letters.toLowerCase());
+
+  const appendText = (text) => {
+    if (text.length > 0) {
+      current.children.push({ tag: '#text', text, parent: current });
+    }
+  };
+
+  while ((match = tagRegex.exec(html)) !== null) {
+    appendText(html.slice(lastIndex, match.index));
+    lastIndex = tagRegex.lastIndex;
+
+    const [, closeTag, openTag, rawAttrs] = match;
+
+    if (closeTag) {
+      // Pop up to the matching open element, if there is one
+      const tag = closeTag.toLowerCase();
+      let node = current;
+      while (node !== root && node.tag !== tag) node = node.parent;
+      if (node !== root) current = node.parent;
+      continue;
+    }
+
+    if (!openTag) continue; // comment, doctype or processing instruction
+
+    const tag = openTag.toLowerCase();
+
+    // A block element implicitly closes an open paragraph, a list item the previous one
+    if ((BLOCK_ELEMENTS.has(tag) && current.tag === 'p') || (tag === 'li' && current.tag === 'li')) {
+      current = current.parent;
+    }
+
+    const element = { tag, attrs: parseAttributes(rawAttrs || ''), children: [], parent: current };
+    current.children.push(element);
+
+    if (RAW_TEXT_ELEMENTS.has(tag)) {
+      const end = lowerHtml.indexOf(`</${tag}`, lastIndex);
+      const stop = end === -1 ? html.length : end;
+      if (tag === 'title' || tag === 'textarea') {
+        element.children.push({ tag: '#text', text: html.slice(lastIndex, stop), parent: element });
+      }
+      const close = html.indexOf('>', stop);
+      lastIndex = close === -1 ? html.length : close + 1;
+      tagRegex.lastIndex = lastIndex;
+    } else if (!VOID_ELEMENTS.has(tag) && !match[0].endsWith('/>')) {
+      current = element;
+    }
+  }
+  appendText(html.slice(lastIndex));
+
+  return root;
+}
+
+function parseAttributes(raw) {
+  const attrs = {};
+  const attrRegex = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let match;
+  while ((match = attrRegex.exec(raw)) !== null) {
+    attrs[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+  }
+  return attrs;
+}
+
+function findAll(node, predicate, results = []) {
+  for (const child of node.children || []) {
+    if (child.tag === '#text') continue;
+    if (predicate(child)) results.push(child);
+    findAll(child, predicate, results);
+  }
+  return results;
+}
+
+// Text and link text length of each element, computed once: candidates
+// are measured again with their ancestors and siblings
+const textCache = new WeakMap();
+const linkLengthCache = new WeakMap();
+
+function removeNode(node) {
+  const siblings = node.parent.children;
+  siblings.splice(siblings.indexOf(node), 1);
+  for (let ancestor = node.parent; ancestor; ancestor = ancestor.parent) {
+    textCache.delete(ancestor);
+    linkLengthCache.delete(ancestor);
+  }
+}
+
+/**
+ * Get the whitespace-normalized text of a node
+ */
+function innerText(node) {
+  if (node.tag === '#text') {
+    return decodeEntities(node.text).replace(/\s+/g, ' ');
+  }
+  if (textCache.has(node)) return textCache.get(node);
+  let text = '';
+  for (const child of node.children) {
+    text += innerText(child);
+    if (child.tag === 'br' || BLOCK_ELEMENTS.has(child.tag)) text += ' ';
+  }
+  text = text.replace(/\s+/g, ' ').trim();
+  textCache.set(node, text);
+  return text;
+}
+
+/**
+ * Convert a node to text, with blank lines between block elements
+ */
+function toParagraphs(node) {
+  const paragraphs = [];
+  let currentText = '';
+
+  const flush = () => {
+    const text = currentText.replace(/\s+/g, ' ').trim();
+    if (text.length > 0) paragraphs.push(text);
+    currentText = '';
+  };
+
+  const walk = (n) => {
+    if (n.tag === '#text') {
+      currentText += decodeEntities(n.text);
+      return;
+    }
+    if (n.tag === 'br' || n.tag === 'td' || n.tag === 'th') {
+      currentText += ' ';
+    }
+    const isBlock = BLOCK_ELEMENTS.has(n.tag);
+    if (isBlock) flush();
+    for (const child of n.children) walk(child);
+    if (isBlock) flush();
+  };
+
+  walk(node);
+  flush();
+  return paragraphs;
+}
+
+function linkLength(node) {
+  if (node.tag === '#text') return 0;
+  if (node.tag === 'a') return innerText(node).length;
+  if (linkLengthCache.has(node)) return linkLengthCache.get(node);
+  const length = node.children.reduce((sum, child) => sum + linkLength(child), 0);
+  linkLengthCache.set(node, length);
+  return length;
+}
+
+function linkDensity(node) {
+  const textLength = innerText(node).length;
+  if (textLength === 0) return 0;
+  let length = 0;
+  for (const child of node.children) length += linkLength(child);
+  return length / textLength;
+}
+
+function classWeight(node) {
+  let weight = 0;
+  for (const value of [node.attrs.class, node.attrs.id]) {
+    if (!value) continue;
+    if (NEGATIVE_CLASS.test(value)) weight -= 25;
+    if (POSITIVE_CLASS.test(value)) weight += 25;
+  }
+  return weight;
+}
+
+function initialScore(node) {
+  let score = classWeight(node);
+  switch (node.tag) {
+    case 'article':
+      score += 10;
+      break;
+    case 'div':
+    case 'main':
+    case 'section':
+      score += 5;
+      break;
+    case 'pre':
+    case 'td':
+    case 'blockquote':
+      score += 3;
+      break;
+    case 'address':
+    case 'ol':
+    case 'ul':
+    case 'dl':
+    case 'dd':
+    case 'dt':
+    case 'li':
+    case 'form':
+      score -= 3;
+      break;
+    case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6':
+    case 'th':
+      score -= 5;
+      break;
+  }
+  return score;
+}
+
+function isUnlikelyCandidate(node) {
+  if (['html', 'body', 'article', 'main'].includes(node.tag)) return false;
+  if (STRIP_ELEMENTS.has(node.tag)) return true;
+  if (node.attrs.hidden !== undefined || node.attrs['aria-hidden'] === 'true') return true;
+  if (/display\s*:\s*none/i.test(node.attrs.style || '')) return true;
+  if (STRIP_ROLES.test(node.attrs.role || '')) return true;
+  const matchString = `${node.attrs.class || ''} ${node.attrs.id || ''}`;
+  return UNLIKELY_CANDIDATES.test(matchString) && !MAYBE_CANDIDATE.test(matchString);
+}
+
+function getTitle(doc) {
+  const meta = findAll(doc, (n) => n.tag === 'meta'
+    && ['og:title', 'twitter:title'].includes(n.attrs.property || n.attrs.name))[0];
+  if (meta && meta.attrs.content) return meta.attrs.content.trim();
+
+  const headings = findAll(doc, (n) => n.tag === 'h1');
+  if (headings.length === 1) return innerText(headings[0]);
+
+  const titleNode = findAll(doc, (n) => n.tag === 'title')[0];
+  if (!titleNode) return '';
+  // Drop a trailing " | Site name" style suffix
+  const title = innerText(titleNode);
+  const parts = title.split(/\s+[|\-–—»·]\s+/);
+  return parts.length > 1 ? parts[0] : title;
+}
+
+function getByline(doc) {
+  const meta = findAll(doc, (n) => n.tag === 'meta'
+    && (n.attrs.name === 'author' || n.attrs.property === 'article:author'))[0];
+  if (meta && meta.attrs.content && !/^https?:/.test(meta.attrs.content)) {
+    return meta.attrs.content.trim();
+  }
+
+  const node = findAll(doc, (n) => n.attrs.rel === 'author'
+    || /author/i.test(n.attrs.itemprop || '')
+    || BYLINE_CLASS.test(`${n.attrs.class || ''} ${n.attrs.id || ''}`))[0];
+  if (node) {
+    const text = innerText(node);
+    if (text.length > 0 && text.length < 100) return text;
+  }
+  return '';
+}
+
+/**
+ * Score paragraphs and propagate the scores to their ancestors
+ * @returns {Map<object, number>} - Candidate node -> score
+ */
+function scoreCandidates(body) {
+  const scores = new Map();
+
+  const paragraphs = findAll(body, (n) => SCORED_ELEMENTS.has(n.tag)
+    // A div with only inline content is a paragraph in disguise
+    || (n.tag === 'div' && !n.children.some((c) => BLOCK_ELEMENTS.has(c.tag))));
+
+  for (const paragraph of paragraphs) {
+    const text = innerText(paragraph);
+    if (text.length < MIN_PARAGRAPH_LENGTH) continue;
+
+    const contentScore = 1 + (text.match(/[,，、]/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+
+    // Parent gets the full score, grandparent half, further ancestors less
+    let ancestor = paragraph.parent;
+    for (let level = 0; level < 3 && ancestor && ancestor.tag !== '#root'; level++) {
+      if (!scores.has(ancestor)) scores.set(ancestor, initialScore(ancestor));
+      const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+      scores.set(ancestor, scores.get(ancestor) + contentScore / divider);
+      ancestor = ancestor.parent;
+    }
+  }
+
+  for (const [node, score] of scores) {
+    scores.set(node, score * (1 - linkDensity(node)));
+  }
+
+  return scores;
+}
+
+/**
+ * Remove link lists and negatively weighted blocks left inside the article
+ */
+function cleanConditionally(node) {
+  const blocks = findAll(node, (n) => ['div', 'section', 'ul', 'ol', 'table'].includes(n.tag));
+  for (const block of blocks.reverse()) {
+    if (!block.parent) continue;
+    const text = innerText(block);
+    const density = linkDensity(block);
+    if (classWeight(block) < 0 || (density > 0.5 && text.length > 0)) {
+      removeNode(block);
+      block.parent = null;
+    }
+  }
+}
+
+/**
+ * Extract the main article from an HTML page, dropping navigation,
+ * banners, footers, related links and comments.
+ * @param {string} html - HTML source
+ * @returns {{title: string, byline: string, text: string}}
+ */
+function extractArticle(html) {
+  const doc = parseHtml(html);
+  const title = getTitle(doc);
+  const byline = getByline(doc);
+
+  for (const node of findAll(doc, isUnlikelyCandidate).reverse()) {
+    if (node.parent) removeNode(node);
+  }
+
+  const body = findAll(doc, (n) => n.tag === 'body')[0] || doc;
+  const scores = scoreCandidates(body);
+
+  let top = null;
+  for (const [node, score] of scores) {
+    if (!top || score > scores.get(top)) top = node;
+  }
+
+  // Gather the top candidate and its related siblings
+  const selected = [];
+  if (!top) {
+    selected.push(body);
+  } else if (!top.parent || top.parent.tag === '#root') {
+    selected.push(top);
+  } else {
+    const topScore = scores.get(top);
+    const threshold = Math.max(10, topScore * 0.2);
+    for (const sibling of top.parent.children) {
+      if (sibling.tag === '#text') continue;
+      let include = sibling === top;
+      if (!include && scores.has(sibling)) {
+        const bonus = sibling.attrs.class && sibling.attrs.class === top.attrs.class ? topScore * 0.2 : 0;
+        include = scores.get(sibling) + bonus >= threshold;
+      }
+      if (!include && sibling.tag === 'p') {
+        const text = innerText(sibling);
+        const density = linkDensity(sibling);
+        include = (text.length > 80 && density < 0.25)
+          || (text.length > 0 && density === 0 && /\.( |$)/.test(text));
+      }
+      if (include) selected.push(sibling);
+    }
+  }
+
+  const paragraphs = [];
+  for (const node of selected) {
+    cleanConditionally(node);
+    paragraphs.push(...toParagraphs(node));
+  }
+
+  // The title and byline are put first, so drop their copies from the body
+  const header = [title, byline ? (/^by\b/i.test(byline) ? byline : `By ${byline}`) : '']
+    .filter((part) => part.length > 0);
+  const content = paragraphs.filter((p) => p !== title && p !== byline && p !== header[1]);
+
+  return {
+    title,
+    byline,
+    text: [...header, ...content].join('\n\n'),
+  };
+}
+
+/**
+ * Extract the section of a document that starts at a heading and runs up to
+ * the next heading of the same or a higher level. The heading text is
+ * matched case-insensitively, exactly if possible, otherwise as a substring.
+ * @param {string} html - HTML with headings as top-level blocks
+ * @param {string} heading - Heading to look for
+ * @returns {Array<string>} - Paragraphs of the section, heading included
+ */
+function extractSection(html, heading) {
+  const doc = parseHtml(html);
+  const body = findAll(doc, (n) => n.tag === 'body')[0] || doc;
+  const blocks = body.children.filter((n) => n.tag !== '#text' || n.text.trim().length > 0);
+  const headings = blocks.filter((n) => HEADING_TAG.test(n.tag));
+
+  const normalize = (text) => text.replace(/\s+/g, ' ').trim().toLowerCase();
+  const wanted = normalize(heading);
+  const start = headings.find((h) => normalize(innerText(h)) === wanted)
+    || headings.find((h) => normalize(innerText(h)).includes(wanted));
+
+  if (!start) {
+    const available = headings.map((h) => `"${innerText(h)}"`).join(', ');
+    throw new Error(`Section not found: "${heading}" (${available ? `headings: ${available}` : 'document has no headings'})`);
+  }
+
+  const level = Number(start.tag.match(HEADING_TAG)[1]);
+  const section = [start];
+  for (let i = blocks.indexOf(start) + 1; i < blocks.length; i++) {
+    const match = blocks[i].tag.match(HEADING_TAG);
+    if (match && Number(match[1]) <= level) break;
+    section.push(blocks[i]);
+  }
+
+  return section.flatMap((node) => toParagraphs(node));
+}
+
+module.exports = { decodeEntities, parseHtml, innerText, extractArticle, extractSection };
@@ -0,0 +1,114 @@
+/**
+ * Heads-up display: reading figures shown under the progress bar (time
+ * remaining, words read, elapsed time, chapter), and the same figures as a
+ * summary at the end of a session.
+ */
+
+const { stringWidth, truncateToWidth } = require('./width.js');
+
+const HUD_FIELDS = ['remaining', 'progress', 'elapsed', 'chapter'];
+
+const SEPARATOR = ' · ';
+
+// Narrowest a chapter title gets before it is left out
+const MIN_CHAPTER_WIDTH = 8;
+
+/**
+ * Fields to show, from the "hud" setting
+ * @param {boolean|Array<string>} setting - true for all fields, false for none,
+ *   or the fields in order of importance
+ * @returns {Array<string>}
+ * @throws {Error} - Unknown field
+ */
+function parseHudFields(setting) {
+  if (!setting) return [];
+  if (setting === true) return [...HUD_FIELDS];
+
+  const fields = Array.isArray(setting) ? setting : [setting];
+  for (const field of fields) {
+    if (!HUD_FIELDS.includes(field)) {
+      throw new Error(`Unknown HUD field "${field}" (fields: ${HUD_FIELDS.join(', ')})`);
+    }
+  }
+  return fields;
+}
+
+/**
+ * Format a duration: "42s", "3m 07s", "1h 05m"
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatDuration(ms) {
+  const seconds = Math.max(0, Math.round(ms / 1000));
+  if (seconds < 60) return `${seconds}s`;
+
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${String(seconds % 60).padStart(2, '0')}s`;
+
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+function formatField(field, stats) {
+  switch (field) {
+    case 'remaining':
+      return `${formatDuration(stats.remainingTime)} left`;
+    case 'progress':
+      return `${stats.wordsRead}/${stats.totalWords} words`;
+    case 'elapsed':
+      return `${formatDuration(stats.elapsedTime)} elapsed`;
+    case 'chapter':
+      return stats.chapter;
+  }
+  return null;
+}
+
+/**
+ * HUD line fitting in a width: the chapter title is shortened first, then
+ * the last fields are left out
+ * @param {{remainingTime: number, wordsRead: number, totalWords: number, elapsedTime: number, chapter: string|null}} stats
+ * @param {Array<string>} fields - From parseHudFields()
+ * @param {number} width - Available columns
+ * @returns {string}
+ */
+function buildHudLine(stats, fields, width) {
+  const parts = fields
+    .map((field) => ({ field, text: formatField(field, stats) }))
+    .filter((part) => part.text);
+
+  while (parts.length > 0) {
+    const line = parts.map((part) => part.text).join(SEPARATOR);
+    const excess = stringWidth(line) - width;
+    if (excess <= 0) return line;
+
+    const chapter = parts.find((part) => part.field === 'chapter');
+    const chapterWidth = chapter ? stringWidth(chapter.text) : 0;
+    if (chapter && chapterWidth - excess >= MIN_CHAPTER_WIDTH) {
+      chapter.text = truncateToWidth(chapter.text, chapterWidth - excess);
+    } else {
+      parts.pop();
+    }
+  }
+
+  return '';
+}
+
+/**
+ * End of session summary
+ * @param {{remainingTime: number, wordsRead: number, totalWords: number, elapsedTime: number, chapter: string|null}} stats
+ * @returns {Array<string>} - Lines
+ */
+function formatSummary(stats) {
+  const lines = [
+    `Read: ${stats.wordsRead}/${stats.totalWords} words`,
+    `Time: ${formatDuration(stats.elapsedTime)}`,
+  ];
+  if (stats.wordsRead < stats.totalWords) {
+    lines.push(`Remaining: about ${formatDuration(stats.remainingTime)}`);
+  }
+  if (stats.chapter) {
+    lines.push(`Chapter: ${stats.chapter}`);
+  }
+  return lines;
+}
+
+module.exports = { HUD_FIELDS, parseHudFields, formatDuration, buildHudLine, formatSummary };
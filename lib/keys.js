@@ -0,0 +1,186 @@
+/**
+ * Key bindings: a registry of named reader actions, and the keys bound to
+ * them (defaults, overridden by the "keys" section of ~/.srit.json).
+ *
+ * Keys are named after readline: "left", "space", "escape", "ctrl+x" for
+ * special keys, the character itself otherwise ("j", "?", "[").
+ */
+
+// Keys that cannot be typed as a single character
+const SPECIAL_KEYS = [
+  'left', 'right', 'up', 'down', 'space', 'escape', 'return', 'enter', 'tab',
+  'backspace', 'delete', 'home', 'end', 'pageup', 'pagedown',
+];
+
+const KEY_LABELS = {
+  left: '←',
+  right: '→',
+  up: '↑',
+  down: '↓',
+  space: 'Space',
+  escape: 'Esc',
+  return: 'Enter',
+  enter: 'Enter',
+  tab: 'Tab',
+  backspace: 'Backspace',
+  delete: 'Delete',
+  home: 'Home',
+  end: 'End',
+  pageup: 'PageUp',
+  pagedown: 'PageDown',
+};
+
+// Actions apply while reading, while paused (context peek), or both
+const READING = ['reading'];
+const PAUSED = ['paused'];
+const ALWAYS = ['reading', 'paused'];
+
+const ACTIONS = {
+  'prev-word': { description: 'Previous word', modes: READING, run: (r) => r.goBack() },
+  'next-word': { description: 'Next word', modes: READING, run: (r) => r.goForward() },
+  faster: { description: 'Increase speed', modes: READING, run: (r) => r.increaseSpeed() },
+  slower: { description: 'Decrease speed', modes: READING, run: (r) => r.decreaseSpeed() },
+  'prev-sentence': { description: 'Start of the sentence / previous sentence', modes: ALWAYS, run: (r) => r.goToPreviousSentence() },
+  'next-sentence': { description: 'Next sentence', modes: ALWAYS, run: (r) => r.goToNextSentence() },
+  'prev-paragraph': { description: 'Start of the paragraph / previous paragraph', modes: ALWAYS, run: (r) => r.goToPreviousParagraph() },
+  'next-paragraph': { description: 'Next paragraph', modes: ALWAYS, run: (r) => r.goToNextParagraph() },
+  'peek-prev-word': { description: 'Paused: highlight the previous word', modes: PAUSED, run: (r) => r.moveHighlight('left') },
+  'peek-next-word': { description: 'Paused: highlight the next word', modes: PAUSED, run: (r) => r.moveHighlight('right') },
+  'peek-line-up': { description: 'Paused: highlight a word on the line above', modes: PAUSED, run: (r) => r.moveHighlight('up') },
+  'peek-line-down': { description: 'Paused: highlight a word on the line below', modes: PAUSED, run: (r) => r.moveHighlight('down') },
+  pause: { description: 'Pause / resume', modes: ALWAYS, run: (r) => r.togglePause() },
+  'gamma-up': { description: 'More slowdown on hard words (--auto)', modes: ALWAYS, autoOnly: true, run: (r) => r.autoMode && r.increaseGamma() },
+  'gamma-down': { description: 'Less slowdown on hard words (--auto)', modes: ALWAYS, autoOnly: true, run: (r) => r.autoMode && r.decreaseGamma() },
+  help: { description: 'Show / hide this help', modes: ALWAYS, run: (r) => r.toggleHelp() },
+  quit: { description: 'Exit', modes: ALWAYS, run: (r) => r.stop() },
+};
+
+for (let tenths = 0; tenths <= 9; tenths++) {
+  ACTIONS[`seek-${tenths}`] = {
+    description: `Jump to ${tenths * 10}%`,
+    modes: ALWAYS,
+    seek: true,
+    run: (r) => r.seekToPercent(tenths),
+  };
+}
+
+const DEFAULT_KEYS = {
+  'prev-word': ['left'],
+  'next-word': ['right'],
+  faster: ['up'],
+  slower: ['down'],
+  'prev-sentence': ['['],
+  'next-sentence': [']'],
+  'prev-paragraph': ['{'],
+  'next-paragraph': ['}'],
+  'peek-prev-word': ['left'],
+  'peek-next-word': ['right'],
+  'peek-line-up': ['up'],
+  'peek-line-down': ['down'],
+  pause: ['space'],
+  'gamma-up': ['+', '='],
+  'gamma-down': ['-', '_'],
+  help: ['?'],
+  quit: ['escape'],
+};
+for (let tenths = 0; tenths <= 9; tenths++) {
+  DEFAULT_KEYS[`seek-${tenths}`] = [String(tenths)];
+}
+
+/**
+ * Name of a keypress, as used in bindings
+ * @param {string} str - Character typed, from readline's keypress event
+ * @param {object} key - Key details, from readline's keypress event
+ * @returns {string|null}
+ */
+function keyName(str, key) {
+  if (key && key.ctrl && key.name) return `ctrl+${key.name}`;
+  if (key && SPECIAL_KEYS.includes(key.name)) return key.name;
+  if (str && str.length === 1) return str;
+  return key && key.name ? key.name : null;
+}
+
+function isValidKey(name) {
+  return SPECIAL_KEYS.includes(name) || /^ctrl\+[a-z]$/.test(name) || [...name].length === 1;
+}
+
+/**
+ * Build the key map from the user's "keys" settings. Each action listed
+ * there gets the given keys instead of its default ones.
+ * @param {object} [userKeys] - Action name -> key name or list of key names
+ * @returns {{reading: Map<string, string>, paused: Map<string, string>, bindings: object}} -
+ *   Action bound to each key while reading and while paused, and the keys of each action
+ * @throws {Error} - Unknown action, invalid key name, or a key bound to two actions
+ */
+function buildKeymap(userKeys = {}) {
+  const bindings = { ...DEFAULT_KEYS };
+
+  for (const [action, keys] of Object.entries(userKeys || {})) {
+    if (!ACTIONS[action]) {
+      throw new Error(`Unknown action "${action}" in keys (actions: ${Object.keys(ACTIONS).join(', ')})`);
+    }
+    const list = Array.isArray(keys) ? keys : [keys];
+    for (const key of list) {
+      if (typeof key !== 'string' || !isValidKey(key)) {
+        throw new Error(`Invalid key "${key}" for ${action} (use a character, ctrl+x, or one of: ${SPECIAL_KEYS.join(', ')})`);
+      }
+    }
+    bindings[action] = list;
+  }
+
+  const keymap = { reading: new Map(), paused: new Map(), bindings };
+  for (const [action, keys] of Object.entries(bindings)) {
+    for (const key of keys) {
+      for (const mode of ACTIONS[action].modes) {
+        const other = keymap[mode].get(key);
+        if (other && other !== action) {
+          throw new Error(`Key "${key}" is bound to both ${other} and ${action}`);
+        }
+        keymap[mode].set(key, action);
+      }
+    }
+  }
+
+  return keymap;
+}
+
+/**
+ * Label of a key for display ("→", "Ctrl+X", "j")
+ * @param {string} name
+ * @returns {string}
+ */
+function keyLabel(name) {
+  if (KEY_LABELS[name]) return KEY_LABELS[name];
+  if (name.startsWith('ctrl+')) return `Ctrl+${name.slice(5).toUpperCase()}`;
+  return name;
+}
+
+/**
+ * Help lines generated from the active bindings: keys and description of
+ * each bound action. Seek actions bound to one key each share one line.
+ * @param {{bindings: object}} keymap - From buildKeymap()
+ * @param {boolean} autoMode - Include the --auto actions
+ * @returns {Array<{keys: string, description: string}>}
+ */
+function helpLines(keymap, autoMode) {
+  const lines = [];
+  const seekKeys = [];
+
+  for (const [action, { description, autoOnly, seek }] of Object.entries(ACTIONS)) {
+    const keys = keymap.bindings[action] || [];
+    if (keys.length === 0 || (autoOnly && !autoMode)) continue;
+    if (seek && keys.length === 1) {
+      seekKeys.push(keyLabel(keys[0]));
+      continue;
+    }
+    lines.push({ keys: keys.map(keyLabel).join(' '), description });
+  }
+
+  if (seekKeys.length > 0) {
+    lines.push({ keys: seekKeys.join(''), description: 'Jump to 0%, 10%... 90%' });
+  }
+
+  return lines;
+}
+
+module.exports = { ACTIONS, DEFAULT_KEYS, keyName, buildKeymap, keyLabel, helpLines };
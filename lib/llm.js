@@ -1,14 +1,27 @@
+const { segmentWords } = require('./segment.js');
+
 // Pricing per 1M tokens (USD) - updated Jan 2026
 const PRICING = {
   'gpt-5-mini': { input: 0.10, output: 0.40 },
   'gpt-4o-mini': { input: 0.15, output: 0.60 },
   'gemini-2.0-flash': { input: 0.10, output: 0.40 },
   'ollama': { input: 0, output: 0 }, // Free (local)
+  'completions': { input: 0, output: 0 }, // Self-hosted (vLLM) or not priced here
 };
 
 // Default Ollama URL (can be overridden with OLLAMA_HOST env var)
 const OLLAMA_DEFAULT_URL = 'http://localhost:11434';
 
+// Alternatives asked for at each position when forcing the real text
+// through generation (Ollama)
+const TOP_LOGPROBS = 20;
+// Tokens generated per request when forcing the real text
+const FORCED_BATCH_TOKENS = 32;
+// Requests per chunk when forcing the real text (one more after each stray token)
+const MAX_FORCED_REQUESTS = 64;
+// Requests for the rest of a chunk after a model asked to copy it strayed
+const MAX_REREQUESTS = 2;
+
 const PROVIDERS = {
   ollama: {
     envKey: 'OLLAMA_HOST', // Optional, defaults to localhost:11434
@@ -17,6 +30,18 @@ const PROVIDERS = {
     supportsLogprobs: true,
     scoringModel: 'llama3.2',
     noApiKey: true, // Ollama doesn't require an API key
+    // One model instance answers one request at a time by default
+    rateLimits: { concurrency: 1, rpm: 0, tpm: 0 },
+  },
+  // OpenAI-compatible completions API echoing prompt logprobs (vLLM, or
+  // OpenAI's davinci-002 and babbage-002), for --auto only
+  completions: {
+    envKey: 'COMPLETIONS_URL', // Base URL, e.g. http://localhost:8000/v1
+    apiKeyEnv: 'COMPLETIONS_API_KEY', // Optional
+    defaultModel: null, // Given with --model
+    supportsLogprobs: true,
+    noApiKey: true,
+    rateLimits: { concurrency: 4, rpm: 0, tpm: 0 },
   },
   openai: {
     envKey: 'OPENAI_API_KEY',
@@ -26,6 +51,8 @@ const PROVIDERS = {
     // GPT-5 models don't support logprobs (reasoning models), use gpt-4o-mini for scoring
     scoringModel: 'gpt-4o-mini',
     scoringEndpoint: 'https://api.openai.com/v1/chat/completions',
+    // Usage tier 1 limits of gpt-4o-mini
+    rateLimits: { concurrency: 8, rpm: 500, tpm: 200000 },
   },
   anthropic: {
     envKey: 'ANTHROPIC_API_KEY',
@@ -40,9 +67,42 @@ const PROVIDERS = {
     supportsLogprobs: true,
     // Use stable model for logprobs scoring
     scoringModel: 'gemini-2.0-flash',
+    // Paid tier 1 limits of gemini-2.0-flash (the free tier allows 15 RPM)
+    rateLimits: { concurrency: 8, rpm: 2000, tpm: 4000000 },
   },
 };
 
+/**
+ * Error for a failed API response, with its status and the delay asked
+ * by the server before retrying (Retry-After), for the scheduler
+ * @param {string} name - Provider name, for the message
+ * @param {Response} response
+ * @returns {Promise<Error>}
+ */
+async function apiError(name, response) {
+  const error = new Error(`${name} API error: ${response.status} - ${await response.text()}`);
+  error.status = response.status;
+  error.retryAfterMs = parseRetryAfter(response.headers);
+  return error;
+}
+
+/**
+ * Delay asked by a Retry-After header (seconds or HTTP date), or by the
+ * retry-after-ms header some providers add
+ * @param {Headers} headers
+ * @returns {number|null} - Milliseconds, null without one
+ */
+function parseRetryAfter(headers) {
+  const ms = parseFloat(headers.get('retry-after-ms'));
+  if (!isNaN(ms)) return Math.max(0, ms);
+
+  const value = headers.get('retry-after');
+  if (!value) return null;
+  if (/^\s*\d+(\.\d+)?\s*$/.test(value)) return Math.max(0, parseFloat(value) * 1000);
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
 function detectProvider() {
   for (const [name, config] of Object.entries(PROVIDERS)) {
     // Skip Ollama in auto-detection (require explicit --provider ollama)
@@ -61,16 +121,29 @@ function getProviderConfig(providerName) {
   }
 
   // Handle Ollama (no API key required)
-  if (config.noApiKey) {
+  if (providerName === 'ollama') {
     const ollamaHost = process.env.OLLAMA_HOST || OLLAMA_DEFAULT_URL;
     return {
       ...config,
       apiKey: null,
+      host: ollamaHost,
       endpoint: `${ollamaHost}/v1/chat/completions`,
       scoringEndpoint: `${ollamaHost}/v1/chat/completions`,
     };
   }
 
+  if (providerName === 'completions') {
+    const baseUrl = process.env.COMPLETIONS_URL;
+    if (!baseUrl) {
+      throw new Error('Completions server not set. Set COMPLETIONS_URL to its base URL (e.g. http://localhost:8000/v1).');
+    }
+    return {
+      ...config,
+      apiKey: process.env[config.apiKeyEnv] || null,
+      scoringEndpoint: `${baseUrl.replace(/\/+$/, '')}/completions`,
+    };
+  }
+
   const apiKey = process.env[config.envKey];
   if (!apiKey) {
     throw new Error(`API key not found. Set ${config.envKey} environment variable.`);
@@ -113,8 +186,7 @@ async function callOpenAI(config, model, prompt) {
   });
 
   if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`OpenAI API error: ${response.status} - ${error}`);
+    throw await apiError('OpenAI', response);
   }
 
   const data = await response.json();
@@ -137,8 +209,7 @@ async function callAnthropic(config, model, prompt) {
   });
 
   if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`Anthropic API error: ${response.status} - ${error}`);
+    throw await apiError('Anthropic', response);
   }
 
   const data = await response.json();
@@ -158,8 +229,7 @@ async function callGemini(config, model, prompt) {
   });
 
   if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`Gemini API error: ${response.status} - ${error}`);
+    throw await apiError('Gemini', response);
   }
 
   const data = await response.json();
@@ -167,7 +237,37 @@ async function callGemini(config, model, prompt) {
 }
 
 /**
- * Score tokens with logprobs for SAP (Semantic Adaptive Pacing)
+ * Model that scores tokens for SAP. Local servers score with the model
+ * given to --model.
+ * @param {string} providerName
+ * @param {object} config - From getProviderConfig()
+ * @param {object} options - Provider options
+ * @returns {string}
+ */
+function getScoringModel(providerName, config, options) {
+  const model = (config.noApiKey && options.model) || config.scoringModel;
+  if (!model) {
+    throw new Error(`Provider ${providerName} requires --model for --auto mode.`);
+  }
+  return model;
+}
+
+/**
+ * Check that a provider is set up for SAP scoring (server URL, API key,
+ * model) before any chunk is sent to it
+ * @param {string} providerName
+ * @param {object} options - Provider options
+ * @returns {string} - The scoring model
+ */
+function checkScoringSetup(providerName, options = {}) {
+  return getScoringModel(providerName, getProviderConfig(providerName), options);
+}
+
+/**
+ * Score tokens with logprobs for SAP (Semantic Adaptive Pacing). Only
+ * tokens of the chunk text itself are returned: positions are relative to
+ * chunkText and token is chunkText.slice(startChar, endChar). Parts of the
+ * chunk the model could not be held to are left out.
  * @param {string} contextText - Context before the chunk
  * @param {string} chunkText - Text to score
  * @param {object} options - Provider options
@@ -185,142 +285,337 @@ async function scoreTokens(contextText, chunkText, options = {}) {
     throw new Error(`Provider ${providerName} does not support token logprobs. Use OpenAI, Gemini, or Ollama for --auto mode.`);
   }
 
+  const model = getScoringModel(providerName, config, options);
+
   switch (providerName) {
-    case 'ollama':
-      return scoreTokensOllama(config, contextText, chunkText);
+    case 'ollama': {
+      // Servers without logprobs in their native API only have the copy path
+      const tokens = await scoreTokensOllamaRaw(config, model, contextText, chunkText);
+      return tokens || scoreByCopying(contextText, chunkText, (context, text) => copyOllama(config, model, context, text));
+    }
+    case 'completions':
+      return scoreTokensEcho(config, model, contextText, chunkText);
     case 'openai':
-      return scoreTokensOpenAI(config, contextText, chunkText);
+      return scoreByCopying(contextText, chunkText, (context, text) => copyOpenAI(config, model, context, text));
     case 'gemini':
-      return scoreTokensGemini(config, contextText, chunkText);
+      return scoreByCopying(contextText, chunkText, (context, text) => copyGemini(config, model, context, text));
     default:
       throw new Error(`Token scoring not implemented for ${providerName}`);
   }
 }
 
 /**
- * Score tokens using Ollama (OpenAI-compatible API, no auth required)
+ * Text scored after its context, as in the document (a space between them)
  */
-async function scoreTokensOllama(config, contextText, chunkText) {
-  const model = config.scoringModel;
+function scoredText(contextText, chunkText) {
+  const separator = contextText ? ' ' : '';
+  return { prompt: contextText, target: separator + chunkText, offset: separator.length };
+}
 
-  const systemPrompt = `You are a text continuation assistant. Your task is to continue the given text exactly as provided. Do not add any commentary or modifications. Simply output the exact continuation text.`;
+/**
+ * Token of the target text at [start, end), as positions in the chunk
+ * (the separator before the chunk is left out)
+ */
+function chunkToken(target, offset, start, end, logprob) {
+  const startChar = Math.max(start, offset) - offset;
+  const endChar = end - offset;
+  return { token: target.slice(offset + startChar, end), logprob, startChar, endChar };
+}
 
-  const userPrompt = contextText
-    ? `Continue this text exactly:\n\n${contextText}\n\nThe exact continuation is:\n${chunkText}`
-    : `Output this text exactly:\n${chunkText}`;
+/**
+ * Join tokens that are parts of one character (byte-level tokens of
+ * accented letters, CJK, emoji), from their bytes when the API gives them
+ * @param {Array<{token: string, logprob: number, bytes?: Array<number>}>} entries
+ * @returns {Array<{token: string, logprob: number, top_logprobs?: Array}>}
+ */
+function mergeByteTokens(entries) {
+  const decoder = new TextDecoder('utf-8', { fatal: true });
+  const merged = [];
+  let pending = null;
+
+  for (const entry of entries) {
+    if (!Array.isArray(entry.bytes)) {
+      merged.push(entry);
+      continue;
+    }
+    pending = pending
+      ? { ...entry, bytes: [...pending.bytes, ...entry.bytes], logprob: pending.logprob + entry.logprob }
+      : entry;
+    try {
+      merged.push({ ...pending, token: decoder.decode(Buffer.from(pending.bytes)) });
+      pending = null;
+    } catch {
+      // Incomplete character: wait for the next bytes
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * True scoring with Ollama's native API: the real text is forced through
+ * greedy generation from a raw prompt (no chat template). While the model
+ * generates the text, its tokens are the real ones. Where it strays, the
+ * real token is looked up among its top alternatives (or given the
+ * likelihood of the least likely of them, a bound, when it is not one of
+ * them) and generation starts again after it.
+ * @returns {Promise<Array|null>} - Tokens, or null if the server does not return logprobs
+ */
+async function scoreTokensOllamaRaw(config, model, contextText, chunkText) {
+  const { prompt, target, offset } = scoredText(contextText, chunkText);
+  const tokens = [];
+  let pos = 0;
+
+  for (let request = 0; pos < target.length && request < MAX_FORCED_REQUESTS; request++) {
+    const response = await fetch(`${config.host}/api/generate`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        model,
+        prompt: prompt + target.slice(0, pos),
+        raw: true,
+        stream: false,
+        logprobs: true,
+        top_logprobs: TOP_LOGPROBS,
+        options: { temperature: 0, num_predict: FORCED_BATCH_TOKENS },
+      }),
+    });
+
+    if (!response.ok) {
+      throw await apiError('Ollama', response);
+    }
+
+    const data = await response.json();
+    if (!Array.isArray(data.logprobs)) return null;
+    // The model ended the text: the rest cannot be scored
+    if (data.logprobs.length === 0) break;
+
+    for (const entry of mergeByteTokens(data.logprobs)) {
+      const rest = target.slice(pos);
+      if (entry.token && rest.startsWith(entry.token)) {
+        tokens.push(chunkToken(target, offset, pos, pos + entry.token.length, entry.logprob));
+        pos += entry.token.length;
+        if (pos >= target.length) break;
+        continue;
+      }
+
+      // The model strayed: the following tokens continue its own text
+      const alternatives = entry.top_logprobs || [];
+      const real = alternatives
+        .filter((alt) => alt.token && rest.startsWith(alt.token))
+        .sort((a, b) => b.token.length - a.token.length)[0];
+      if (real) {
+        tokens.push(chunkToken(target, offset, pos, pos + real.token.length, real.logprob));
+        pos += real.token.length;
+      } else {
+        const word = rest.match(/^\s*\S+/)[0];
+        const bound = Math.min(entry.logprob, ...alternatives.map((alt) => alt.logprob));
+        tokens.push(chunkToken(target, offset, pos, pos + word.length, bound));
+        pos += word.length;
+      }
+      break;
+    }
+  }
+
+  return tokens.filter((token) => token.endChar > token.startChar);
+}
+
+/**
+ * True scoring with an OpenAI-compatible completions API that echoes the
+ * prompt with its logprobs (vLLM, OpenAI's davinci-002 and babbage-002)
+ */
+async function scoreTokensEcho(config, model, contextText, chunkText) {
+  const { prompt, target, offset } = scoredText(contextText, chunkText);
+  const text = prompt + target;
 
   const response = await fetch(config.scoringEndpoint, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
+      ...(config.apiKey ? { 'Authorization': `Bearer ${config.apiKey}` } : {}),
     },
     body: JSON.stringify({
       model,
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt },
-      ],
-      max_tokens: Math.ceil(chunkText.length * 2),
-      logprobs: true,
-      top_logprobs: 1,
+      prompt: text,
+      echo: true,
+      logprobs: 0,
+      max_tokens: 1,
+      temperature: 0,
     }),
   });
 
   if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`Ollama API error: ${response.status} - ${error}`);
+    throw await apiError('Completions', response);
   }
 
   const data = await response.json();
-  const content = data.choices[0]?.logprobs?.content || [];
+  const logprobs = data.choices?.[0]?.logprobs;
+  if (!logprobs?.tokens) {
+    throw new Error('Completions API error: no prompt logprobs in the response (the server must support echo with logprobs)');
+  }
 
-  const result = [];
-  let charPos = 0;
+  // Walk the prompt tokens along the text; the generated token comes after
+  const tokens = [];
+  let pos = 0;
+  for (let i = 0; i < logprobs.tokens.length && pos < text.length; i++) {
+    const token = logprobs.tokens[i];
+    if (!token || !text.startsWith(token, pos)) break;
+    const end = pos + token.length;
+    const logprob = logprobs.token_logprobs[i];
+    if (end > prompt.length + offset && typeof logprob === 'number') {
+      tokens.push(chunkToken(target, offset, pos - prompt.length, end - prompt.length, logprob));
+    }
+    pos = end;
+  }
 
-  for (const tokenData of content) {
-    const token = tokenData.token;
-    const logprob = tokenData.logprob;
+  return tokens;
+}
 
-    result.push({
-      token,
-      logprob,
-      startChar: charPos,
-      endChar: charPos + token.length,
-    });
+/**
+ * Whitespace runs match whitespace runs: the model may break lines or
+ * double spaces where the chunk has a single one
+ * @returns {number} - End of the match in text, -1 if the token differs
+ */
+function matchAt(text, pos, token) {
+  let i = pos;
+  let j = 0;
+  while (j < token.length) {
+    if (/\s/.test(token[j])) {
+      if (i < text.length && !/\s/.test(text[i])) return -1;
+      while (j < token.length && /\s/.test(token[j])) j++;
+      while (i < text.length && /\s/.test(text[i])) i++;
+    } else if (text[i] === token[j]) {
+      i++;
+      j++;
+    } else {
+      return -1;
+    }
+  }
+  return i;
+}
+
+/**
+ * Keep the generated tokens that reproduce the chunk text. A preamble
+ * before the text is skipped, and matching stops at the first token that
+ * differs from it: the following ones were conditioned on other text.
+ * @param {string} chunkText
+ * @param {Array<{token: string, logprob: number}>} generated
+ * @returns {{tokens: Array<{token: string, logprob: number, startChar: number, endChar: number}>, matchedChars: number}}
+ */
+function matchGeneratedTokens(chunkText, generated) {
+  const tokens = [];
+  let pos = 0;
+  let started = false;
+
+  for (const { token, logprob } of mergeByteTokens(generated)) {
+    if (pos >= chunkText.length) break;
+
+    if (!started) {
+      const start = token.trimStart();
+      if (!start || !chunkText.startsWith(start)) continue;
+      started = true;
+      tokens.push({ token: start, logprob, startChar: 0, endChar: start.length });
+      pos = start.length;
+      continue;
+    }
 
-    charPos += token.length;
+    const end = matchAt(chunkText, pos, token);
+    if (end === -1) break;
+    if (end > pos) {
+      tokens.push({ token: chunkText.slice(pos, end), logprob, startChar: pos, endChar: end });
+    }
+    pos = end;
   }
 
-  return result;
+  return { tokens, matchedChars: pos };
 }
 
 /**
- * Score tokens using OpenAI API with logprobs
+ * Score a chunk through a model asked to copy it: the generated tokens are
+ * checked against the chunk, and the rest is asked for again (after the
+ * part copied) when the model strays
+ * @param {string} contextText
+ * @param {string} chunkText
+ * @param {function} requestCopy - Async (contextText, text) => generated tokens
+ * @returns {Promise<Array>}
  */
-async function scoreTokensOpenAI(config, contextText, chunkText) {
-  const model = config.scoringModel;
+async function scoreByCopying(contextText, chunkText, requestCopy) {
+  const tokens = [];
+  let offset = 0;
+
+  for (let request = 0; request <= MAX_REREQUESTS; request++) {
+    offset += chunkText.slice(offset).length - chunkText.slice(offset).trimStart().length;
+    if (offset >= chunkText.length) break;
+
+    const context = [contextText, chunkText.slice(0, offset).trimEnd()].filter(Boolean).join(' ');
+    const rest = chunkText.slice(offset);
+    const { tokens: matched, matchedChars } = matchGeneratedTokens(rest, await requestCopy(context, rest));
+    for (const token of matched) {
+      tokens.push({ ...token, startChar: token.startChar + offset, endChar: token.endChar + offset });
+    }
+
+    // Generation is greedy: asking again for the same text gives the same answer
+    if (matchedChars === 0) break;
+    offset += matchedChars;
+  }
+
+  return tokens;
+}
 
-  // Use chat completions with logprobs
-  // We prompt the model to continue the text and get logprobs on its output
-  const systemPrompt = `You are a text continuation assistant. Your task is to continue the given text exactly as provided. Do not add any commentary or modifications. Simply output the exact continuation text.`;
+const COPY_SYSTEM_PROMPT = `You are a text continuation assistant. Your task is to continue the given text exactly as provided. Do not add any commentary or modifications. Simply output the exact continuation text.`;
 
-  const userPrompt = contextText
+function copyPrompt(contextText, chunkText) {
+  return contextText
     ? `Continue this text exactly:\n\n${contextText}\n\nThe exact continuation is:\n${chunkText}`
     : `Output this text exactly:\n${chunkText}`;
+}
 
+/**
+ * Generated tokens of an OpenAI-compatible chat API (OpenAI, Ollama)
+ */
+async function copyChat(name, config, model, contextText, chunkText) {
   const response = await fetch(config.scoringEndpoint, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
-      'Authorization': `Bearer ${config.apiKey}`,
+      ...(config.apiKey ? { 'Authorization': `Bearer ${config.apiKey}` } : {}),
     },
     body: JSON.stringify({
       model,
       messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt },
+        { role: 'system', content: COPY_SYSTEM_PROMPT },
+        { role: 'user', content: copyPrompt(contextText, chunkText) },
       ],
       max_tokens: Math.ceil(chunkText.length * 2), // Enough tokens for the chunk
+      temperature: 0,
       logprobs: true,
       top_logprobs: 1,
     }),
   });
 
   if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`OpenAI API error: ${response.status} - ${error}`);
+    throw await apiError(name, response);
   }
 
   const data = await response.json();
-  const content = data.choices[0]?.logprobs?.content || [];
-
-  // Map tokens to our format with character positions
-  const result = [];
-  let charPos = 0;
-
-  for (const tokenData of content) {
-    const token = tokenData.token;
-    const logprob = tokenData.logprob;
-
-    result.push({
-      token,
-      logprob,
-      startChar: charPos,
-      endChar: charPos + token.length,
-    });
+  return data.choices[0]?.logprobs?.content || [];
+}
 
-    charPos += token.length;
-  }
+function copyOllama(config, model, contextText, chunkText) {
+  return copyChat('Ollama', config, model, contextText, chunkText);
+}
 
-  return result;
+function copyOpenAI(config, model, contextText, chunkText) {
+  return copyChat('OpenAI', config, model, contextText, chunkText);
 }
 
 /**
- * Score tokens using Gemini API with logprobs
+ * Generated tokens of Gemini
  * See: https://cloud.google.com/vertex-ai/generative-ai/docs/multimodal/content-generation-parameters
  */
-async function scoreTokensGemini(config, contextText, chunkText) {
-  const model = config.scoringModel;
+async function copyGemini(config, model, contextText, chunkText) {
   const url = `${config.endpoint}/${model}:generateContent?key=${config.apiKey}`;
 
   const prompt = contextText
@@ -336,6 +631,7 @@ async function scoreTokensGemini(config, contextText, chunkText) {
       contents: [{ parts: [{ text: prompt }] }],
       generationConfig: {
         maxOutputTokens: Math.ceil(chunkText.length * 2),
+        temperature: 0,
         responseLogprobs: true,
         logprobs: 1, // Number of top alternative tokens to return
       },
@@ -343,37 +639,24 @@ async function scoreTokensGemini(config, contextText, chunkText) {
   });
 
   if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`Gemini API error: ${response.status} - ${error}`);
+    throw await apiError('Gemini', response);
   }
 
   const data = await response.json();
+  const chosen = data.candidates?.[0]?.logprobsResult?.chosenCandidates || [];
+  return chosen.map((candidate) => ({
+    token: candidate.token || '',
+    logprob: candidate.logProbability || 0,
+  }));
+}
 
-  // Extract logprobs from Gemini response
-  const logprobsResult = data.candidates?.[0]?.logprobsResult;
-  if (!logprobsResult?.chosenCandidates) {
-    // Fallback: return empty array if no logprobs available
-    return [];
-  }
-
-  const result = [];
-  let charPos = 0;
-
-  for (const candidate of logprobsResult.chosenCandidates) {
-    const token = candidate.token || '';
-    const logprob = candidate.logProbability || 0;
-
-    result.push({
-      token,
-      logprob,
-      startChar: charPos,
-      endChar: charPos + token.length,
-    });
-
-    charPos += token.length;
-  }
-
-  return result;
+/**
+ * Request limits of a provider for SAP scoring (see scheduler.js)
+ * @param {string} providerName
+ * @returns {{concurrency: number, rpm: number, tpm: number}}
+ */
+function getRateLimits(providerName) {
+  return { ...(PROVIDERS[providerName]?.rateLimits || {}) };
 }
 
 /**
@@ -385,7 +668,9 @@ function supportsLogprobs(providerName) {
 }
 
 /**
- * Estimate cost for SAP processing
+ * Estimate cost for SAP processing, in the worst case: every chunk takes
+ * as many requests as scoring allows (re-requests after a model strayed
+ * from the copy, forced generation requests with Ollama)
  * @param {string} text - The text to process
  * @param {object} options - Provider options
  * @param {object} sapParams - SAP parameters (chunk_size_words, chunk_overlap_context_words)
@@ -397,32 +682,54 @@ function estimateSapCost(text, options = {}, sapParams = {}) {
     return { inputTokens: 0, outputTokens: 0, cost: 0, model: 'unknown' };
   }
 
+  // The model scoreTokens uses
   const config = PROVIDERS[providerName];
-  const model = config.scoringModel || config.defaultModel;
-  const pricing = PRICING[model] || { input: 0.15, output: 0.60 }; // Default to gpt-4o-mini pricing
+  const model = (config.noApiKey && options.model) || config.scoringModel || 'unknown';
+  const pricing = PRICING[model] || PRICING[providerName] || { input: 0.15, output: 0.60 }; // Default to gpt-4o-mini pricing
 
   // Estimate based on chunking strategy
   const chunkSizeWords = sapParams.chunk_size_words || 16;
   const overlapWords = sapParams.chunk_overlap_context_words || 12;
 
-  // Rough word count
-  const words = text.split(/\s+/).filter(w => w.length > 0);
-  const wordCount = words.length;
+  // Word count, as items are counted by SAP
+  const wordCount = segmentWords(text, sapParams.lang).length;
 
   // Number of chunks
   const numChunks = Math.ceil(wordCount / chunkSizeWords);
 
-  // Per chunk: system prompt (~50 tokens) + context (~overlap words * 1.5 tokens) + chunk (~chunkSize * 1.5 tokens)
-  const systemPromptTokens = 50;
+  // Context (~overlap words * 1.5 tokens) and chunk (~chunkSize * 1.5 tokens)
   const avgContextTokens = overlapWords * 1.5;
   const avgChunkTokens = chunkSizeWords * 1.5;
-  const inputTokensPerChunk = systemPromptTokens + avgContextTokens + avgChunkTokens;
 
-  // Output: model generates ~chunk text length in tokens
-  const outputTokensPerChunk = avgChunkTokens;
+  // Per request: what is sent (the context and the chunk, or the part of
+  // the chunk copied and the rest), and what is generated
+  let requestsPerChunk;
+  let inputTokensPerRequest;
+  let outputTokensPerRequest;
+  switch (providerName) {
+    case 'ollama':
+      // Raw prompt, one more request after each stray token
+      requestsPerChunk = Math.min(MAX_FORCED_REQUESTS, Math.ceil(avgChunkTokens));
+      inputTokensPerRequest = avgContextTokens + avgChunkTokens;
+      outputTokensPerRequest = FORCED_BATCH_TOKENS;
+      break;
+    case 'completions':
+      // The prompt is echoed, a single token generated
+      requestsPerChunk = 1;
+      inputTokensPerRequest = avgContextTokens + avgChunkTokens;
+      outputTokensPerRequest = 1;
+      break;
+    default: {
+      // System prompt (~50 tokens), then the model copies the chunk
+      const systemPromptTokens = 50;
+      requestsPerChunk = 1 + MAX_REREQUESTS;
+      inputTokensPerRequest = systemPromptTokens + avgContextTokens + avgChunkTokens;
+      outputTokensPerRequest = avgChunkTokens;
+    }
+  }
 
-  const totalInputTokens = Math.ceil(numChunks * inputTokensPerChunk);
-  const totalOutputTokens = Math.ceil(numChunks * outputTokensPerChunk);
+  const totalInputTokens = Math.ceil(numChunks * requestsPerChunk * inputTokensPerRequest);
+  const totalOutputTokens = Math.ceil(numChunks * requestsPerChunk * outputTokensPerRequest);
 
   // Cost in USD
   const inputCost = (totalInputTokens / 1_000_000) * pricing.input;
@@ -437,4 +744,15 @@ function estimateSapCost(text, options = {}, sapParams = {}) {
   };
 }
 
-module.exports = { callLLM, detectProvider, PROVIDERS, scoreTokens, supportsLogprobs, estimateSapCost };
+module.exports = {
+  callLLM,
+  detectProvider,
+  PROVIDERS,
+  scoreTokens,
+  supportsLogprobs,
+  checkScoringSetup,
+  getRateLimits,
+  parseRetryAfter,
+  matchGeneratedTokens,
+  estimateSapCost,
+};
@@ -0,0 +1,221 @@
+/**
+ * Offline adaptive pacing (--provider local): word difficulty estimated
+ * without an LLM, from bundled word frequencies (English and French), word
+ * length, syllables, digits and capitals, and runs of rare words.
+ *
+ * Estimates are in bits, like token surprisal, so they go through the same
+ * computeDurations() kernel and gamma controls as LLM scores (see sap.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { itemize, computeDurations, DEFAULT_PARAMS } = require('./sap.js');
+
+const LEXICON_DIR = path.join(__dirname, '..', 'data', 'frequency');
+const LEXICON_LANGUAGES = ['en', 'fr'];
+
+// Weights of the difficulty features, in bits
+const WEIGHTS = {
+  length: 0.3, // For each letter past LONG_WORD_LETTERS
+  syllables: 0.5, // For each syllable past two
+  digit: 2.5, // For each digit
+  capital: 1.5, // Name inside a sentence, or acronym
+  rareBigram: 1.0, // Rare word right after another rare word
+};
+
+const LONG_WORD_LETTERS = 6;
+
+// Words not in the lexicon rank this many times past its end
+const UNKNOWN_RANK_FACTOR = 4;
+
+// Words past this rank (or not listed) are rare: in SUBTLEX-US, those seen
+// less than about 10 times per million words (see scripts/build-lexicons.js)
+const RARE_RANK = 5000;
+
+// Inflected forms found through their stem rank a bit lower
+const STEM_RANK_FACTOR = 2;
+
+// Suffixes removed to find a listed stem: [suffix, replacement]
+const SUFFIXES = {
+  en: [
+    ['ies', 'y'], ['ied', 'y'], ['es', ''], ['s', ''], ['ing', ''], ['ing', 'e'],
+    ['ed', ''], ['ed', 'e'], ['ly', ''], ['er', ''], ['est', ''],
+  ],
+  fr: [
+    ['aient', 'er'], ['ait', 'er'], ['ais', 'er'], ['ées', 'er'], ['ée', 'er'], ['és', 'er'], ['é', 'er'],
+    ['ent', 'er'], ['ons', 'er'], ['ez', 'er'], ['es', ''], ['es', 'e'], ['s', ''], ['x', ''], ['e', ''],
+    ['ment', ''],
+  ],
+};
+
+// Elided French words before an apostrophe (l'homme, qu'il)
+const ELISION = /^(?:[ldjmnstc]|qu|jusqu|lorsqu|puisqu)['’]/i;
+
+// English contractions and possessives, split by the SUBTLEX-US counts
+// (don't is counted as don and t)
+const CONTRACTION = /'(?:s|t|m|d|re|ve|ll)$/;
+
+const VOWEL_GROUPS = /[aeiouyàâäéèêëîïôöûùüÿœæ]+/g;
+
+const lexicons = new Map();
+
+/**
+ * Bundled word ranks of a language
+ * @param {string} lang - Language code ("en", "fr")
+ * @returns {Map<string, number>|null} - Word -> rank (1 for the most frequent),
+ *   null without data for the language
+ */
+function loadLexicon(lang) {
+  if (!LEXICON_LANGUAGES.includes(lang)) return null;
+  if (!lexicons.has(lang)) {
+    const data = JSON.parse(fs.readFileSync(path.join(LEXICON_DIR, `${lang}.json`), 'utf-8'));
+    lexicons.set(lang, new Map(data.words.map((word, i) => [word, i + 1])));
+  }
+  return lexicons.get(lang);
+}
+
+/**
+ * Language of the lexicon to use: the given language if there is data for
+ * it, otherwise the one whose most frequent words the text uses most
+ * @param {string} text
+ * @param {string|null} lang - Language of the text, if known
+ * @returns {string|null}
+ */
+function chooseLexiconLanguage(text, lang = null) {
+  if (lang) {
+    const base = lang.toLowerCase().split('-')[0];
+    return LEXICON_LANGUAGES.includes(base) ? base : null;
+  }
+
+  const sample = text.slice(0, 20000).toLowerCase().match(/\p{L}+/gu) || [];
+  let best = null;
+  let bestHits = 0;
+  for (const candidate of LEXICON_LANGUAGES) {
+    const lexicon = loadLexicon(candidate);
+    const hits = sample.filter((word) => (lexicon.get(word) || Infinity) <= 50).length;
+    if (hits > bestHits) {
+      best = candidate;
+      bestHits = hits;
+    }
+  }
+
+  // Function words make up a good part of any text in these languages
+  return bestHits >= sample.length * 0.15 ? best : null;
+}
+
+/**
+ * Word without surrounding punctuation, lowercased
+ */
+function normalizeWord(word) {
+  return word.toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '').replace(/’/g, "'");
+}
+
+/**
+ * Rank of a word in a lexicon, through its stem if needed
+ * @param {string} word - Normalized word
+ * @param {Map<string, number>} lexicon
+ * @param {string} lang
+ * @returns {number|null}
+ */
+function wordRank(word, lexicon, lang) {
+  if (lexicon.has(word)) return lexicon.get(word);
+
+  // French elision: l'homme is ranked as homme
+  if (lang === 'fr' && ELISION.test(word)) {
+    return wordRank(word.replace(ELISION, ''), lexicon, lang);
+  }
+
+  // English contraction: don't is ranked as don
+  if (lang === 'en' && CONTRACTION.test(word)) {
+    return wordRank(word.replace(CONTRACTION, ''), lexicon, lang);
+  }
+
+  // Compound words are as rare as their rarest part
+  if (word.includes('-')) {
+    const ranks = word.split('-').filter(Boolean).map((part) => wordRank(part, lexicon, lang));
+    return ranks.length > 0 && ranks.every((rank) => rank !== null) ? Math.max(...ranks) : null;
+  }
+
+  for (const [suffix, replacement] of SUFFIXES[lang] || []) {
+    if (!word.endsWith(suffix) || word.length - suffix.length < 3) continue;
+    const rank = lexicon.get(word.slice(0, -suffix.length) + replacement);
+    if (rank) return rank * STEM_RANK_FACTOR;
+  }
+
+  return null;
+}
+
+function countSyllables(word) {
+  return (word.match(VOWEL_GROUPS) || []).length;
+}
+
+/**
+ * Difficulty of each item, in bits
+ * @param {Array<{text: string, endsWith: string}>} items - From itemize()
+ * @param {string|null} lang - Lexicon language (see chooseLexiconLanguage);
+ *   without one, only the shape of words is used
+ * @returns {Array<number>}
+ */
+function estimateSurprisal(items, lang) {
+  const lexicon = lang ? loadLexicon(lang) : null;
+  const unknownRank = lexicon ? lexicon.size * UNKNOWN_RANK_FACTOR : null;
+  let previousRare = false;
+
+  return items.map((item, i) => {
+    const word = normalizeWord(item.text);
+    const letters = (word.match(/\p{L}/gu) || []).length;
+    const digits = (word.match(/\p{Nd}/gu) || []).length;
+    let bits = 0;
+
+    // Word frequency: a word of rank r has a probability close to 1/r
+    let rare = false;
+    if (lexicon && letters > 0) {
+      const rank = wordRank(word, lexicon, lang) || unknownRank;
+      bits += Math.log2(rank);
+      rare = rank > RARE_RANK;
+    }
+
+    bits += Math.max(0, letters - LONG_WORD_LETTERS) * WEIGHTS.length;
+    bits += Math.max(0, countSyllables(word) - 2) * WEIGHTS.syllables;
+    bits += digits * WEIGHTS.digit;
+
+    // Names and acronyms, leaving out the first word of a sentence
+    const startsSentence = i === 0 || !['none', 'comma'].includes(items[i - 1].endsWith);
+    const isAcronym = letters > 1 && /^[^\p{Ll}]+$/u.test(item.text) && /\p{Lu}/u.test(item.text);
+    if (isAcronym || (!startsSentence && /^[^\p{L}]*\p{Lu}/u.test(item.text))) {
+      bits += WEIGHTS.capital;
+    }
+
+    if (rare && previousRare) {
+      bits += WEIGHTS.rareBigram;
+    }
+    previousRare = rare;
+
+    return bits;
+  });
+}
+
+/**
+ * Offline counterpart of processText() in sap.js
+ * @param {string} text - Input text
+ * @param {object} params - SAP parameters
+ * @returns {{items: Array, durations: Array<number>, surprisalBits: Array<number>, lexiconLang: string|null}}
+ */
+function processTextLocally(text, params = {}) {
+  const p = { ...DEFAULT_PARAMS, ...params };
+  const items = itemize(text, p.lang);
+  const lexiconLang = chooseLexiconLanguage(text, p.lang);
+  const surprisalBits = estimateSurprisal(items, lexiconLang);
+  const durations = computeDurations(items, surprisalBits, p);
+
+  return { items, durations, surprisalBits, lexiconLang };
+}
+
+module.exports = {
+  LEXICON_LANGUAGES,
+  loadLexicon,
+  chooseLexiconLanguage,
+  wordRank,
+  estimateSurprisal,
+  processTextLocally,
+};
@@ -0,0 +1,130 @@
+/**
+ * Pacing model: extra time a word stays on screen because of the structure
+ * around it (clause and sentence punctuation, paragraph breaks, headings,
+ * quotes and parentheses) and of its length (long words, numbers).
+ *
+ * The same pauses are added to the fixed-speed delay in normal mode and to
+ * the surprisal-based durations of --auto mode (see sap.js).
+ */
+
+const { splitGraphemes } = require('./width.js');
+
+// Pauses in milliseconds, except longWordLength
+const DEFAULT_PACING = {
+  comma: 80, // After , ; : and dashes
+  sentence: 180, // After . ! ?
+  paragraph: 300, // Last word of a paragraph
+  heading: 450, // Last word of a heading
+  openQuote: 30,
+  closeQuote: 30,
+  openParen: 30, // Also brackets and braces
+  closeParen: 30,
+  longWordLength: 8, // Letters a word can have without a bonus
+  longWord: 15, // For each letter past longWordLength
+  number: 20, // For each digit of a number
+};
+
+// Closing quotes and brackets that may follow final punctuation
+const CLOSERS = '["\')\\]}»”’」』]*';
+
+// Punctuation ending a sentence, or a clause within one. Shared with the
+// reader (chunks, phrase starts) and resume.js (replay start)
+const SENTENCE_END = new RegExp(`[.!?…。！？]${CLOSERS}$`);
+const CLAUSE_END = new RegExp(`[,;:—–，、；：]${CLOSERS}$`);
+
+// Blank line between two words
+const PARAGRAPH_BREAK = /\n\s*\n/;
+
+// A paragraph this short, without final punctuation, is a heading
+const HEADING_MAX_WORDS = 10;
+
+const OPEN_QUOTE = /^[^\p{L}\p{N}]*["'«“‘„「『]/u;
+const CLOSE_QUOTE = /["'»”’」』][^\p{L}\p{N}]*$/u;
+const OPEN_PAREN = /^[^\p{L}\p{N}]*[([{]/u;
+const CLOSE_PAREN = /[)\]}][^\p{L}\p{N}]*$/u;
+
+/**
+ * Pacing settings: the defaults, overridden by the "pacing" section of
+ * ~/.srit.json
+ * @param {object} [settings]
+ * @returns {object}
+ * @throws {Error} - Unknown setting or invalid value
+ */
+function resolvePacing(settings = {}) {
+  const pacing = { ...DEFAULT_PACING };
+  for (const [name, value] of Object.entries(settings || {})) {
+    if (!(name in DEFAULT_PACING)) {
+      throw new Error(`Unknown pacing setting "${name}" (settings: ${Object.keys(DEFAULT_PACING).join(', ')})`);
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      throw new Error(`Invalid pacing ${name}: ${value} (use a number of milliseconds, 0 or more)`);
+    }
+    pacing[name] = value;
+  }
+  return pacing;
+}
+
+/**
+ * Kind of boundary after each word
+ * @param {string} text - Original text
+ * @param {Array<{text: string, start: number, end: number}>} segments - Words, from segmentWords()
+ * @returns {Array<'heading'|'para'|'period'|'comma'|'none'>}
+ */
+function findBoundaries(text, segments) {
+  const boundaries = [];
+  let paragraphStart = 0;
+
+  segments.forEach((segment, i) => {
+    const next = segments[i + 1];
+    const gap = text.slice(segment.end, next ? next.start : text.length);
+
+    if (PARAGRAPH_BREAK.test(gap)) {
+      const isHeading = i - paragraphStart < HEADING_MAX_WORDS
+        && !SENTENCE_END.test(segment.text) && !CLAUSE_END.test(segment.text);
+      boundaries.push(isHeading ? 'heading' : 'para');
+      paragraphStart = i + 1;
+    } else if (SENTENCE_END.test(segment.text)) {
+      boundaries.push('period');
+    } else if (CLAUSE_END.test(segment.text)) {
+      boundaries.push('comma');
+    } else {
+      boundaries.push('none');
+    }
+  });
+
+  return boundaries;
+}
+
+/**
+ * Extra display time of a word
+ * @param {string} word
+ * @param {string} boundary - Boundary after the word, see findBoundaries()
+ * @param {object} pacing - From resolvePacing()
+ * @returns {number} - Milliseconds
+ */
+function wordPause(word, boundary, pacing) {
+  let pause = {
+    heading: pacing.heading,
+    para: pacing.paragraph,
+    period: pacing.sentence,
+    comma: pacing.comma,
+  }[boundary] || 0;
+
+  if (OPEN_QUOTE.test(word)) pause += pacing.openQuote;
+  if (CLOSE_QUOTE.test(word)) pause += pacing.closeQuote;
+  if (OPEN_PAREN.test(word)) pause += pacing.openParen;
+  if (CLOSE_PAREN.test(word)) pause += pacing.closeParen;
+
+  const graphemes = splitGraphemes(word);
+  const digits = graphemes.filter((g) => /^\p{Nd}$/u.test(g)).length;
+  if (digits > 0) {
+    pause += digits * pacing.number;
+  } else {
+    const letters = graphemes.filter((g) => /^\p{L}/u.test(g)).length;
+    pause += Math.max(0, letters - pacing.longWordLength) * pacing.longWord;
+  }
+
+  return pause;
+}
+
+module.exports = { DEFAULT_PACING, SENTENCE_END, CLAUSE_END, resolvePacing, findBoundaries, wordPause };
@@ -0,0 +1,216 @@
+/**
+ * Per-document reading positions, so that a document can be resumed
+ * where it was left.
+ *
+ * Positions are keyed by a hash of the document content. Each one also
+ * records its source and a few words of context, so the place can be found
+ * again after the document was slightly edited (which changes the hash).
+ * Reading only a page range or a section of a source keeps a position of
+ * its own, apart from the one in the whole document.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { getCacheKey } = require('./cache.js');
+const { SENTENCE_END } = require('./pacing.js');
+
+const POSITIONS_DIR = path.join(os.homedir(), '.cache', 'srit', 'positions');
+
+// Words of context stored on each side of the position
+const CONTEXT_WORDS = 8;
+
+// How far back to replay when resuming
+const REPLAY_WORDS = 8;
+
+/**
+ * Identify a source independently of its content (files by absolute path)
+ */
+function getSourceId(source) {
+  if (source.startsWith('http://') || source.startsWith('https://')) {
+    return source;
+  }
+  return path.resolve(source);
+}
+
+/**
+ * Identify the part of a source being read
+ * @param {{pages: {from: number, to: number}|null, section: string|null}} selection - --pages and --section
+ * @returns {string|null} - e.g. "pages 40-62", or null for the whole document
+ */
+function getRangeId({ pages = null, section = null } = {}) {
+  if (pages) return `pages ${pages.from}-${pages.to}`;
+  if (section) return `section ${section.trim().toLowerCase()}`;
+  return null;
+}
+
+function isSameRange(entry, sourceId, range) {
+  return entry.source === sourceId && (entry.range ?? null) === range;
+}
+
+function readPositions() {
+  try {
+    if (!fs.existsSync(POSITIONS_DIR)) return [];
+    return fs.readdirSync(POSITIONS_DIR)
+      .filter((file) => file.endsWith('.json'))
+      .map((file) => {
+        try {
+          const data = JSON.parse(fs.readFileSync(path.join(POSITIONS_DIR, file), 'utf-8'));
+          return { file, ...data };
+        } catch {
+          return null;
+        }
+      })
+      .filter((entry) => entry !== null);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Get the saved reading position of a document
+ * @param {string} source - File path or URL
+ * @param {string} text - Current document text
+ * @param {Array<string>} words - Current document words
+ * @param {string|null} range - Part of the source read, see getRangeId
+ * @returns {{index: number, total: number, exact: boolean}|null} - Word index to resume at, or null
+ */
+function loadPosition(source, text, words, range = null) {
+  const key = getCacheKey(text);
+  const positions = readPositions();
+
+  const exact = positions.find((entry) => entry.file === `${key}.json`);
+  if (exact && exact.index < words.length) {
+    return { index: exact.index, total: words.length, exact: true };
+  }
+
+  // The document may have been edited: look for its last position in the
+  // same part of the source
+  const sourceId = getSourceId(source);
+  const previous = positions
+    .filter((entry) => isSameRange(entry, sourceId, range))
+    .sort((a, b) => b.timestamp - a.timestamp)[0];
+  if (!previous) return null;
+
+  const index = findPosition(words, previous);
+  return index === -1 ? null : { index, total: words.length, exact: false };
+}
+
+/**
+ * Save the reading position of a document, replacing older positions in
+ * the same part of the source
+ * @param {string} source - File path or URL
+ * @param {string} text - Document text
+ * @param {Array<string>} words - Document words
+ * @param {number} index - Word index to resume at
+ * @param {string|null} range - Part of the source read, see getRangeId
+ */
+function savePosition(source, text, words, index, range = null) {
+  try {
+    clearPosition(source, range);
+    fs.mkdirSync(POSITIONS_DIR, { recursive: true });
+
+    const data = {
+      source: getSourceId(source),
+      range,
+      index,
+      total: words.length,
+      before: words.slice(Math.max(0, index - CONTEXT_WORDS), index),
+      after: words.slice(index, index + CONTEXT_WORDS),
+      timestamp: Date.now(),
+    };
+    fs.writeFileSync(path.join(POSITIONS_DIR, `${getCacheKey(text)}.json`), JSON.stringify(data), 'utf-8');
+  } catch {
+    // Ignore write errors, resuming is a convenience
+  }
+}
+
+/**
+ * Forget the reading position in a part of a source (e.g. once it was read
+ * to the end). Positions in other parts of the source are kept.
+ * @param {string} source - File path or URL
+ * @param {string|null} range - Part of the source read, see getRangeId
+ */
+function clearPosition(source, range = null) {
+  const sourceId = getSourceId(source);
+  for (const entry of readPositions()) {
+    if (isSameRange(entry, sourceId, range)) {
+      try {
+        fs.unlinkSync(path.join(POSITIONS_DIR, entry.file));
+      } catch {
+        // Ignore errors
+      }
+    }
+  }
+}
+
+/**
+ * Find a saved position in a (possibly edited) list of words by matching
+ * the stored context words around it. Ties go to the candidate closest to
+ * the same relative position in the document.
+ * @param {Array<string>} words - Current words
+ * @param {{index: number, total: number, before: Array<string>, after: Array<string>}} saved
+ * @returns {number} - Word index, or -1 if the context was not found
+ */
+function findPosition(words, saved) {
+  const before = saved.before || [];
+  const after = saved.after || [];
+  const contextSize = before.length + after.length;
+  if (contextSize === 0) return -1;
+
+  const expected = saved.total > 0 ? (saved.index / saved.total) * words.length : saved.index;
+  let bestIndex = -1;
+  let bestScore = 0;
+  let bestDistance = Infinity;
+
+  for (let i = 0; i <= words.length; i++) {
+    let score = 0;
+    for (let j = 0; j < before.length; j++) {
+      if (words[i - before.length + j] === before[j]) score++;
+    }
+    for (let j = 0; j < after.length; j++) {
+      if (words[i + j] === after[j]) score++;
+    }
+
+    const distance = Math.abs(i - expected);
+    if (score > bestScore || (score === bestScore && score > 0 && distance < bestDistance)) {
+      bestIndex = i;
+      bestScore = score;
+      bestDistance = distance;
+    }
+  }
+
+  // Require at least half of the context to match
+  if (bestScore * 2 < contextSize) return -1;
+  return Math.min(bestIndex, words.length - 1);
+}
+
+/**
+ * Where to start when resuming at index: from the last few words of the
+ * previous sentence, so the reader gets their bearings. Deep inside a long
+ * sentence, only step back a few words.
+ * @param {Array<string>} words - Document words
+ * @param {number} index - Resume position
+ * @returns {number}
+ */
+function getReplayStart(words, index) {
+  // Start of the sentence containing index
+  let sentenceStart = index;
+  while (sentenceStart > 0 && !SENTENCE_END.test(words[sentenceStart - 1])) {
+    sentenceStart--;
+  }
+
+  if (index - sentenceStart > REPLAY_WORDS) {
+    return index - REPLAY_WORDS;
+  }
+
+  // Start of the previous sentence, which bounds the replay
+  let previousStart = Math.max(0, sentenceStart - 1);
+  while (previousStart > 0 && !SENTENCE_END.test(words[previousStart - 1])) {
+    previousStart--;
+  }
+
+  return Math.max(previousStart, sentenceStart - REPLAY_WORDS);
+}
+
+module.exports = { getSourceId, getRangeId, loadPosition, savePosition, clearPosition, findPosition, getReplayStart };
@@ -5,6 +5,10 @@
  * with a smooth slowdown "halo" around surprising tokens.
  */
 
+const { segmentWords } = require('./segment.js');
+const { DEFAULT_PACING, resolvePacing, findBoundaries, wordPause } = require('./pacing.js');
+const { DEFAULT_SCHEDULE, runScheduled } = require('./scheduler.js');
+
 const DEFAULT_PARAMS = {
   target_wpm: 360,
   chunk_size_words: 16,
@@ -18,46 +22,62 @@ const DEFAULT_PARAMS = {
   gamma: 0.6,
   min_ms: 80,
   max_ms: 800,
-  comma_bonus_ms: 60,
-  period_bonus_ms: 120,
-  para_bonus_ms: 180
+  normalization: 'global', // Surprisal statistics: global, section or window (see normalizationStats())
+  normalization_window: 200, // Words of the window mode
+  pacing: DEFAULT_PACING, // Punctuation, structure and length pauses (see pacing.js)
+  lang: null // Language of the text, for word segmentation (see segment.js)
 };
 
+const NORMALIZATION_MODES = ['window', 'section', 'global'];
+
+// Sections shorter than this are joined to the next one: too few words
+// for their statistics to mean anything
+const MIN_SECTION_WORDS = 30;
+
+// Tokens of the scoring instructions around the text
+const PROMPT_TOKENS = 50;
+
 /**
  * Segment text into RSVP items (words with attached trailing punctuation)
  * @param {string} text - Input text
- * @returns {Array<{text: string, startChar: number, endChar: number, endsWith: string}>}
+ * @param {string|null} lang - Language, for languages written without spaces
+ * @returns {Array<{text: string, startChar: number, endChar: number, endsWith: string}>} -
+ *   endsWith is the boundary after the item (heading, para, period, comma or none)
  */
-function itemize(text) {
-  const items = [];
-  // Match words with optional trailing punctuation, preserving positions
-  const regex = /\S+/g;
-  let match;
-
-  while ((match = regex.exec(text)) !== null) {
-    const word = match[0];
-    const startChar = match.index;
-    const endChar = match.index + word.length;
-
-    // Determine ending punctuation type
-    let endsWith = 'none';
-    const lastChar = word[word.length - 1];
-
-    // Check for paragraph break (newlines after this word)
-    const afterWord = text.slice(endChar);
-    const newlineMatch = afterWord.match(/^(\s*\n\s*\n)/);
-    if (newlineMatch) {
-      endsWith = 'para';
-    } else if ('.!?'.includes(lastChar)) {
-      endsWith = 'period';
-    } else if (',;:'.includes(lastChar)) {
-      endsWith = 'comma';
-    }
-
-    items.push({ text: word, startChar, endChar, endsWith });
-  }
+function itemize(text, lang = null) {
+  const segments = segmentWords(text, lang);
+  const boundaries = findBoundaries(text, segments);
+
+  return segments.map(({ text: word, start: startChar, end: endChar }, i) => ({
+    text: word,
+    startChar,
+    endChar,
+    endsWith: boundaries[i],
+  }));
+}
 
-  return items;
+/**
+ * Join items into the text sent for scoring: items separated by whitespace
+ * in the original get one space, adjacent ones (e.g. Chinese words) none.
+ * The char map gives, for each character of the joined text, its offset in
+ * the original text (-1 for the added spaces).
+ * @param {Array} items - Consecutive RSVP items
+ * @returns {{text: string, sourceChars: Array<number>}}
+ */
+function joinItems(items) {
+  let text = '';
+  const sourceChars = [];
+  items.forEach((it, i) => {
+    if (i > 0 && it.startChar > items[i - 1].endChar) {
+      text += ' ';
+      sourceChars.push(-1);
+    }
+    text += it.text;
+    for (let c = 0; c < it.text.length; c++) {
+      sourceChars.push(it.startChar + c);
+    }
+  });
+  return { text, sourceChars };
 }
 
 /**
@@ -84,30 +104,35 @@ function chunkPlan(items, params = {}) {
 }
 
 /**
- * Align LLM tokens to RSVP items based on character positions
- * @param {Array} items - RSVP items
- * @param {Array<{token: string, logprob: number, startChar: number, endChar: number}>} lmTokens
- * @param {number} textStartChar - Starting character offset of the scored text
- * @returns {Array<number>} - Maps token index to item index
+ * Align LLM tokens to RSVP items: each token goes to the first item its
+ * characters overlap in the original text. Tokens and items are both in
+ * text order, so one pass over each is enough.
+ * @param {Array} items - RSVP items of the scored text
+ * @param {Array<{token: string, logprob: number, startChar: number, endChar: number}>} lmTokens -
+ *   In text order, positions in the scored text
+ * @param {Array<number>} sourceChars - Char map of the scored text (see joinItems())
+ * @returns {Array<number>} - Maps token index to item index, -1 for tokens
+ *   of the added spaces only
  */
-function alignTokensToItems(items, lmTokens, textStartChar) {
+function alignTokensToItems(items, lmTokens, sourceChars) {
   const tokenToItem = [];
+  let i = 0;
 
   for (const token of lmTokens) {
-    const tokenStart = textStartChar + token.startChar;
-    const tokenEnd = textStartChar + token.endChar;
-
-    // Find overlapping item
-    let foundItem = -1;
-    for (let i = 0; i < items.length; i++) {
-      const item = items[i];
-      // Check overlap
-      if (tokenStart < item.endChar && tokenEnd > item.startChar) {
-        foundItem = i;
-        break;
-      }
+    // Span of the token in the original, without the added spaces
+    let start = token.startChar;
+    let end = Math.min(token.endChar, sourceChars.length);
+    while (start < end && sourceChars[start] < 0) start++;
+    while (end > start && sourceChars[end - 1] < 0) end--;
+    if (start === end) {
+      tokenToItem.push(-1);
+      continue;
     }
-    tokenToItem.push(foundItem);
+    const sourceStart = sourceChars[start];
+    const sourceEnd = sourceChars[end - 1] + 1;
+
+    while (i < items.length && items[i].endChar <= sourceStart) i++;
+    tokenToItem.push(i < items.length && items[i].startChar < sourceEnd ? i : -1);
   }
 
   return tokenToItem;
@@ -132,6 +157,94 @@ function mad(arr, med) {
   return median(deviations);
 }
 
+/**
+ * Check the normalization settings
+ * @param {string} mode - One of NORMALIZATION_MODES
+ * @param {number} window - Words of the window mode
+ * @returns {{normalization: string, normalization_window: number}} - SAP parameters
+ * @throws {Error} - Unknown mode or invalid window
+ */
+function resolveNormalization(mode = DEFAULT_PARAMS.normalization, window = DEFAULT_PARAMS.normalization_window) {
+  if (!NORMALIZATION_MODES.includes(mode)) {
+    throw new Error(`Unknown normalization "${mode}" (modes: ${NORMALIZATION_MODES.join(', ')})`);
+  }
+  if (!Number.isInteger(window) || window < 10) {
+    throw new Error(`Invalid normalization window: ${window} (use a number of words, 10 or more)`);
+  }
+  return { normalization: mode, normalization_window: window };
+}
+
+/**
+ * Start of each section: a heading starts one, unless the section before
+ * it is too short (e.g. a title right above a chapter heading)
+ * @param {Array} items - RSVP items
+ * @returns {Array<number>} - Item indices, the first one 0
+ */
+function findSections(items) {
+  const starts = [0];
+  let paragraphStart = 0;
+
+  items.forEach((item, i) => {
+    if (item.endsWith === 'heading' && paragraphStart - starts[starts.length - 1] >= MIN_SECTION_WORDS) {
+      starts.push(paragraphStart);
+    }
+    if (item.endsWith === 'heading' || item.endsWith === 'para') {
+      paragraphStart = i + 1;
+    }
+  });
+
+  // A short last section goes with the one before
+  if (starts.length > 1 && items.length - starts[starts.length - 1] < MIN_SECTION_WORDS) {
+    starts.pop();
+  }
+  return starts;
+}
+
+/**
+ * Median and spread of the surprisal each item is compared to:
+ * - global: over the whole text
+ * - section: over the section of the item (between headings)
+ * - window: over the words around the item, so that a dense technical
+ *   passage does not make the whole document look average, and an easy
+ *   introduction still gets its slowdowns. The statistics are updated
+ *   every few words.
+ * @param {Array} items - RSVP items
+ * @param {Array<number>} surprisalBits - Per-item surprisal in bits
+ * @param {object} p - SAP parameters
+ * @returns {{medians: Array<number>, sigmas: Array<number>}}
+ */
+function normalizationStats(items, surprisalBits, p) {
+  const n = surprisalBits.length;
+  const medians = new Array(n);
+  const sigmas = new Array(n);
+  const fill = (from, to, values) => {
+    const m = median(values);
+    medians.fill(m, from, to);
+    sigmas.fill(Math.max(1e-6, 1.4826 * mad(values, m)), from, to);
+  };
+
+  if (p.normalization === 'window') {
+    const width = Math.min(p.normalization_window, n);
+    const step = Math.max(1, Math.floor(width / 16));
+    for (let from = 0; from < n; from += step) {
+      const center = from + Math.floor(step / 2);
+      // Windows near the ends keep their width
+      const start = Math.min(Math.max(0, center - Math.floor(width / 2)), n - width);
+      fill(from, Math.min(n, from + step), surprisalBits.slice(start, start + width));
+    }
+  } else if (p.normalization === 'section') {
+    const starts = findSections(items);
+    starts.forEach((start, si) => {
+      const end = si + 1 < starts.length ? starts[si + 1] : n;
+      fill(start, end, surprisalBits.slice(start, end));
+    });
+  } else {
+    fill(0, n, surprisalBits);
+  }
+
+  return { medians, sigmas };
+}
+
 /**
  * Compute durations for all items based on surprisal values
  * @param {Array} items - RSVP items
@@ -146,25 +259,22 @@ function computeDurations(items, surprisalBits, params = {}) {
   // Base duration from target WPM
   const baseMs = Math.round(60000 / p.target_wpm);
 
-  // If no surprisal data, return base durations with punctuation bonuses
+  // Punctuation, structure and length pauses, as in normal mode
+  const pacing = resolvePacing(p.pacing);
+  const pauses = items.map(item => wordPause(item.text, item.endsWith, pacing));
+
+  // If no surprisal data, return base durations with the pauses
   if (!surprisalBits || surprisalBits.length === 0) {
-    return items.map(item => {
-      let duration = baseMs;
-      if (item.endsWith === 'para') duration += p.para_bonus_ms;
-      else if (item.endsWith === 'period') duration += p.period_bonus_ms;
-      else if (item.endsWith === 'comma') duration += p.comma_bonus_ms;
-      return Math.min(Math.max(duration, p.min_ms), p.max_ms);
-    });
+    return pauses.map(pause => Math.min(Math.max(baseMs + pause, p.min_ms), p.max_ms));
   }
 
-  // Step 4: Robust normalization (per chunk in practice, but here globally)
-  const m = median(surprisalBits);
-  const madVal = mad(surprisalBits, m);
-  const sigma = Math.max(1e-6, 1.4826 * madVal);
+  // Step 4: Robust normalization, against the surprisal around each item
+  resolveNormalization(p.normalization, p.normalization_window);
+  const { medians, sigmas } = normalizationStats(items, surprisalBits, p);
 
   // Compute excess surprise e for each item
-  const e = surprisalBits.map(s => {
-    const z = (s - (m + p.alpha * sigma)) / (p.beta * sigma);
+  const e = surprisalBits.map((s, i) => {
+    const z = (s - (medians[i] + p.alpha * sigmas[i])) / (p.beta * sigmas[i]);
     return Math.max(0, Math.min(z, p.e_max));
   });
 
@@ -189,13 +299,7 @@ function computeDurations(items, surprisalBits, params = {}) {
     // Slowdown multiplier with tanh saturation
     const mult = 1 + p.gamma * Math.tanh(u[i]);
 
-    // Punctuation bonus
-    let punctBonus = 0;
-    if (item.endsWith === 'para') punctBonus = p.para_bonus_ms;
-    else if (item.endsWith === 'period') punctBonus = p.period_bonus_ms;
-    else if (item.endsWith === 'comma') punctBonus = p.comma_bonus_ms;
-
-    const duration = Math.round(baseMs * mult + punctBonus);
+    const duration = Math.round(baseMs * mult + pauses[i]);
     return Math.min(Math.max(duration, p.min_ms), p.max_ms);
   });
 
@@ -203,81 +307,125 @@ function computeDurations(items, surprisalBits, params = {}) {
 }
 
 /**
- * Process text and compute durations using LLM scoring
+ * Characters of a text other than whitespace, only those covered by the
+ * given tokens if any
+ * @param {string} text
+ * @param {Array<{startChar: number, endChar: number}>} [tokens]
+ * @returns {number}
+ */
+function countVisible(text, tokens = null) {
+  const covered = new Array(text.length).fill(tokens === null);
+  for (const { startChar, endChar } of tokens || []) {
+    covered.fill(true, startChar, endChar);
+  }
+  let count = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (covered[i] && !/\s/.test(text[i])) count++;
+  }
+  return count;
+}
+
+/**
+ * Rough token count of a scoring request (prompt with the context and the
+ * chunk, and the chunk echoed back), about 4 characters per token
+ * @param {string} contextText
+ * @param {string} chunkText
+ * @returns {number}
+ */
+function estimateRequestTokens(contextText, chunkText) {
+  return PROMPT_TOKENS + Math.ceil((contextText.length + 2 * chunkText.length) / 4);
+}
+
+/**
+ * Process text and compute durations using LLM scoring. Chunks are scored
+ * concurrently (see scheduler.js); the result does not depend on the order
+ * they complete in.
  * @param {string} text - Input text
  * @param {function} scoreTokensFn - Async function (contextText, chunkText) => Array<{token, logprob, startChar, endChar}>
  * @param {object} params - SAP parameters
- * @param {function} onProgress - Optional progress callback (chunkIndex, totalChunks)
- * @returns {Promise<{items: Array, durations: Array<number>}>}
+ * @param {function} onProgress - Optional progress callback (chunksDone, totalChunks)
+ * @param {object} schedule - Concurrency, rate limits and retries (see resolveSchedule())
+ * @returns {Promise<{items: Array, durations: Array<number>, surprisalBits: Array<number>, tokens: Array, failures: Array, faithfulFraction: number}>} -
+ *   tokens lists the scored tokens in text order, {token, bits, item} (item
+ *   -1 if aligned to none); failures lists the chunks that could not be
+ *   scored (uniform pacing there): {chunk, startItem, endItem, error,
+ *   attempts}; faithfulFraction is the fraction of the text (without
+ *   whitespace) scored from its own tokens
  */
-async function processText(text, scoreTokensFn, params = {}, onProgress = null) {
+async function processText(text, scoreTokensFn, params = {}, onProgress = null, schedule = DEFAULT_SCHEDULE) {
   const p = { ...DEFAULT_PARAMS, ...params };
-  const items = itemize(text);
+  const items = itemize(text, p.lang);
   const n = items.length;
 
   if (n === 0) {
-    return { items: [], durations: [] };
+    return { items: [], durations: [], surprisalBits: [], tokens: [], failures: [], faithfulFraction: 1 };
   }
 
-  // Plan chunks
+  // Plan chunks, each scored with the items before it as context
   const chunks = chunkPlan(items, p);
+  const joined = chunks.map((chunk) => joinItems(items.slice(chunk.startItem, chunk.endItem)));
+  const tasks = chunks.map((chunk, ci) => {
+    const contextText = joinItems(items.slice(chunk.contextStartItem, chunk.startItem)).text;
+    const chunkText = joined[ci].text;
+    return {
+      run: () => (chunkText.trim().length === 0 ? [] : scoreTokensFn(contextText, chunkText)),
+      tokens: estimateRequestTokens(contextText, chunkText),
+    };
+  });
 
-  // Initialize per-item surprisal accumulator
-  const surprisalBits = new Array(n).fill(0);
-
-  // Process each chunk
-  for (let ci = 0; ci < chunks.length; ci++) {
-    const chunk = chunks[ci];
+  if (onProgress) {
+    onProgress(0, chunks.length);
+  }
 
-    if (onProgress) {
-      onProgress(ci, chunks.length);
-    }
+  const { results, failures } = await runScheduled(tasks, schedule, { onProgress });
 
-    // Build context text (from overlap items)
-    const contextItems = items.slice(chunk.contextStartItem, chunk.startItem);
-    const contextText = contextItems.map(it => it.text).join(' ');
+  // Accumulate surprisal per item, in chunk order
+  const surprisalBits = new Array(n).fill(0);
+  const tokens = [];
+  const ln2 = Math.log(2);
+  let scoredChars = 0;
+  let totalChars = 0;
+  chunks.forEach((chunk, ci) => {
+    const { text: chunkText, sourceChars } = joined[ci];
+    totalChars += countVisible(chunkText);
+
+    // Only tokens of the chunk text count: not a preamble or a paraphrase
+    const lmTokens = (results[ci] || []).filter(
+      (token) => token.endChar > token.startChar && chunkText.slice(token.startChar, token.endChar) === token.token
+    );
+    if (lmTokens.length === 0) return;
+    scoredChars += countVisible(chunkText, lmTokens);
 
-    // Build chunk text (items to score)
     const chunkItems = items.slice(chunk.startItem, chunk.endItem);
-    const chunkText = chunkItems.map(it => it.text).join(' ');
-
-    if (chunkText.trim().length === 0) continue;
-
-    try {
-      // Get token logprobs from LLM
-      const lmTokens = await scoreTokensFn(contextText, chunkText);
-
-      if (lmTokens && lmTokens.length > 0) {
-        // Align tokens to items
-        // For chunk text, startChar is relative to chunk start
-        const chunkStartChar = chunkItems[0]?.startChar || 0;
-        const tokenToItem = alignTokensToItems(items, lmTokens, chunkStartChar);
-
-        // Accumulate surprisal per item
-        const ln2 = Math.log(2);
-        for (let ti = 0; ti < lmTokens.length; ti++) {
-          const itemIdx = tokenToItem[ti];
-          if (itemIdx >= 0 && itemIdx < n) {
-            // Convert logprob (natural log) to bits
-            const bits = -lmTokens[ti].logprob / ln2;
-            surprisalBits[itemIdx] += bits;
-          }
-        }
+    const tokenToItem = alignTokensToItems(chunkItems, lmTokens, sourceChars);
+    for (let ti = 0; ti < lmTokens.length; ti++) {
+      // Convert logprob (natural log) to bits
+      const bits = -lmTokens[ti].logprob / ln2;
+      const itemIdx = tokenToItem[ti] < 0 ? -1 : chunk.startItem + tokenToItem[ti];
+      if (itemIdx >= 0) {
+        surprisalBits[itemIdx] += bits;
       }
-    } catch (err) {
-      // On error, this chunk gets no surprisal data (fallback to uniform)
-      console.error(`Warning: LLM scoring failed for chunk ${ci + 1}: ${err.message}`);
+      tokens.push({ token: lmTokens[ti].token, bits, item: itemIdx });
     }
-  }
-
-  if (onProgress) {
-    onProgress(chunks.length, chunks.length);
-  }
+  });
 
   // Compute durations from surprisal
   const durations = computeDurations(items, surprisalBits, p);
 
-  return { items, durations, surprisalBits };
+  return {
+    items,
+    durations,
+    surprisalBits,
+    tokens,
+    faithfulFraction: totalChars > 0 ? scoredChars / totalChars : 1,
+    failures: failures.map(({ index, error, attempts }) => ({
+      chunk: index,
+      startItem: chunks[index].startItem,
+      endItem: chunks[index].endItem,
+      error,
+      attempts,
+    })),
+  };
 }
 
 /**
@@ -292,12 +440,107 @@ function getWordsAndDurations(result) {
   };
 }
 
+/**
+ * Durations of the same surprisal under each normalization mode, to
+ * compare their profiles
+ * @param {Array} items - RSVP items
+ * @param {Array<number>} surprisalBits - Per-item surprisal in bits
+ * @param {object} params - SAP parameters
+ * @returns {Array<{mode: string, durations: Array<number>, totalMs: number, slowed: number}>} -
+ *   slowed counts the words shown longer than without surprisal
+ */
+function compareNormalizations(items, surprisalBits, params = {}) {
+  const flat = computeDurations(items, surprisalBits, { ...params, gamma: 0 });
+  return NORMALIZATION_MODES.map((mode) => {
+    const durations = computeDurations(items, surprisalBits, { ...params, normalization: mode });
+    return {
+      mode,
+      durations,
+      totalMs: durations.reduce((sum, ms) => sum + ms, 0),
+      slowed: durations.filter((ms, i) => ms > flat[i]).length,
+    };
+  });
+}
+
+// Rows of the duration profile at the end of the --sap-debug dump
+const PROFILE_ROWS = 20;
+
+/**
+ * Lines of the --sap-debug dump: each item with its position in the text,
+ * surprisal, its duration under each normalization mode (the one in use
+ * marked with *), and the tokens aligned to it with their bits; then the
+ * totals and the duration profile of each mode along the text
+ * @param {{items: Array, surprisalBits: Array<number>, tokens: Array}} result -
+ *   From processText() (or processTextLocally(), without tokens)
+ * @param {object} params - SAP parameters
+ * @returns {Array<string>}
+ */
+function formatSapDebug(result, params = {}) {
+  const p = { ...DEFAULT_PARAMS, ...params };
+  const { items, surprisalBits } = result;
+  const tokens = result.tokens || [];
+  const byItem = items.map(() => []);
+  let unaligned = 0;
+  for (const t of tokens) {
+    if (t.item >= 0) {
+      byItem[t.item].push(`${JSON.stringify(t.token)} ${t.bits.toFixed(2)}`);
+    } else {
+      unaligned++;
+    }
+  }
+
+  const modes = compareNormalizations(items, surprisalBits, p);
+  const modeColumns = modes.map(({ mode }) => (mode === p.normalization ? `*${mode}` : mode).padStart(8));
+  const lines = [`${'#'.padStart(6)}  ${'Chars'.padEnd(13)}  ${'Word'.padEnd(16)}  ${'Bits'.padStart(6)}  ${modeColumns.join('  ')}  Tokens`];
+  items.forEach((item, i) => {
+    lines.push([
+      String(i + 1).padStart(6),
+      `${item.startChar}-${item.endChar}`.padEnd(13),
+      item.text.padEnd(16),
+      surprisalBits[i].toFixed(2).padStart(6),
+      ...modes.map(({ durations }) => `${durations[i]}ms`.padStart(8)),
+      byItem[i].join(', '),
+    ].join('  ').trimEnd());
+  });
+
+  lines.push('');
+  lines.push(result.tokens
+    ? `${tokens.length} tokens over ${items.length} words, ${unaligned} on no word (spaces between words)`
+    : `${items.length} words estimated offline, without tokens`);
+  lines.push('');
+  for (const { mode, totalMs, slowed } of modes) {
+    const percent = items.length > 0 ? Math.round((slowed / items.length) * 100) : 0;
+    lines.push(`${mode.padEnd(8)}  ${(totalMs / 1000).toFixed(1)}s in total, ${slowed} words slowed down (${percent}%)`);
+  }
+
+  // Average duration per word along the text, mode by mode
+  lines.push('');
+  lines.push(`${'Words'.padEnd(15)}  ${modes.map(({ mode }) => mode.padStart(8)).join('  ')}`);
+  const rows = Math.min(PROFILE_ROWS, items.length);
+  for (let r = 0; r < rows; r++) {
+    const from = Math.floor((r * items.length) / rows);
+    const to = Math.floor(((r + 1) * items.length) / rows);
+    const averages = modes.map(({ durations }) => {
+      const sum = durations.slice(from, to).reduce((total, ms) => total + ms, 0);
+      return `${Math.round(sum / (to - from))}ms`.padStart(8);
+    });
+    lines.push(`${`${from + 1}-${to}`.padEnd(15)}  ${averages.join('  ')}`);
+  }
+  return lines;
+}
+
 module.exports = {
   DEFAULT_PARAMS,
+  NORMALIZATION_MODES,
   itemize,
   chunkPlan,
   alignTokensToItems,
+  resolveNormalization,
+  normalizationStats,
   computeDurations,
+  compareNormalizations,
+  estimateRequestTokens,
   processText,
-  getWordsAndDurations
+  getWordsAndDurations,
+  formatSapDebug
 };
@@ -0,0 +1,237 @@
+/**
+ * Scheduling of LLM requests: a bounded number in flight, within the
+ * provider's requests-per-minute and tokens-per-minute limits. Rate limits
+ * (429), timeouts and server errors are retried with exponential backoff
+ * and jitter, waiting at least as long as the server's Retry-After.
+ */
+
+const RATE_WINDOW_MS = 60000;
+
+// rpm and tpm of 0 mean no limit
+const DEFAULT_SCHEDULE = {
+  concurrency: 4, // Requests in flight
+  rpm: 0, // Requests per minute
+  tpm: 0, // Tokens per minute
+  retries: 4, // Retries of a failed request
+  baseDelayMs: 1000, // First backoff delay, doubled at each retry
+  maxDelayMs: 60000, // Longest wait; a longer Retry-After fails the request
+};
+
+// Network errors worth retrying (the connection dropped or timed out)
+const TRANSIENT_CODES = [
+  'ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN',
+  'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_BODY_TIMEOUT',
+];
+
+// Failures that every other request would hit too (bad key, unknown
+// model, server not running): scheduling stops at the first one
+const FATAL_STATUSES = [401, 403, 404];
+const FATAL_CODES = ['ECONNREFUSED', 'ENOTFOUND'];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function errorCode(err) {
+  return err.code || (err.cause && err.cause.code) || null;
+}
+
+/**
+ * Scheduling settings: the defaults, then the provider's limits, then the
+ * user's settings (the "rateLimits" section of ~/.srit.json, --concurrency)
+ * @param {...object} layers
+ * @returns {object}
+ * @throws {Error} - Unknown setting or invalid value
+ */
+function resolveSchedule(...layers) {
+  const schedule = { ...DEFAULT_SCHEDULE };
+  for (const layer of layers) {
+    for (const [name, value] of Object.entries(layer || {})) {
+      if (!(name in DEFAULT_SCHEDULE)) {
+        throw new Error(`Unknown rate limit setting "${name}" (settings: ${Object.keys(DEFAULT_SCHEDULE).join(', ')})`);
+      }
+      const minimum = name === 'concurrency' ? 1 : 0;
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < minimum) {
+        throw new Error(`Invalid rate limit ${name}: ${value} (use a number, ${minimum} or more)`);
+      }
+      schedule[name] = value;
+    }
+  }
+  return schedule;
+}
+
+/**
+ * Whether a failed request may succeed if sent again
+ * @param {Error} err - With a status for HTTP errors (see apiError() in llm.js)
+ * @returns {boolean}
+ */
+function isRetryable(err) {
+  if (err.status) {
+    return err.status === 408 || err.status === 429 || err.status >= 500;
+  }
+  return TRANSIENT_CODES.includes(errorCode(err));
+}
+
+function isFatal(err) {
+  return FATAL_STATUSES.includes(err.status) || FATAL_CODES.includes(errorCode(err));
+}
+
+/**
+ * Wait before a retry: the server's Retry-After if it gave one, otherwise
+ * an exponential backoff with jitter (between half and all of the delay,
+ * so that parallel requests spread out)
+ * @param {Error} err
+ * @param {number} attempt - Retries so far (0 for the first retry)
+ * @param {object} schedule - From resolveSchedule()
+ * @param {function} [random]
+ * @returns {number|null} - Milliseconds, null if the server asks for longer than maxDelayMs
+ */
+function retryDelay(err, attempt, schedule, random = Math.random) {
+  if (err.retryAfterMs !== null && err.retryAfterMs !== undefined) {
+    return err.retryAfterMs <= schedule.maxDelayMs ? err.retryAfterMs : null;
+  }
+  const delay = Math.min(schedule.maxDelayMs, schedule.baseDelayMs * 2 ** attempt);
+  return delay / 2 + random() * (delay / 2);
+}
+
+/**
+ * Requests and tokens sent over the last minute, shared by all the
+ * requests of a schedule
+ */
+class RateLimiter {
+  /**
+   * @param {{rpm: number, tpm: number}} limits - 0 for no limit
+   * @param {number} [windowMs]
+   */
+  constructor({ rpm = 0, tpm = 0 } = {}, windowMs = RATE_WINDOW_MS) {
+    this.rpm = rpm;
+    this.tpm = tpm;
+    this.windowMs = windowMs;
+    this.sent = []; // {time, tokens}, oldest first
+    this.heldUntil = 0;
+  }
+
+  /**
+   * Time to wait before a request can be sent
+   * @param {number} tokens - Estimated tokens of the request
+   * @param {number} now
+   * @returns {number} - Milliseconds, 0 to send it now
+   */
+  delayFor(tokens, now) {
+    this.sent = this.sent.filter((request) => request.time > now - this.windowMs);
+    let wait = Math.max(0, this.heldUntil - now);
+
+    if (this.rpm > 0 && this.sent.length >= this.rpm) {
+      wait = Math.max(wait, this.sent[this.sent.length - this.rpm].time + this.windowMs - now);
+    }
+
+    // Wait for enough tokens to leave the window (a request larger than
+    // the limit goes alone)
+    let used = this.sent.reduce((sum, request) => sum + request.tokens, 0);
+    if (this.tpm > 0 && this.sent.length > 0 && used + tokens > this.tpm) {
+      for (const request of this.sent) {
+        used -= request.tokens;
+        if (used + tokens <= this.tpm || used === 0) {
+          wait = Math.max(wait, request.time + this.windowMs - now);
+          break;
+        }
+      }
+    }
+
+    return wait;
+  }
+
+  record(tokens, now) {
+    this.sent.push({ time: now, tokens });
+  }
+
+  /**
+   * Wait for room in the limits, and count the request
+   * @param {number} tokens
+   */
+  async acquire(tokens) {
+    for (;;) {
+      const wait = this.delayFor(tokens, Date.now());
+      if (wait <= 0) break;
+      await sleep(wait);
+    }
+    this.record(tokens, Date.now());
+  }
+
+  /**
+   * Hold every request for a while (after a 429 from the server)
+   * @param {number} ms
+   */
+  hold(ms) {
+    this.heldUntil = Math.max(this.heldUntil, Date.now() + ms);
+  }
+}
+
+/**
+ * Run tasks with bounded concurrency, within rate limits, retrying
+ * transient failures. Results are in task order, whatever the order the
+ * tasks complete in.
+ * @param {Array<{run: function(): Promise<*>, tokens: number}>} tasks
+ * @param {object} [schedule] - From resolveSchedule()
+ * @param {object} [hooks]
+ * @param {function} [hooks.onProgress] - (completedTasks, totalTasks)
+ * @param {function} [hooks.random] - For the backoff jitter
+ * @returns {Promise<{results: Array, failures: Array<{index: number, error: Error, attempts: number}>}>} -
+ *   results has undefined for failed tasks; failures are sorted by index
+ * @throws {Error} - A failure every request would hit (bad key, unknown model, no server)
+ */
+async function runScheduled(tasks, schedule = DEFAULT_SCHEDULE, { onProgress = null, random = Math.random } = {}) {
+  const s = resolveSchedule(schedule);
+  const limiter = new RateLimiter(s);
+  const results = new Array(tasks.length).fill(undefined);
+  const failures = [];
+  let next = 0;
+  let completed = 0;
+  let fatal = null;
+
+  async function runTask(task) {
+    for (let attempt = 0; ; attempt++) {
+      await limiter.acquire(task.tokens || 0);
+      try {
+        return await task.run();
+      } catch (err) {
+        err.attempts = attempt + 1;
+        const delay = attempt < s.retries && isRetryable(err) ? retryDelay(err, attempt, s, random) : null;
+        if (delay === null || fatal) throw err;
+        if (err.status === 429) limiter.hold(delay);
+        await sleep(delay);
+      }
+    }
+  }
+
+  async function worker() {
+    while (next < tasks.length && !fatal) {
+      const index = next++;
+      try {
+        results[index] = await runTask(tasks[index]);
+      } catch (err) {
+        if (isFatal(err)) {
+          fatal = fatal || err;
+          return;
+        }
+        failures.push({ index, error: err, attempts: err.attempts || 1 });
+      }
+      completed++;
+      if (onProgress) onProgress(completed, tasks.length);
+    }
+  }
+
+  const workers = Math.min(s.concurrency, tasks.length);
+  await Promise.all(Array.from({ length: workers }, () => worker()));
+  if (fatal) throw fatal;
+
+  failures.sort((a, b) => a.index - b.index);
+  return { results, failures };
+}
+
+module.exports = {
+  DEFAULT_SCHEDULE,
+  resolveSchedule,
+  isRetryable,
+  retryDelay,
+  RateLimiter,
+  runScheduled,
+};
@@ -0,0 +1,164 @@
+/**
+ * Screen model for flicker-free rendering.
+ *
+ * Each frame is drawn into a grid of cells, then flush() compares it with
+ * what the terminal shows and only rewrites the cells that changed: a new
+ * word erases the old word span and writes the new one, and a progress bar
+ * advances by a single cell. The session runs in the alternate screen
+ * buffer, so the terminal scrollback is left as it was.
+ */
+
+const { splitGraphemes, graphemeWidth } = require('./width.js');
+
+const ESC = {
+  enterAltScreen: '\x1b[?1049h',
+  leaveAltScreen: '\x1b[?1049l',
+  hideCursor: '\x1b[?25l',
+  showCursor: '\x1b[?25h',
+  clear: '\x1b[2J',
+  reset: '\x1b[0m',
+};
+
+// Right half of a wide character, drawn by the cell on its left
+const CONTINUATION = '';
+
+const BLANK = { ch: ' ', style: '' };
+
+function blankGrid(rows, columns) {
+  return Array.from({ length: rows }, () => new Array(columns).fill(BLANK));
+}
+
+class Screen {
+  /**
+   * @param {object} output - Stream written to, with rows and columns (e.g. process.stdout)
+   * @param {string} baseStyle - Escape sequence applied to the whole screen
+   *   (theme foreground and background), cell styles coming on top of it
+   */
+  constructor(output, baseStyle = '') {
+    this.output = output;
+    this.baseStyle = baseStyle;
+    this.active = false;
+    this.front = null; // What the terminal shows, null when unknown
+    this.back = null; // Frame being drawn
+  }
+
+  get rows() {
+    return this.output.rows || 24;
+  }
+
+  get columns() {
+    return this.output.columns || 80;
+  }
+
+  /**
+   * Switch to the alternate screen buffer and hide the cursor
+   */
+  enter() {
+    this.output.write(ESC.enterAltScreen + ESC.hideCursor);
+    this.active = true;
+    this.front = null;
+  }
+
+  /**
+   * Restore the main screen buffer (with its scrollback) and the cursor
+   */
+  leave() {
+    if (!this.active) return;
+    this.output.write(ESC.reset + ESC.showCursor + ESC.leaveAltScreen);
+    this.active = false;
+  }
+
+  /**
+   * Forget what the terminal shows, so the next frame is fully redrawn
+   * (e.g. after a resize)
+   */
+  invalidate() {
+    this.front = null;
+  }
+
+  /**
+   * Start a new, blank frame
+   */
+  begin() {
+    this.back = blankGrid(this.rows, this.columns);
+  }
+
+  /**
+   * Draw text in the current frame, clipped to the screen
+   * @param {number} row - 1-based row
+   * @param {number} col - 1-based column
+   * @param {string} text - Plain text (no escape sequences)
+   * @param {string} style - Escape sequence applied to the text (colors, bold...)
+   */
+  text(row, col, text, style = '') {
+    const cells = this.back[row - 1];
+    if (!cells) return;
+
+    let x = Math.max(1, col) - 1;
+    for (const grapheme of splitGraphemes(text)) {
+      const width = graphemeWidth(grapheme);
+      if (width === 0) continue;
+      if (x + width > cells.length) break;
+
+      // Never leave half of a wide character behind
+      if (cells[x].ch === CONTINUATION && x > 0) cells[x - 1] = BLANK;
+      if (x + width < cells.length && cells[x + width].ch === CONTINUATION) cells[x + width] = BLANK;
+
+      cells[x] = { ch: grapheme, style };
+      if (width === 2) cells[x + 1] = { ch: CONTINUATION, style };
+      x += width;
+    }
+  }
+
+  /**
+   * Send the changes between the terminal and the current frame
+   */
+  flush() {
+    const back = this.back;
+    let out = '';
+
+    // Unknown terminal contents, or a resize: redraw everything
+    if (!this.front || this.front.length !== back.length || this.front[0].length !== back[0].length) {
+      out += ESC.reset + this.baseStyle + ESC.clear;
+      this.front = blankGrid(back.length, back[0].length);
+    }
+
+    for (let y = 0; y < back.length; y++) {
+      const before = this.front[y];
+      const after = back[y];
+      let x = 0;
+
+      while (x < after.length) {
+        if (sameCell(before[x], after[x])) {
+          x++;
+          continue;
+        }
+
+        // Rewrite the run of changed cells
+        out += `\x1b[${y + 1};${x + 1}H`;
+        let style = null;
+        while (x < after.length && !sameCell(before[x], after[x])) {
+          const cell = after[x];
+          if (cell.ch !== CONTINUATION) {
+            if (cell.style !== style && (style !== null || cell.style || this.baseStyle)) {
+              out += ESC.reset + this.baseStyle + cell.style;
+            }
+            style = cell.style;
+            out += cell.ch;
+          }
+          x++;
+        }
+        if (style || this.baseStyle) out += ESC.reset;
+      }
+    }
+
+    this.front = back;
+    if (out) this.output.write(out);
+  }
+}
+
+function sameCell(a, b) {
+  return a.ch === b.ch && a.style === b.style;
+}
+
+module.exports = { Screen };
@@ -0,0 +1,152 @@
+/**
+ * Word segmentation, including languages written without spaces between
+ * words (Chinese, Japanese, Thai, Lao, Khmer, Burmese).
+ *
+ * Text is split on whitespace first. In those languages each run is further
+ * split with Intl.Segmenter, punctuation staying attached to its word as it
+ * does with whitespace splitting ("你好！", "「こんにちは」").
+ */
+
+// Languages whose words are not separated by spaces
+const UNSPACED_LANGUAGES = new Set(['zh', 'ja', 'th', 'lo', 'km', 'my']);
+
+// Languages read (and timed) by characters rather than words
+const CHARACTER_LANGUAGES = new Set(['zh', 'ja']);
+
+const UNSPACED_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+
+// Opening punctuation sticks to the word after it
+const OPENING_PUNCTUATION = /^[\p{Ps}\p{Pi}]+$/u;
+
+// Characters looked at to detect the language
+const DETECTION_SAMPLE = 5000;
+
+// Share of letters a script needs to decide the language
+const DETECTION_THRESHOLD = 0.3;
+
+const SCRIPT_LANGUAGES = [
+  { lang: 'th', regex: /\p{Script=Thai}/gu },
+  { lang: 'lo', regex: /\p{Script=Lao}/gu },
+  { lang: 'km', regex: /\p{Script=Khmer}/gu },
+  { lang: 'my', regex: /\p{Script=Myanmar}/gu },
+];
+
+const segmenters = new Map();
+
+function getSegmenter(lang) {
+  if (!segmenters.has(lang)) {
+    segmenters.set(lang, new Intl.Segmenter(lang, { granularity: 'word' }));
+  }
+  return segmenters.get(lang);
+}
+
+function countMatches(text, regex) {
+  return (text.match(regex) || []).length;
+}
+
+/**
+ * Primary language subtag of a language tag ('zh-Hant' -> 'zh')
+ */
+function baseLanguage(lang) {
+  return lang ? lang.toLowerCase().split(/[-_]/)[0] : null;
+}
+
+/**
+ * Detect the language of text written without spaces, from its script
+ * @param {string} text
+ * @returns {string|null} - Language code, or null for space-separated text
+ */
+function detectLanguage(text) {
+  const sample = text.slice(0, DETECTION_SAMPLE);
+  const letters = countMatches(sample, /\p{L}/gu);
+  if (letters === 0) return null;
+
+  // Japanese mixes kana with Chinese characters, Chinese has no kana
+  const kana = countMatches(sample, /[\p{Script=Hiragana}\p{Script=Katakana}]/gu);
+  const han = countMatches(sample, /\p{Script=Han}/gu);
+  if (kana > 0 && (kana + han) / letters >= DETECTION_THRESHOLD) return 'ja';
+  if (han / letters >= DETECTION_THRESHOLD) return 'zh';
+
+  for (const { lang, regex } of SCRIPT_LANGUAGES) {
+    if (countMatches(sample, regex) / letters >= DETECTION_THRESHOLD) return lang;
+  }
+  return null;
+}
+
+/**
+ * Whether words of this language need a segmenter to be found
+ * @param {string|null} lang
+ * @returns {boolean}
+ */
+function isUnspacedLanguage(lang) {
+  return UNSPACED_LANGUAGES.has(baseLanguage(lang));
+}
+
+/**
+ * Whether this language is read by characters (CJK) rather than by words
+ * @param {string|null} lang
+ * @returns {boolean}
+ */
+function isCharacterLanguage(lang) {
+  return CHARACTER_LANGUAGES.has(baseLanguage(lang));
+}
+
+/**
+ * Split a whitespace-free run into words with Intl.Segmenter
+ */
+function segmentRun(run, runStart, segmenter, words) {
+  let current = null;
+  let pendingStart = null; // Start of punctuation waiting for the next word
+
+  for (const { segment, index, isWordLike } of segmenter.segment(run)) {
+    const start = runStart + index;
+    const end = start + segment.length;
+
+    if (isWordLike) {
+      if (current) words.push(current);
+      current = { start: pendingStart ?? start, end };
+      pendingStart = null;
+    } else if (current && pendingStart === null && !OPENING_PUNCTUATION.test(segment)) {
+      current.end = end;
+    } else {
+      pendingStart = pendingStart ?? start;
+    }
+  }
+
+  if (pendingStart !== null) {
+    // Punctuation with no word after it: keep it with the previous word
+    if (current) {
+      current.end = runStart + run.length;
+    } else {
+      current = { start: pendingStart, end: runStart + run.length };
+    }
+  }
+  if (current) words.push(current);
+}
+
+/**
+ * Split text into words, keeping their position in the text
+ * @param {string} text
+ * @param {string|null} lang - Language code; words of unspaced languages are
+ *   found with Intl.Segmenter, others are split on whitespace
+ * @returns {Array<{text: string, start: number, end: number}>} - Words with
+ *   their character range in text (end exclusive)
+ */
+function segmentWords(text, lang = null) {
+  const segmenter = isUnspacedLanguage(lang) ? getSegmenter(lang) : null;
+  const ranges = [];
+  const regex = /\S+/g;
+  let match;
+
+  while ((match = regex.exec(text)) !== null) {
+    if (segmenter && UNSPACED_SCRIPT.test(match[0])) {
+      segmentRun(match[0], match.index, segmenter, ranges);
+    } else {
+      ranges.push({ start: match.index, end: match.index + match[0].length });
+    }
+  }
+
+  return ranges.map(({ start, end }) => ({ text: text.slice(start, end), start, end }));
+}
+
+module.exports = { detectLanguage, isUnspacedLanguage, isCharacterLanguage, segmentWords };
@@ -0,0 +1,227 @@
+/**
+ * Color themes.
+ *
+ * A theme gives a color for each role of the display: foreground and
+ * background of the whole screen, highlighted (fixation) letter, dimmed
+ * text, status line and progress bar, and right/wrong answer feedback.
+ * Colors are names ("red", "brightYellow"), 256-color indices (0-255) or
+ * "#rrggbb" truecolor values, and are brought down to what the terminal
+ * supports. With NO_COLOR set, no color is used at all.
+ */
+
+const SGR = {
+  reset: '\x1b[0m',
+  bold: '\x1b[1m',
+  faint: '\x1b[2m',
+  underline: '\x1b[4m',
+};
+
+const NAMED_COLORS = [
+  'black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white',
+  'brightBlack', 'brightRed', 'brightGreen', 'brightYellow', 'brightBlue', 'brightMagenta', 'brightCyan', 'brightWhite',
+];
+
+const COLOR_ALIASES = { gray: 'brightBlack', grey: 'brightBlack' };
+
+// Usual RGB values of the 16 basic colors (xterm)
+const BASIC_RGB = [
+  [0, 0, 0], [205, 0, 0], [0, 205, 0], [205, 205, 0], [0, 0, 238], [205, 0, 205], [0, 205, 205], [229, 229, 229],
+  [127, 127, 127], [255, 0, 0], [0, 255, 0], [255, 255, 0], [92, 92, 255], [255, 0, 255], [0, 255, 255], [255, 255, 255],
+];
+
+// Levels of the 6x6x6 color cube of 256-color terminals (indices 16-231)
+const CUBE_LEVELS = [0, 95, 135, 175, 215, 255];
+
+const ROLES = ['foreground', 'background', 'highlight', 'dim', 'status', 'correct', 'wrong'];
+
+const THEMES = {
+  // Terminal colors, dimmed text drawn faint
+  default: {
+    foreground: null,
+    background: null,
+    highlight: 'red',
+    dim: null,
+    status: null,
+    correct: 'green',
+    wrong: 'red',
+  },
+  'high-contrast': {
+    foreground: 'brightWhite',
+    background: 'black',
+    highlight: 'brightYellow',
+    dim: 'white',
+    status: 'brightCyan',
+    correct: 'brightGreen',
+    wrong: 'brightMagenta',
+  },
+  // Okabe-Ito palette, told apart with any color vision deficiency
+  colorblind: {
+    foreground: null,
+    background: null,
+    highlight: '#E69F00',
+    dim: null,
+    status: '#56B4E9',
+    correct: '#0072B2',
+    wrong: '#D55E00',
+  },
+};
+
+/**
+ * Color depth of the terminal, from the environment
+ * @param {object} env - Environment variables (process.env)
+ * @returns {number} - Bits: 1 (no color), 4 (16 colors), 8 (256 colors) or 24 (truecolor)
+ */
+function detectColorDepth(env) {
+  if (env.NO_COLOR) return 1;
+
+  if (env.FORCE_COLOR !== undefined) {
+    const forced = { 0: 1, false: 1, 1: 4, true: 4, '': 4, 2: 8, 3: 24 }[env.FORCE_COLOR];
+    if (forced) return forced;
+  }
+
+  if (env.TERM === 'dumb') return 1;
+  if (/^(truecolor|24bit)$/i.test(env.COLORTERM || '')) return 24;
+  if (/256/.test(env.TERM || '')) return 8;
+  return 4;
+}
+
+/**
+ * Parse a color value
+ * @param {string|number} value - Name, 256-color index or "#rrggbb"
+ * @returns {{basic: number}|{index: number}|{rgb: Array<number>}|null} - null if invalid
+ */
+function parseColor(value) {
+  if (typeof value === 'number' || /^\d+$/.test(value)) {
+    const index = Number(value);
+    return Number.isInteger(index) && index >= 0 && index <= 255 ? { index } : null;
+  }
+
+  const hex = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(value);
+  if (hex) {
+    return { rgb: hex.slice(1).map((h) => parseInt(h, 16)) };
+  }
+
+  const basic = NAMED_COLORS.indexOf(COLOR_ALIASES[value] || value);
+  return basic === -1 ? null : { basic };
+}
+
+function distance(a, b) {
+  return (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2;
+}
+
+function indexToRgb(index) {
+  if (index < 16) return BASIC_RGB[index];
+  if (index >= 232) {
+    const level = 8 + (index - 232) * 10;
+    return [level, level, level];
+  }
+  const i = index - 16;
+  return [CUBE_LEVELS[Math.floor(i / 36)], CUBE_LEVELS[Math.floor(i / 6) % 6], CUBE_LEVELS[i % 6]];
+}
+
+/**
+ * Nearest color of the 256-color palette (cube or gray ramp)
+ */
+function rgbToIndex(rgb) {
+  const nearestLevel = (v) => CUBE_LEVELS.reduce((best, level, i) => (Math.abs(level - v) < Math.abs(CUBE_LEVELS[best] - v) ? i : best), 0);
+  const cube = 16 + 36 * nearestLevel(rgb[0]) + 6 * nearestLevel(rgb[1]) + nearestLevel(rgb[2]);
+
+  const average = (rgb[0] + rgb[1] + rgb[2]) / 3;
+  const gray = 232 + Math.max(0, Math.min(23, Math.round((average - 8) / 10)));
+
+  return distance(rgb, indexToRgb(gray)) < distance(rgb, indexToRgb(cube)) ? gray : cube;
+}
+
+/**
+ * Nearest of the 16 basic colors
+ */
+function rgbToBasic(rgb) {
+  let best = 0;
+  for (let i = 1; i < BASIC_RGB.length; i++) {
+    if (distance(rgb, BASIC_RGB[i]) < distance(rgb, BASIC_RGB[best])) best = i;
+  }
+  return best;
+}
+
+/**
+ * Escape sequence setting a color, brought down to the color depth
+ * @param {{basic: number}|{index: number}|{rgb: Array<number>}} color - From parseColor()
+ * @param {boolean} background - Background instead of foreground
+ * @param {number} depth - Color depth (see detectColorDepth)
+ * @returns {string}
+ */
+function colorSequence(color, background, depth) {
+  if (depth <= 1) return '';
+
+  if (color.rgb && depth >= 24) {
+    return `\x1b[${background ? 48 : 38};2;${color.rgb.join(';')}m`;
+  }
+
+  if (depth >= 8 && color.basic === undefined) {
+    const index = color.rgb ? rgbToIndex(color.rgb) : color.index;
+    return `\x1b[${background ? 48 : 38};5;${index}m`;
+  }
+
+  let basic = color.basic;
+  if (basic === undefined) {
+    basic = rgbToBasic(color.rgb || indexToRgb(color.index));
+  }
+  const base = basic < 8 ? (background ? 40 : 30) : (background ? 100 : 90);
+  return `\x1b[${base + (basic % 8)}m`;
+}
+
+/**
+ * Resolve the theme of a configuration into escape sequences per role
+ * @param {object} config - Configuration; config.theme is a theme name, or
+ *   an object of role colors with an optional base theme name ("base").
+ *   The older highlightColor and textColor settings apply to the default theme.
+ * @param {number} depth - Color depth (see detectColorDepth)
+ * @returns {{base: string, highlight: string, dim: string, status: string, correct: string, wrong: string, bold: string}}
+ * @throws {Error} - Unknown theme or invalid color
+ */
+function resolveTheme(config, depth) {
+  const setting = config.theme || 'default';
+  const overrides = typeof setting === 'object' ? setting : {};
+  const name = typeof setting === 'object' ? overrides.base || 'default' : setting;
+
+  if (!THEMES[name]) {
+    throw new Error(`Unknown theme "${name}" (themes: ${Object.keys(THEMES).join(', ')})`);
+  }
+
+  const colors = { ...THEMES[name] };
+  if (name === 'default') {
+    if (config.highlightColor) colors.highlight = config.highlightColor;
+    if (config.textColor) colors.foreground = config.textColor;
+  }
+  for (const role of ROLES) {
+    if (overrides[role] !== undefined) colors[role] = overrides[role];
+  }
+
+  const sequence = (role, background = false) => {
+    if (colors[role] === null || colors[role] === undefined) return '';
+    const color = parseColor(colors[role]);
+    if (!color) {
+      throw new Error(`Invalid color "${colors[role]}" for theme ${role} (use a name, 0-255 or #rrggbb)`);
+    }
+    return colorSequence(color, background, depth);
+  };
+
+  const theme = {
+    base: sequence('foreground') + sequence('background', true),
+    highlight: sequence('highlight'),
+    dim: sequence('dim') || SGR.faint,
+    status: sequence('status'),
+    correct: sequence('correct'),
+    wrong: sequence('wrong'),
+    bold: SGR.bold,
+  };
+
+  // Without colors, the fixation letter stands out by its weight
+  if (depth <= 1) {
+    theme.highlight = SGR.bold + SGR.underline;
+  }
+
+  return theme;
+}
+
+module.exports = { THEMES, detectColorDepth, parseColor, colorSequence, resolveTheme };
@@ -0,0 +1,101 @@
+/**
+ * Terminal text measurement: grapheme clusters and display width.
+ *
+ * A grapheme cluster is what the reader sees as one character (a letter with
+ * combining accents, an emoji ZWJ sequence, a flag). East Asian Wide and
+ * Fullwidth characters, and emoji, take two terminal columns.
+ */
+
+const graphemeSegmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+// East Asian Wide (W) and Fullwidth (F) ranges, emoji excluded (see below)
+const WIDE_RANGES = [
+  [0x1100, 0x115F], // Hangul Jamo initial consonants
+  [0x2329, 0x232A],
+  [0x2E80, 0x303E], // CJK radicals, Kangxi, CJK symbols and punctuation
+  [0x3041, 0x33FF], // Hiragana, Katakana, Bopomofo, Hangul compatibility, CJK compatibility
+  [0x3400, 0x4DBF], // CJK Extension A
+  [0x4E00, 0x9FFF], // CJK Unified Ideographs
+  [0xA000, 0xA4CF], // Yi
+  [0xA960, 0xA97F], // Hangul Jamo Extended-A
+  [0xAC00, 0xD7A3], // Hangul syllables
+  [0xF900, 0xFAFF], // CJK compatibility ideographs
+  [0xFE10, 0xFE19], // Vertical forms
+  [0xFE30, 0xFE6F], // CJK compatibility forms, small form variants
+  [0xFF00, 0xFF60], // Fullwidth forms
+  [0xFFE0, 0xFFE6],
+  [0x16FE0, 0x16FE4],
+  [0x17000, 0x18CFF], // Tangut
+  [0x1B000, 0x1B2FF], // Kana supplement and extensions
+  [0x1F200, 0x1F2FF], // Enclosed ideographic supplement
+  [0x20000, 0x2FFFD], // CJK Extensions B and later
+  [0x30000, 0x3FFFD],
+];
+
+const EMOJI_PRESENTATION = /\p{Emoji_Presentation}/u;
+const REGIONAL_INDICATOR = /\p{Regional_Indicator}/u;
+const ZERO_WIDTH = /^[\p{Mn}\p{Me}\p{Cf}\p{Cc}]+$/u;
+const EMOJI_VARIATION_SELECTOR = '\uFE0F';
+
+function isWideCodePoint(codePoint) {
+  for (const [from, to] of WIDE_RANGES) {
+    if (codePoint < from) return false;
+    if (codePoint <= to) return true;
+  }
+  return false;
+}
+
+/**
+ * Split text into grapheme clusters
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function splitGraphemes(text) {
+  return Array.from(graphemeSegmenter.segment(text), (s) => s.segment);
+}
+
+/**
+ * Number of terminal columns taken by one grapheme cluster (0, 1 or 2)
+ * @param {string} grapheme
+ * @returns {number}
+ */
+function graphemeWidth(grapheme) {
+  if (grapheme.length === 0 || ZERO_WIDTH.test(grapheme)) return 0;
+  if (EMOJI_PRESENTATION.test(grapheme) || grapheme.includes(EMOJI_VARIATION_SELECTOR)) return 2;
+  if (REGIONAL_INDICATOR.test(grapheme)) return 2;
+  return isWideCodePoint(grapheme.codePointAt(0)) ? 2 : 1;
+}
+
+/**
+ * Number of terminal columns taken by a string
+ * @param {string} text
+ * @returns {number}
+ */
+function stringWidth(text) {
+  let width = 0;
+  for (const grapheme of splitGraphemes(text)) {
+    width += graphemeWidth(grapheme);
+  }
+  return width;
+}
+
+/**
+ * Cut text to fit in maxWidth columns, ending with an ellipsis when cut
+ * @param {string} text
+ * @param {number} maxWidth
+ * @returns {string}
+ */
+function truncateToWidth(text, maxWidth) {
+  if (stringWidth(text) <= maxWidth) return text;
+  let result = '';
+  let width = 0;
+  for (const grapheme of splitGraphemes(text)) {
+    const w = graphemeWidth(grapheme);
+    if (width + w > maxWidth - 1) break;
+    result += grapheme;
+    width += w;
+  }
+  return result + '…';
+}
+
+module.exports = { splitGraphemes, graphemeWidth, stringWidth, truncateToWidth };
@@ -0,0 +1,65 @@
+/**
+ * Build the word frequency lists of the offline scorer (data/frequency,
+ * see lib/local.js) from published frequency lists, installed as
+ * devDependencies:
+ *
+ * - English: SUBTLEX-US, word counts in 51 million words of American film
+ *   and TV subtitles (Brysbaert & New, 2009), from subtlex-word-frequencies
+ * - French: Wiktionary's French frequency lists (CC BY-SA), from
+ *   most-common-words-by-language
+ *
+ * Usage: npm run build:lexicons
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const OUTPUT_DIR = path.join(__dirname, '..', 'data', 'frequency');
+
+// Entries kept per language: past them, words rank as unknown
+const LEXICON_SIZE = 10000;
+
+// Words, possibly with inner apostrophes or hyphens (l'on, peut-on)
+const WORD = /^\p{L}+(?:['-]\p{L}+)*$/u;
+
+const SOURCES = {
+  en: {
+    description: 'English words, most frequent first, from SUBTLEX-US: word counts in 51 million words of American film and TV subtitles. Contractions are split (don, t).',
+    source: 'Brysbaert, M. & New, B. (2009). Moving beyond Kučera and Francis: A critical evaluation of current word frequency norms and the introduction of a new and improved word frequency measure for American English. Behavior Research Methods, 41(4), 977-990. Via the subtlex-word-frequencies npm package.',
+    license: 'ISC (subtlex-word-frequencies)',
+    load: () => require('subtlex-word-frequencies').map((entry) => entry.word),
+  },
+  fr: {
+    description: 'French words, most frequent first, from the 10,000 words of the Wiktionary French frequency lists.',
+    source: 'https://en.wiktionary.org/wiki/Wiktionary:French_frequency_lists, via the most-common-words-by-language npm package.',
+    license: 'CC BY-SA (Wiktionary)',
+    // Read as is: the package's own loader needs lodash, which it does not declare
+    load: () => fs.readFileSync(require.resolve('most-common-words-by-language/build/resources/french.txt'), 'utf-8')
+      .split('\n'),
+  },
+};
+
+/**
+ * Lowercase the words of a list, dropping numbers, symbols and the later
+ * copies of a word listed with several capitalizations
+ * @param {Array<string>} words - Most frequent first
+ * @returns {Array<string>}
+ */
+function normalizeList(words) {
+  const seen = new Set();
+  const result = [];
+  for (const word of words) {
+    const normalized = word.trim().toLowerCase().replace(/’/g, "'");
+    if (!WORD.test(normalized) || seen.has(normalized)) continue;
+    seen.add(normalized);
+    result.push(normalized);
+  }
+  return result;
+}
+
+for (const [language, { load, ...info }] of Object.entries(SOURCES)) {
+  const words = normalizeList(load()).slice(0, LEXICON_SIZE);
+  const file = path.join(OUTPUT_DIR, `${language}.json`);
+  fs.writeFileSync(file, `${JSON.stringify({ language, ...info, words }, null, 2)}\n`, 'utf-8');
+  console.log(`${path.relative(process.cwd(), file)}: ${words.length} words`);
+}
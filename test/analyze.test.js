@@ -0,0 +1,125 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { itemize, DEFAULT_PARAMS } = require('../lib/sap.js');
+const {
+  analyzeDurations,
+  heatLevels,
+  findHardestPassages,
+  summarizeAnalysis,
+  formatAnalysis,
+  renderHeatmap,
+  heatLegend,
+  renderHtml,
+} = require('../lib/analyze.js');
+
+// Easy words, then a surprising run in the middle of the text
+const words = Array.from({ length: 60 }, (_, i) => `word${i}`);
+const text = `${words.slice(0, 30).join(' ')}\n\n${words.slice(30).join('  ')}`;
+const items = itemize(text);
+const bits = items.map((_, i) => (i >= 20 && i < 26 ? 16 : 2 + (i % 3) / 10));
+const params = { ...DEFAULT_PARAMS, normalization: 'global' };
+
+test('analyzeDurations compares each duration to the one without surprisal', () => {
+  const analysis = analyzeDurations(items, bits, params);
+  assert.strictEqual(analysis.multipliers[0], 1);
+  assert.ok(analysis.multipliers[22] > 1.3);
+  assert.ok(analysis.durations.every((ms, i) => ms === Math.round(analysis.flat[i] * analysis.multipliers[i])));
+});
+
+test('heatLevels grades words by slowdown or by surprisal percentile', () => {
+  const analysis = analyzeDurations(items, bits, params);
+  // Levels follow the largest slowdown, 1 + gamma
+  const byDuration = heatLevels(bits, analysis);
+  assert.deepStrictEqual(byDuration.thresholds.map((t) => Math.round(t * 100) / 100), [1.06, 1.18, 1.33, 1.48]);
+  assert.deepStrictEqual(byDuration.levels.slice(16, 30), [0, 1, 3, 3, 4, 4, 4, 4, 4, 4, 3, 3, 1, 0]);
+  assert.ok(heatLevels(bits, analyzeDurations(items, bits, { ...params, gamma: 0 })).levels.every((level) => level === 0));
+
+  // Against the 50th, 75th, 90th and 97th percentiles of the document
+  const spikes = bits.map((b, i) => (b > 10 ? i - 6 : b));
+  const byBits = heatLevels(spikes, analysis, 'bits');
+  assert.deepStrictEqual(byBits.thresholds, [2.1, 2.2, 14, 18]);
+  assert.deepStrictEqual(byBits.levels.slice(18, 28), [0, 0, 2, 3, 3, 3, 3, 4, 1, 0]);
+});
+
+test('findHardestPassages finds the slowest runs without overlap', () => {
+  const analysis = analyzeDurations(items, bits, params);
+  const passages = findHardestPassages(analysis, 10, 3);
+  // Runs adding little time next to the hardest one are left out
+  assert.deepStrictEqual(passages.map((p) => [p.start, p.end]), [[18, 28]]);
+  assert.deepStrictEqual(findHardestPassages(analysis, 2, 3).map((p) => [p.start, p.end]), [[20, 22], [22, 24], [24, 26]]);
+  assert.deepStrictEqual(findHardestPassages(analyzeDurations(items, bits, { ...params, gamma: 0 })), []);
+});
+
+test('formatAnalysis predicts the reading time and quotes the hardest passages', () => {
+  const analysis = analyzeDurations(items, bits, params);
+  const summary = summarizeAnalysis(items, bits, analysis, params);
+  assert.strictEqual(summary.words, 60);
+  assert.strictEqual(summary.totalMs, analysis.durations.reduce((a, b) => a + b, 0));
+  assert.ok(summary.totalMs > summary.flatMs);
+
+  const lines = formatAnalysis(text, items, summary);
+  assert.match(lines[0], /^Predicted reading time: \d+s for 60 words \(gamma 0\.6, target 360 WPM\)$/);
+  assert.match(lines[1], /surprisal adds \d+%, effective speed \d+ WPM$/);
+  assert.ok(lines.includes('Hardest passages:'));
+  assert.match(lines[lines.indexOf('Hardest passages:') + 1], /^ {2}Words \d+-\d+ +\+\d+\.\ds {2}\d+\.\d bits\/word {2}"word\d+ word/);
+
+  assert.deepStrictEqual(formatAnalysis('', [], summarizeAnalysis([], [], analyzeDurations([], [], params), params)), ['No words to analyze.']);
+});
+
+test('renderHeatmap keeps the layout of the text', () => {
+  const levels = items.map((_, i) => (i === 1 ? 4 : i === 2 ? 1 : 0));
+  const plain = renderHeatmap(text, items, levels, 1);
+  assert.strictEqual(plain, text.trimEnd().replace('word1', '[word1]'));
+
+  const colored = renderHeatmap(text, items, levels, 24);
+  assert.ok(colored.startsWith('word0 \x1b[38;2;215;0;0m\x1b[1mword1\x1b[0m \x1b[38;2;255;215;95mword2\x1b[0m word3'));
+  assert.ok(colored.includes('word29\n\nword30  word31'));
+
+  // Text before the first word and after the last one is kept
+  const framed = '  -- word0 word1 --\n';
+  const framedItems = itemize(framed).filter((item) => /word/.test(item.text));
+  assert.strictEqual(renderHeatmap(framed, framedItems, [0, 4], 1), '  -- word0 [word1] --\n');
+
+  assert.strictEqual(heatLegend({ by: 'duration', thresholds: [1.05, 1.15, 1.3, 1.5] }, 1), '[word]: >x1.30');
+});
+
+test('renderHtml exports a self-contained page with tooltips', () => {
+  const tricky = 'Use <b> & "quotes"\n\nnow';
+  const trickyItems = itemize(tricky);
+  const trickyBits = trickyItems.map(() => 3);
+  const analysis = analyzeDurations(trickyItems, trickyBits, params);
+  const page = renderHtml({
+    title: 'notes <draft>.txt',
+    text: tricky,
+    items: trickyItems,
+    surprisalBits: trickyBits,
+    analysis,
+    scale: heatLevels(trickyBits, analysis),
+    summary: summarizeAnalysis(trickyItems, trickyBits, analysis, params),
+  });
+
+  assert.ok(page.startsWith('<!DOCTYPE html>'));
+  assert.ok(page.includes('<title>notes &lt;draft&gt;.txt - srit analysis</title>'));
+  assert.ok(page.includes('<span class="h0" title="3.00 bits, x1.00, '));
+  assert.ok(page.includes('>&lt;b&gt;</span> <span'));
+  assert.ok(page.includes('>&quot;quotes&quot;</span>\n\n<span'));
+  assert.ok(page.includes('>now</span>'));
+
+  // Text before the first word and after the last one is kept
+  const framedText = '<< now >>';
+  const framedItems = itemize(framedText).filter((item) => item.text === 'now');
+  const framedAnalysis = analyzeDurations(framedItems, [3], params);
+  const framed = renderHtml({
+    title: 'framed',
+    text: framedText,
+    items: framedItems,
+    surprisalBits: [3],
+    analysis: framedAnalysis,
+    scale: heatLevels([3], framedAnalysis),
+    summary: summarizeAnalysis(framedItems, [3], framedAnalysis, params),
+  });
+  assert.match(framed, /&lt;&lt; <span class="h0" title="[^"]+">now<\/span> &gt;&gt;/);
+  assert.ok(page.includes('Predicted reading time: '));
+  // Nothing to fetch: styles inline, no scripts or links
+  assert.ok(!/<script|<link|src=|https?:/.test(page));
+});
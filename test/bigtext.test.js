@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { BIG_FONTS, renderBigText, fitBigText } = require('../lib/bigtext.js');
+
+const [FULL_5X7, FULL_3X5, HALF_5X7, HALF_3X5] = BIG_FONTS;
+
+test('every glyph has the font height and rows of equal width', () => {
+  for (const { font } of BIG_FONTS) {
+    for (const [char, glyph] of Object.entries(font.glyphs)) {
+      const rows = glyph.split(' ');
+      assert.strictEqual(rows.length, font.height, `glyph ${char}`);
+      assert.ok(rows.every((row) => row.length === rows[0].length && /^[#.]+$/.test(row)), `glyph ${char}`);
+    }
+  }
+});
+
+test('the 5x7 font covers letters, digits and common punctuation', () => {
+  const text = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789 .,!?;:\'"-()';
+  assert.ok(renderBigText(text, FULL_5X7));
+});
+
+test('renderBigText draws full blocks and records glyph columns', () => {
+  const big = renderBigText('I.', FULL_5X7);
+  assert.strictEqual(big.lines.length, 7);
+  assert.strictEqual(big.lines[0], ' ███   ');
+  assert.strictEqual(big.lines[6], ' ███  █');
+  assert.deepStrictEqual(big.glyphs, [{ start: 0, width: 5 }, { start: 6, width: 1 }]);
+});
+
+test('renderBigText packs two pixel rows per line with half blocks', () => {
+  const big = renderBigText('T', HALF_3X5);
+  assert.deepStrictEqual(big.lines, ['▀█▀', ' █ ', ' ▀ ']);
+  assert.strictEqual(HALF_5X7.height, 4);
+  assert.strictEqual(renderBigText('T', HALF_5X7).lines.length, 4);
+});
+
+test('the 3x5 font draws lowercase letters as capitals', () => {
+  assert.deepStrictEqual(renderBigText('t', FULL_3X5).lines, renderBigText('T', FULL_3X5).lines);
+});
+
+test('typographic quotes and dashes use plain glyphs', () => {
+  assert.deepStrictEqual(renderBigText('’', FULL_5X7).lines, renderBigText("'", FULL_5X7).lines);
+  assert.deepStrictEqual(renderBigText('–', FULL_5X7).lines, renderBigText('-', FULL_5X7).lines);
+});
+
+test('renderBigText returns null for characters without a glyph', () => {
+  assert.strictEqual(renderBigText('café', FULL_5X7), null);
+});
+
+test('fitBigText picks the tallest font that fits', () => {
+  assert.strictEqual(fitBigText('word', 20, 80).lines.length, 7);
+  assert.strictEqual(fitBigText('word', 6, 80).lines.length, 5);
+  assert.strictEqual(fitBigText('word', 3, 80).lines.length, 3);
+  // 23 columns in 5x7, 17 in 3x5 ("W" is 5 wide)
+  assert.strictEqual(fitBigText('word', 20, 20).lines.length, 5);
+});
+
+test('fitBigText returns null when the word does not fit', () => {
+  assert.strictEqual(fitBigText('internationalization', 20, 40), null);
+  assert.strictEqual(fitBigText('word', 2, 80), null);
+  assert.strictEqual(fitBigText('日本', 20, 80), null);
+});
@@ -1,6 +1,25 @@
 const { test } = require('node:test');
 const assert = require('node:assert');
-const { parseWords, getMedianIndex } = require('../lib/display.js');
+const {
+  SpeedReader,
+  parseWords,
+  getMedianIndex,
+  getOrpIndex,
+  isOrpTable,
+  getFixationIndex,
+  chunkWords,
+  wordWrap,
+  findParagraphStarts,
+  findSentenceStarts,
+  buildProgressBar,
+  layoutPeek,
+  wordInAdjacentLine,
+  findPhraseStart,
+  SPRITZ_ORP_TABLE,
+} = require('../lib/display.js');
+const { segmentWords } = require('../lib/segment.js');
+const { findBoundaries } = require('../lib/pacing.js');
+const { resolveTheme } = require('../lib/theme.js');
 
 test('parseWords splits text on whitespace', () => {
   const words = parseWords('hello world');
@@ -51,3 +70,336 @@ test('getMedianIndex returns 2 for five chars', () => {
 test('getMedianIndex returns 2 for six chars', () => {
   assert.strictEqual(getMedianIndex('abcdef'), 2);
 });
+
+function chunkTexts(text, maxSize) {
+  const words = parseWords(text);
+  return chunkWords(words, maxSize).map(({ start, end }) => words.slice(start, end).join(' '));
+}
+
+test('chunkWords groups words up to the chunk size', () => {
+  assert.deepStrictEqual(chunkTexts('cats chase mice quickly today', 2), ['cats chase', 'mice quickly', 'today']);
+});
+
+test('chunkWords never crosses clause punctuation', () => {
+  assert.deepStrictEqual(chunkTexts('Stop. Then, go home now', 3), ['Stop.', 'Then,', 'go home now']);
+});
+
+test('chunkWords sticks function words to the next word', () => {
+  assert.deepStrictEqual(chunkTexts('walked out of the dark forest', 3), ['walked out', 'of the dark', 'forest']);
+  assert.deepStrictEqual(chunkTexts('il marchait dans la forêt sombre', 3), ['il marchait', 'dans la forêt', 'sombre']);
+});
+
+test('chunkWords keeps at least one word per chunk', () => {
+  assert.deepStrictEqual(chunkTexts('in a house', 2), ['in', 'a house']);
+});
+
+test('chunkWords closes a chunk at the end of a heading or a paragraph', () => {
+  const text = 'Introduction\n\nThe cat sat on the mat\n\nThen it slept';
+  const segments = segmentWords(text);
+  const words = segments.map((segment) => segment.text);
+  const chunks = chunkWords(words, 3, findBoundaries(text, segments));
+  assert.deepStrictEqual(chunks.map(({ start, end }) => words.slice(start, end).join(' ')), [
+    'Introduction', 'The cat sat', 'on the mat', 'Then it slept',
+  ]);
+
+  const reader = quietReader('Introduction\n\nThe cat sat on the mat today', { wpm: 300, chunk: 3 });
+  assert.deepStrictEqual(reader.chunks[0], { start: 0, end: 1 });
+});
+
+test('chunkWords with size 1 yields single words', () => {
+  assert.deepStrictEqual(chunkTexts('of the house.', 1), ['of', 'the', 'house.']);
+});
+
+test('getFixationIndex moves off a space in a phrase', () => {
+  assert.strictEqual(getFixationIndex('ab cd'), 1);
+  assert.strictEqual(getFixationIndex('of the dark'), 5);
+  assert.strictEqual(getFixationIndex('word'), 1);
+});
+
+test('getMedianIndex counts combining accents as one letter', () => {
+  // "été" written with combining accents is 3 letters, 5 code units
+  assert.strictEqual(getMedianIndex('e\u0301te\u0301'), 1);
+});
+
+test('getMedianIndex counts emoji ZWJ sequences as one letter', () => {
+  assert.strictEqual(getMedianIndex('a\u{1F468}\u200D\u{1F469}\u200D\u{1F467}b'), 1);
+});
+
+test('getMedianIndex works on CJK characters', () => {
+  assert.strictEqual(getMedianIndex('日本語'), 1);
+});
+
+test('wordWrap measures lines in terminal columns', () => {
+  assert.deepStrictEqual(wordWrap('日本 語の 本です', 9), ['日本 語の', '本です']);
+});
+
+test('parseWords segments languages written without spaces', () => {
+  assert.deepStrictEqual(parseWords('我今天去北京。', 'zh'), ['我', '今天', '去', '北京。']);
+  assert.deepStrictEqual(parseWords('我今天去北京。'), ['我今天去北京。']);
+});
+
+test('findParagraphStarts finds words after blank lines', () => {
+  const text = 'First paragraph here.\nSame paragraph.\n\nSecond one.\n  \n\nThird.';
+  assert.deepStrictEqual(findParagraphStarts(text, segmentWords(text)), [0, 5, 7]);
+});
+
+test('findSentenceStarts starts sentences after final punctuation and at paragraphs', () => {
+  const words = parseWords('One two. "Three?" Four five\n\nSix seven! Eight');
+  assert.deepStrictEqual(findSentenceStarts(words, [0, 5]), [0, 2, 3, 5, 7]);
+});
+
+test('buildProgressBar draws paragraph ticks', () => {
+  assert.strictEqual(buildProgressBar(10, 0.3, [0.5, 0.8]), '[===> |  | ]');
+  assert.strictEqual(buildProgressBar(10, 0.5, [0.5]), '[=====>    ]');
+});
+
+test('buildProgressBar leaves out ticks too dense to tell apart', () => {
+  const ticks = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6];
+  assert.strictEqual(buildProgressBar(10, 0, ticks), '[>         ]');
+});
+
+test('layoutPeek wraps paragraphs separately with blank lines between them', () => {
+  const words = parseWords('aaa bbb ccc ddd\n\neee fff');
+  assert.deepStrictEqual(layoutPeek(words, 0, words.length, [0, 4], 8), [
+    { start: 0, end: 2 },
+    { start: 2, end: 4 },
+    null,
+    { start: 4, end: 6 },
+  ]);
+});
+
+test('layoutPeek lays out only the requested words', () => {
+  const words = parseWords('aaa bbb ccc ddd\n\neee fff');
+  assert.deepStrictEqual(layoutPeek(words, 1, 5, [0, 4], 20), [{ start: 1, end: 4 }, null, { start: 4, end: 5 }]);
+});
+
+test('layoutPeek keeps words together where the text had no space', () => {
+  const words = ['我们', '喜欢', '读书', '你', '呢'];
+  const spaced = [false, false, false, false, false];
+  assert.deepStrictEqual(layoutPeek(words, 0, words.length, [0], 8, spaced), [{ start: 0, end: 2 }, { start: 2, end: 5 }]);
+  assert.strictEqual(layoutPeek(words, 0, words.length, [0], 8).length, 4);
+
+  const reader = quietReader('我们喜欢读书。', { wpm: 300 }, { lang: 'zh' });
+  assert.ok(reader.words.length > 1 && reader.spaced.every((gap) => !gap));
+  assert.deepStrictEqual(quietReader('one  two\nthree', { wpm: 300 }).spaced, [false, true, true]);
+});
+
+test('wordInAdjacentLine picks the nearest word on the line above or below', () => {
+  const words = ['a', 'bbbbbb', 'c', 'dd', 'eeeeeeeee', 'f'];
+  const lines = [{ start: 0, end: 2 }, null, { start: 2, end: 5 }, { start: 5, end: 6 }];
+  assert.strictEqual(wordInAdjacentLine(words, lines, 4, -1), 1);
+  assert.strictEqual(wordInAdjacentLine(words, lines, 1, 1), 3);
+  assert.strictEqual(wordInAdjacentLine(words, lines, 4, 1), 5);
+  assert.strictEqual(wordInAdjacentLine(words, lines, 0, -1), -1);
+});
+
+test('getOrpIndex uses the median by default', () => {
+  assert.strictEqual(getOrpIndex('abcde'), 2);
+  assert.strictEqual(getOrpIndex('abcdef'), 2);
+});
+
+test('getOrpIndex ignores leading and trailing punctuation', () => {
+  assert.strictEqual(getOrpIndex('"hello,"'), 3);
+  assert.strictEqual(getOrpIndex('(a)'), 1);
+  assert.strictEqual(getOrpIndex('...'), 1);
+});
+
+test('getOrpIndex follows the Spritz-like table', () => {
+  assert.strictEqual(getOrpIndex('a', SPRITZ_ORP_TABLE), 0);
+  assert.strictEqual(getOrpIndex('word', SPRITZ_ORP_TABLE), 1);
+  assert.strictEqual(getOrpIndex('reading', SPRITZ_ORP_TABLE), 2);
+  assert.strictEqual(getOrpIndex('«comprehension»', SPRITZ_ORP_TABLE), 4);
+  assert.strictEqual(getOrpIndex('internationalization', SPRITZ_ORP_TABLE), 4);
+});
+
+test('getOrpIndex applies the last table entry to longer words and stays in the word', () => {
+  assert.strictEqual(getOrpIndex('abcdefgh', [1, 1, 2]), 1);
+  assert.strictEqual(getOrpIndex('ab', [5]), 1);
+});
+
+test('isOrpTable accepts positive letter positions only', () => {
+  assert.strictEqual(isOrpTable([1, 2, 2, 3]), true);
+  assert.strictEqual(isOrpTable([]), false);
+  assert.strictEqual(isOrpTable([0, 1]), false);
+  assert.strictEqual(isOrpTable('spritz'), false);
+});
+
+test('SpeedReader redraws only what changed between words', () => {
+  const output = {
+    columns: 40,
+    rows: 10,
+    data: '',
+    write(chunk) {
+      this.data += chunk;
+    },
+  };
+  const theme = resolveTheme({}, 4);
+  const reader = new SpeedReader('alpha beta gamma', { wpm: 300 }, false, 0, [], { output, theme });
+
+  reader.render();
+  assert.ok(output.data.includes('\x1b[2J'));
+  assert.ok(output.data.includes('WPM'));
+
+  output.data = '';
+  reader.currentIndex = 1;
+  reader.render();
+  assert.ok(!output.data.includes('\x1b[2J'));
+  assert.ok(!output.data.includes('WPM'));
+  assert.ok(output.data.includes('\x1b[31me'));
+});
+
+test('SpeedReader runs the action bound to a key', () => {
+  const output = { columns: 40, rows: 10, write() {} };
+  const theme = resolveTheme({}, 4);
+  const config = { wpm: 300, keys: { 'next-word': 'l', 'peek-next-word': 'l' } };
+  const reader = new SpeedReader('alpha beta gamma. delta', config, false, 0, [], { output, theme });
+
+  reader.handleKey('l', { name: 'l' });
+  assert.strictEqual(reader.currentIndex, 1);
+  reader.handleKey(undefined, { name: 'right' });
+  assert.strictEqual(reader.currentIndex, 1);
+
+  reader.paused = true;
+  reader.handleKey('l', { name: 'l' });
+  assert.strictEqual(reader.currentIndex, 2);
+
+  reader.handleKey('?', { sequence: '?' });
+  assert.strictEqual(reader.showingHelp, true);
+  reader.handleKey('x', { name: 'x' });
+  assert.strictEqual(reader.showingHelp, false);
+  assert.strictEqual(reader.paused, true);
+});
+
+test('findPhraseStart goes back to clause punctuation or a paragraph start', () => {
+  const words = parseWords('One two, three four five. Six\n\nseven eight');
+  assert.strictEqual(findPhraseStart(words, 4, [0, 6]), 2);
+  assert.strictEqual(findPhraseStart(words, 2, [0, 6]), 2);
+  assert.strictEqual(findPhraseStart(words, 7, [0, 6]), 6);
+  assert.strictEqual(findPhraseStart(parseWords('a '.repeat(30)), 25, [0]), 13);
+});
+
+function quietReader(text, config, options = {}) {
+  const output = { columns: 40, rows: 10, write() {} };
+  return new SpeedReader(text, config, false, 0, [], { output, theme: resolveTheme({}, 4), ...options });
+}
+
+test('SpeedReader warms up from a fraction of the target speed', () => {
+  const reader = quietReader('a b c d e f g', { wpm: 600, rampStart: 0.5, rampWords: 4 });
+  reader.startRamp();
+  assert.deepStrictEqual([0, 1, 2, 3, 4, 5].map((i) => reader.wordDuration(i)), [200, 160, 133, 114, 100, 100]);
+});
+
+test('SpeedReader ramps SAP durations too', () => {
+  const durations = [100, 300, 100];
+  const reader = quietReader('a b c', { wpm: 600, rampStart: 0.5, rampWords: 2 }, { autoMode: true, durations, targetWpm: 600, gamma: 0.6 });
+  reader.startRamp();
+  assert.deepStrictEqual([0, 1, 2].map((i) => reader.wordDuration(i)), [200, 400, 100]);
+});
+
+test('SpeedReader rewinds to the phrase start when resuming', () => {
+  const reader = quietReader('One two, three four five.', { wpm: 300, rampStart: 0.5, rampWords: 4 });
+  reader.currentIndex = 4;
+  reader.togglePause();
+  reader.togglePause();
+  assert.strictEqual(reader.currentIndex, 2);
+  assert.strictEqual(reader.rampFrom, 2);
+
+  // A word picked in the context peek is kept
+  reader.togglePause();
+  reader.moveHighlight('right');
+  reader.togglePause();
+  assert.strictEqual(reader.currentIndex, 3);
+});
+
+test('SpeedReader does not ask the questions about a part skipped forward', () => {
+  const text = Array.from({ length: 100 }, (_, i) => `w${i}`).join(' ');
+  const question = (n) => ({ question: `Q${n}?`, options: ['a', 'b'], correct: 0 });
+  const positions = [10, 30, 50, 70].map((wordIndex, n) => ({ wordIndex, question: question(n) }));
+  const output = { columns: 40, rows: 10, write() {} };
+  const reader = new SpeedReader(text, { wpm: 300 }, false, 0, positions, { output, theme: resolveTheme({}, 4) });
+
+  reader.seekToPercent(6);
+  assert.strictEqual(reader.checkForQuestion(), null);
+  assert.strictEqual(reader.totalQuestions, 1);
+  reader.jumpTo(70);
+  assert.strictEqual(reader.checkForQuestion().question, 'Q3?');
+
+  // Going back does not bring them back
+  reader.seekToPercent(0);
+  assert.strictEqual(reader.totalQuestions, 1);
+});
+
+test('SpeedReader keeps the questions passed over in the context peek', () => {
+  const text = Array.from({ length: 20 }, (_, i) => `w${i}.`).join(' ');
+  const question = (n) => ({ question: `Q${n}?`, options: ['a', 'b'], correct: 0 });
+  const positions = [3, 6].map((wordIndex, n) => ({ wordIndex, question: question(n) }));
+  const output = { columns: 40, rows: 10, write() {} };
+  const reader = new SpeedReader(text, { wpm: 300 }, false, 0, positions, { output, theme: resolveTheme({}, 4) });
+  reader.currentIndex = 2;
+
+  // Peeking past a question and back does not drop it
+  reader.togglePause();
+  for (let i = 0; i < 3; i++) reader.moveHighlight('right');
+  for (let i = 0; i < 3; i++) reader.moveHighlight('left');
+  reader.togglePause();
+  assert.strictEqual(reader.totalQuestions, 2);
+  assert.strictEqual(reader.checkForQuestion(), null);
+
+  // Resuming past it does
+  reader.togglePause();
+  for (let i = 0; i < 3; i++) reader.moveHighlight('right');
+  reader.togglePause();
+  assert.strictEqual(reader.currentIndex, 5);
+  assert.strictEqual(reader.totalQuestions, 1);
+  assert.strictEqual(reader.checkForQuestion(), null);
+});
+
+test('SpeedReader estimates the time remaining from word durations', () => {
+  const reader = quietReader('one two. three four', { wpm: 600 });
+  assert.strictEqual(reader.remainingTime, 4 * 100 + 180);
+  reader.currentIndex = 2;
+  assert.strictEqual(reader.remainingTime, 200);
+  reader.wpm = 300;
+  assert.strictEqual(reader.remainingTime, 400);
+
+  const auto = quietReader('a b c', { wpm: 600 }, { autoMode: true, durations: [100, 300, 100], targetWpm: 600, gamma: 0.6 });
+  auto.currentIndex = 1;
+  assert.strictEqual(auto.remainingTime, 400);
+});
+
+test('SpeedReader stats count words read and the current chapter', () => {
+  const reader = quietReader('one two three four', { wpm: 300 }, { chapters: [{ title: 'Intro', offset: 0 }, { title: 'Next', offset: 8 }] });
+  reader.currentIndex = 3;
+  const stats = reader.stats;
+  assert.strictEqual(stats.wordsRead, 3);
+  assert.strictEqual(stats.totalWords, 4);
+  assert.strictEqual(stats.chapter, 'Next');
+});
+
+test('SpeedReader maps chapter offsets to the words starting there', () => {
+  const text = 'Part one\n\nSome words here.\n\nPart two\n\nMore words.';
+  const chapters = ['Part one', 'Part two', 'More'].map((title) => ({ title, offset: text.indexOf(title) }));
+  const reader = quietReader(text, { wpm: 300 }, { chapters });
+  assert.deepStrictEqual(reader.chapters.map((chapter) => chapter.wordIndex), [0, 5, 7]);
+});
+
+test('SpeedReader counts pauses and rewinds for the history', () => {
+  const reader = quietReader('One two three. Four five six. Seven eight.', { wpm: 300 });
+  reader.currentIndex = 5;
+  reader.goToPreviousSentence();
+  reader.goForward();
+  assert.strictEqual(reader.rewinds, 1);
+
+  // Peeking back while paused is one rewind, counted on resume
+  reader.togglePause();
+  reader.moveHighlight('left');
+  reader.moveHighlight('left');
+  reader.togglePause();
+  assert.strictEqual(reader.pauses, 1);
+  assert.strictEqual(reader.rewinds, 2);
+
+  // The help overlay is not a pause
+  reader.toggleHelp();
+  reader.toggleHelp();
+  assert.strictEqual(reader.pauses, 1);
+});
@@ -0,0 +1,390 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const JSZip = require('jszip');
+const { extractText, extractDocument } = require('../lib/extractors.js');
+
+const CONTAINER = `<?xml version="1.0"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>`;
+
+function chapterDoc(heading, paragraphs) {
+  return `<?xml version="1.0" encoding="utf-8"?>
+<html xmlns="http://www.w3.org/1999/xhtml">
+<head><title>${heading}</title><style>p { margin: 0; }</style></head>
+<body>
+  <h1>${heading}</h1>
+  ${paragraphs.map((p) => `<p>${p}</p>`).join('\n  ')}
+</body>
+</html>`;
+}
+
+// Scratch directories of the fixtures, removed after the tests
+const tempDirs = [];
+after(() => {
+  for (const dir of tempDirs) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'srit-'));
+  tempDirs.push(dir);
+  return dir;
+}
+
+async function buildEpub(files) {
+  const zip = new JSZip();
+  zip.file('mimetype', 'application/epub+zip');
+  zip.file('META-INF/container.xml', CONTAINER);
+  for (const [name, content] of Object.entries(files)) {
+    zip.file(name, content);
+  }
+  return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+async function writeEpub(files) {
+  const buffer = await buildEpub(files);
+  const filePath = path.join(tempDir(), 'book.epub');
+  fs.writeFileSync(filePath, buffer);
+  return filePath;
+}
+
+// EPUB 2: spine order differs from manifest order, titles from the NCX
+function epub2Files() {
+  return {
+    'OEBPS/content.opf': `<?xml version="1.0"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="2.0">
+  <manifest>
+    <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
+    <item id="ch2" href="text/chapter2.xhtml" media-type="application/xhtml+xml"/>
+    <item id="ch1" href="text/chapter1.xhtml" media-type="application/xhtml+xml"/>
+    <item id="notes" href="text/notes.xhtml" media-type="application/xhtml+xml"/>
+  </manifest>
+  <spine toc="ncx">
+    <itemref idref="ch1"/>
+    <itemref idref="ch2"/>
+    <itemref idref="notes" linear="no"/>
+  </spine>
+</package>`,
+    'OEBPS/toc.ncx': `<?xml version="1.0"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+  <navMap>
+    <navPoint id="p1" playOrder="1">
+      <navLabel><text>The Beginning</text></navLabel>
+      <content src="text/chapter1.xhtml"/>
+    </navPoint>
+    <navPoint id="p2" playOrder="2">
+      <navLabel><text>Rain &amp; Wind</text></navLabel>
+      <content src="text/chapter2.xhtml#start"/>
+    </navPoint>
+  </navMap>
+</ncx>`,
+    'OEBPS/text/chapter1.xhtml': chapterDoc('One', ['It was a dark night.', 'The end came&#8230;']),
+    'OEBPS/text/chapter2.xhtml': chapterDoc('Two', ['Rain fell &amp; wind blew.']),
+    'OEBPS/text/notes.xhtml': chapterDoc('Notes', ['Not part of the reading order.']),
+  };
+}
+
+// EPUB 3: titles from the nav document, landmarks ignored
+function epub3Files() {
+  return {
+    'OEBPS/content.opf': `<?xml version="1.0"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0">
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+    <item id="intro" href="intro.xhtml" media-type="application/xhtml+xml"/>
+    <item id="body" href="main%20part.xhtml" media-type="application/xhtml+xml"/>
+  </manifest>
+  <spine>
+    <itemref idref="intro"/>
+    <itemref idref="body"/>
+  </spine>
+</package>`,
+    'OEBPS/nav.xhtml': `<?xml version="1.0"?>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">
+<body>
+  <nav epub:type="landmarks"><ol><li><a href="main%20part.xhtml">Start of Content</a></li></ol></nav>
+  <nav epub:type="toc"><ol>
+    <li><a href="intro.xhtml">Introduction</a></li>
+    <li><a href="main%20part.xhtml"><span>Main</span> Part</a></li>
+  </ol></nav>
+</body>
+</html>`,
+    'OEBPS/intro.xhtml': chapterDoc('Intro', ['Welcome, reader.']),
+    'OEBPS/main part.xhtml': chapterDoc('Main', ['First line.<br/>Second line.', 'Last paragraph.']),
+  };
+}
+
+test('extractDocument reads EPUB 2 spine in order with NCX titles', async () => {
+  const doc = await extractDocument(await writeEpub(epub2Files()));
+  assert.strictEqual(doc.text, 'One\n\nIt was a dark night.\n\nThe end came…\n\nTwo\n\nRain fell & wind blew.');
+  assert.deepStrictEqual(doc.chapters, [
+    { title: 'The Beginning', offset: 0 },
+    { title: 'Rain & Wind', offset: doc.text.indexOf('Two') },
+  ]);
+});
+
+test('extractDocument reads EPUB 3 nav titles', async () => {
+  const doc = await extractDocument(await writeEpub(epub3Files()));
+  assert.strictEqual(doc.text, 'Intro\n\nWelcome, reader.\n\nMain\n\nFirst line. Second line.\n\nLast paragraph.');
+  assert.deepStrictEqual(doc.chapters, [
+    { title: 'Introduction', offset: 0 },
+    { title: 'Main Part', offset: doc.text.indexOf('Main') },
+  ]);
+});
+
+test('extractDocument keeps an EPUB href with a stray percent sign', async () => {
+  const files = epub3Files();
+  files['OEBPS/content.opf'] = files['OEBPS/content.opf'].replace('href="intro.xhtml"', 'href="100%.xhtml"');
+  files['OEBPS/100%.xhtml'] = files['OEBPS/intro.xhtml'];
+  delete files['OEBPS/intro.xhtml'];
+  const doc = await extractDocument(await writeEpub(files));
+  assert.ok(doc.text.startsWith('Intro\n\nWelcome, reader.\n\nMain'));
+});
+
+test('extractText returns EPUB text without chapters', async () => {
+  const text = await extractText(await writeEpub(epub3Files()));
+  assert.ok(text.startsWith('Intro\n\nWelcome, reader.'));
+});
+
+test('extractText rejects an EPUB without a container', async () => {
+  const zip = new JSZip();
+  zip.file('mimetype', 'application/epub+zip');
+  const filePath = path.join(tempDir(), 'broken.epub');
+  fs.writeFileSync(filePath, await zip.generateAsync({ type: 'nodebuffer' }));
+  await assert.rejects(extractText(filePath), /Failed to extract text from EPUB/);
+});
+
+test('extractDocument returns no chapters for plain text', async () => {
+  const filePath = path.join(tempDir(), 'plain.txt');
+  fs.writeFileSync(filePath, 'just words');
+  assert.deepStrictEqual(await extractDocument(filePath), { text: 'just words', chapters: [] });
+});
+
+// One page per string. pdf.js mishandles Node's pooled small buffers, so the
+// file is padded past the 4 KB pool size with a comment.
+function buildPdf(pages) {
+  const objects = [];
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pages.map((_, i) => `${4 + i * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>';
+  pages.forEach((text, i) => {
+    const stream = `BT /F1 12 Tf 72 720 Td (${text}) Tj ET`;
+    objects[4 + i * 2] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> /Contents ${5 + i * 2} 0 R >>`;
+    objects[5 + i * 2] = `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`;
+  });
+
+  let pdf = `%PDF-1.4\n%${' '.repeat(8192)}\n`;
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = pdf.length;
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f\r\n`;
+  for (let id = 1; id < objects.length; id++) {
+    pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n\r\n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+// Paragraphs are { text, style }, style being e.g. 'Heading1'
+function buildDocx(paragraphs) {
+  const zip = new JSZip();
+  zip.file('[Content_Types].xml', `<?xml version="1.0" encoding="UTF-8"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+  <Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+</Types>`);
+  zip.file('_rels/.rels', `<?xml version="1.0" encoding="UTF-8"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+</Relationships>`);
+  const body = paragraphs.map(({ text, style }) => {
+    const properties = style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : '';
+    return `<w:p>${properties}<w:r><w:t>${text}</w:t></w:r></w:p>`;
+  }).join('');
+  zip.file('word/document.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>${body}</w:body></w:document>`);
+  return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+// Local stand-in for remote servers: path -> { type, body, status, location }
+const routes = {};
+let server;
+let baseUrl;
+
+before(async () => {
+  routes['/paper.pdf'] = { type: 'application/pdf', body: buildPdf(['Attention is all you need']) };
+  routes['/download'] = { status: 302, location: '/files/report.pdf' };
+  routes['/files/report.pdf'] = { type: 'application/octet-stream', body: buildPdf(['Quarterly report']) };
+  routes['/report'] = {
+    type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    body: await buildDocx([{ text: 'Shared report text.' }]),
+  };
+  routes['/book'] = { type: 'application/epub+zip', body: await buildEpub(epub3Files()) };
+  routes['/latin1.txt'] = { type: 'text/plain; charset=ISO-8859-1', body: Buffer.from('Café crème', 'latin1') };
+  // The euro sign is the byte 0xA4 in ISO-8859-15
+  routes['/legacy.html'] = {
+    type: 'text/html',
+    body: Buffer.concat([
+      Buffer.from('<html><head><meta charset="iso-8859-15"></head><body><p>Price: '),
+      Buffer.from([0xa4]),
+      Buffer.from('5</p></body></html>'),
+    ]),
+  };
+  routes['/README.md'] = { type: 'text/plain; charset=utf-8', body: Buffer.from('# Title\n\nSome **bold** text.') };
+  routes['/photo.png'] = { type: 'image/png', body: Buffer.from([0x89, 0x50, 0x4e, 0x47]) };
+
+  server = http.createServer((req, res) => {
+    const route = routes[req.url];
+    if (!route) {
+      res.writeHead(404);
+      res.end();
+    } else if (route.location) {
+      res.writeHead(route.status, { Location: route.location });
+      res.end();
+    } else {
+      res.writeHead(200, { 'Content-Type': route.type });
+      res.end(route.body);
+    }
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+test('extractText reads a PDF over HTTP', async () => {
+  const text = await extractText(`${baseUrl}/paper.pdf`);
+  assert.strictEqual(text.trim(), 'Attention is all you need');
+});
+
+test('extractText follows redirects and uses the final URL extension', async () => {
+  const text = await extractText(`${baseUrl}/download`);
+  assert.strictEqual(text.trim(), 'Quarterly report');
+});
+
+test('extractText reads a DOCX over HTTP by content type', async () => {
+  const text = await extractText(`${baseUrl}/report`);
+  assert.strictEqual(text.trim(), 'Shared report text.');
+});
+
+test('extractDocument keeps EPUB chapters over HTTP', async () => {
+  const doc = await extractDocument(`${baseUrl}/book`);
+  assert.deepStrictEqual(doc.chapters.map((c) => c.title), ['Introduction', 'Main Part']);
+});
+
+test('extractText honors the charset header', async () => {
+  assert.strictEqual(await extractText(`${baseUrl}/latin1.txt`), 'Café crème');
+});
+
+test('extractText honors a meta charset in HTML', async () => {
+  assert.strictEqual(await extractText(`${baseUrl}/legacy.html`), 'Price: €5');
+});
+
+test('extractText renders markdown served as text/plain', async () => {
+  assert.strictEqual(await extractText(`${baseUrl}/README.md`), 'Title\n\nSome bold text.');
+});
+
+test('extractText keeps markdown headings and paragraphs apart', async () => {
+  const filePath = writeFixture('notes.md', '# Title\n\nFirst paragraph\nhere.\n\n## Part two\n\n- one\n- two\n\nSecond paragraph.');
+  assert.strictEqual(await extractText(filePath), 'Title\n\nFirst paragraph here.\n\nPart two\n\none\n\ntwo\n\nSecond paragraph.');
+});
+
+test('extractText rejects unsupported content types', async () => {
+  await assert.rejects(extractText(`${baseUrl}/photo.png`), /Unsupported content type 'image\/png'/);
+});
+
+test('extractText reports HTTP errors', async () => {
+  await assert.rejects(extractText(`${baseUrl}/missing`), /Failed to fetch URL: HTTP 404/);
+});
+
+function writeFixture(name, content) {
+  const filePath = path.join(tempDir(), name);
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+const MARKDOWN_BOOK = `# Part One
+
+Opening words.
+
+## Chapter 4
+
+The *storm* arrived.
+
+### Aftermath
+
+Trees were down.
+
+## Chapter 5
+
+Calm returned.
+`;
+
+test('extractText selects a PDF page range', async () => {
+  const filePath = writeFixture('book.pdf', buildPdf(['Page one', 'Page two', 'Page three', 'Page four']));
+  assert.strictEqual(await extractText(filePath, { pages: { from: 2, to: 3 } }), 'Page two\n\nPage three');
+  assert.strictEqual(await extractText(filePath, { pages: { from: 4, to: 9 } }), 'Page four');
+});
+
+test('extractText rejects a page range past the end of the PDF', async () => {
+  const filePath = writeFixture('book.pdf', buildPdf(['Only page']));
+  await assert.rejects(extractText(filePath, { pages: { from: 3, to: 5 } }), /page 3 is past the end of the document \(1 pages\)/);
+});
+
+test('extractText rejects --pages for non-PDF documents', async () => {
+  await assert.rejects(extractText(writeFixture('a.txt', 'text'), { pages: { from: 1, to: 1 } }), /only supported for PDF/);
+});
+
+test('extractText selects a markdown section up to the next heading of the same level', async () => {
+  const filePath = writeFixture('book.md', MARKDOWN_BOOK);
+  assert.strictEqual(
+    await extractText(filePath, { section: 'chapter 4' }),
+    'Chapter 4\n\nThe storm arrived.\n\nAftermath\n\nTrees were down.'
+  );
+  assert.strictEqual(
+    await extractText(filePath, { section: 'Part One' }),
+    'Part One\n\nOpening words.\n\nChapter 4\n\nThe storm arrived.\n\nAftermath\n\nTrees were down.\n\nChapter 5\n\nCalm returned.'
+  );
+});
+
+test('extractText selects a DOCX section', async () => {
+  const filePath = writeFixture('report.docx', await buildDocx([
+    { text: 'Summary', style: 'Heading1' },
+    { text: 'All is well.' },
+    { text: 'Details', style: 'Heading1' },
+    { text: 'Numbers went up.' },
+    { text: 'Caveats', style: 'Heading2' },
+    { text: 'Some went down.' },
+    { text: 'Appendix', style: 'Heading1' },
+    { text: 'Tables.' },
+  ]));
+  assert.strictEqual(
+    await extractText(filePath, { section: 'Details' }),
+    'Details\n\nNumbers went up.\n\nCaveats\n\nSome went down.'
+  );
+});
+
+test('extractText selects a markdown section over HTTP', async () => {
+  assert.strictEqual(await extractText(`${baseUrl}/README.md`, { section: 'title' }), 'Title\n\nSome bold text.');
+  await assert.rejects(extractText(`${baseUrl}/README.md`, { section: 'Usage' }), /Section not found: "Usage" \(headings: "Title"\)/);
+});
+
+test('extractText lists available headings when a section is missing', async () => {
+  const filePath = writeFixture('book.md', MARKDOWN_BOOK);
+  await assert.rejects(
+    extractText(filePath, { section: 'Epilogue' }),
+    /Section not found: "Epilogue" \(headings: "Part One", "Chapter 4", "Aftermath", "Chapter 5"\)/
+  );
+});
@@ -0,0 +1,130 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The history is stored under the home directory: use a scratch one
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'srit-home-'));
+process.env.HOME = home;
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+const { createEntry, appendHistory, readHistory, summarizeHistory, formatStats } = require('../lib/history.js');
+
+const result = {
+  wordsRead: 900,
+  totalWords: 1000,
+  elapsedTime: 240000,
+  wordsDisplayed: 600,
+  displayTime: 120000,
+  averageWPM: 300,
+  pauses: 2,
+  rewinds: 3,
+  score: 4,
+  total: 5,
+};
+
+// Session at noon, local time, days before 2026-10-19
+function session(daysAgo, fields = {}) {
+  return {
+    version: 1,
+    date: new Date(2026, 9, 19 - daysAgo, 12).toISOString(),
+    wordsRead: 1000,
+    durationMs: 240000,
+    readingMs: 200000,
+    wpm: 300,
+    score: null,
+    questions: null,
+    ...fields,
+  };
+}
+
+const now = new Date(2026, 9, 19, 20);
+
+test('createEntry records the session figures', () => {
+  const entry = createEntry({
+    source: 'book.txt',
+    text: 'some text',
+    startIndex: 300,
+    result,
+    auto: false,
+    check: true,
+    endedAt: Date.parse('2026-10-19T10:04:00Z'),
+  });
+  assert.strictEqual(entry.date, '2026-10-19T10:00:00.000Z');
+  assert.strictEqual(entry.source, path.resolve('book.txt'));
+  assert.strictEqual(entry.from, 300);
+  assert.strictEqual(entry.to, 900);
+  assert.strictEqual(entry.finished, false);
+  assert.strictEqual(entry.wordsRead, 600);
+  assert.strictEqual(entry.readingMs, 120000);
+  assert.strictEqual(entry.wpm, 300);
+  assert.deepStrictEqual([entry.pauses, entry.rewinds, entry.score, entry.questions], [2, 3, 4, 5]);
+
+  const unchecked = createEntry({ source: '-', text: 'x', startIndex: 0, result: { ...result, wordsDisplayed: 0 }, auto: true, check: false });
+  assert.strictEqual(unchecked.source, '-');
+  assert.strictEqual(unchecked.wpm, null);
+  assert.strictEqual(unchecked.score, null);
+});
+
+test('appendHistory and readHistory round-trip, skipping bad lines', () => {
+  const file = path.join(process.env.HOME, 'history.jsonl');
+  appendHistory(session(1), file);
+  fs.appendFileSync(file, 'not json\n');
+  appendHistory(session(3), file);
+
+  const entries = readHistory(file);
+  assert.strictEqual(entries.length, 2);
+  assert.ok(Date.parse(entries[0].date) < Date.parse(entries[1].date));
+  assert.deepStrictEqual(readHistory(path.join(process.env.HOME, 'missing.jsonl')), []);
+});
+
+test('summarizeHistory totals days and weeks', () => {
+  const summary = summarizeHistory([session(0), session(0), session(2), session(9)], { now });
+  assert.strictEqual(summary.days.length, 7);
+  assert.deepStrictEqual(summary.days[6], {
+    date: new Date(2026, 9, 19),
+    sessions: 2,
+    words: 2000,
+    durationMs: 480000,
+    wpm: 300,
+  });
+  assert.strictEqual(summary.days[5].sessions, 0);
+
+  // 2026-10-19 is a Monday: this week has the two sessions of today
+  assert.deepStrictEqual(summary.weeks.map((week) => week.sessions), [0, 1, 1, 2]);
+  assert.strictEqual(summary.total.words, 4000);
+});
+
+test('summarizeHistory finds the speed trend and the comprehension correlation', () => {
+  const entries = [
+    session(14, { wpm: 250, score: 5, questions: 5 }),
+    session(7, { wpm: 300, score: 4, questions: 5 }),
+    session(0, { wpm: 350, score: 3, questions: 5 }),
+  ];
+  const summary = summarizeHistory(entries, { now });
+  assert.strictEqual(Math.round(summary.trend.wpmPerWeek), 50);
+  assert.strictEqual(summary.correlation.sessions, 3);
+  assert.ok(summary.correlation.r < -0.99);
+
+  assert.strictEqual(summarizeHistory([session(0)], { now }).trend, null);
+});
+
+test('summarizeHistory counts the daily goal streak', () => {
+  const entries = [session(1), session(2), session(4)];
+  // Today is not over: yesterday's streak still counts
+  assert.deepStrictEqual(summarizeHistory(entries, { now, goal: 800 }).streak, { goal: 800, today: 0, days: 2 });
+  assert.deepStrictEqual(summarizeHistory([...entries, session(0)], { now, goal: 800 }).streak, { goal: 800, today: 1000, days: 3 });
+  assert.strictEqual(summarizeHistory(entries, { now, goal: 1500 }).streak.days, 0);
+  assert.strictEqual(summarizeHistory(entries, { now }).streak, null);
+});
+
+test('formatStats prints the totals and the goal', () => {
+  const lines = formatStats(summarizeHistory([session(0), session(7)], { now, goal: 500 }));
+  assert.strictEqual(lines[0], 'Sessions: 2, 2000 words in 8m 00s (300 WPM)');
+  assert.ok(lines.includes('  Mon 2026-10-19  1 session      1000 words   4m 00s  300 WPM'));
+  assert.ok(lines.includes('Speed trend: 0 WPM per week (2 sessions)'));
+  assert.strictEqual(lines[lines.length - 1], 'Daily goal: 1000/500 words today, streak of 1 day');
+
+  assert.deepStrictEqual(formatStats(summarizeHistory([], { now })), ['No reading sessions recorded yet.']);
+});
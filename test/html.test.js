@@ -0,0 +1,143 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseHtml, innerText, extractArticle, decodeEntities } = require('../lib/html.js');
+const { extractText } = require('../lib/extractors.js');
+
+// Scratch directories of the fixtures, removed after the tests
+const tempDirs = [];
+after(() => {
+  for (const dir of tempDirs) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+const ARTICLE_PARAGRAPHS = [
+  'The river had been rising for three days, and by Thursday morning the lower streets of the town were under a foot of brown, slow-moving water.',
+  'Residents, many of whom had lived through the great flood of 1952, moved furniture upstairs, filled sandbags, and waited for news from the dam upstream.',
+  'By evening, engineers reported that the spillway was holding, although they warned that another night of rain could change everything.',
+];
+
+const NEWS_PAGE = `<!DOCTYPE html>
+<html>
+<head>
+  <title>Flood waters rise in river town | The Daily Example</title>
+  <meta name="author" content="Jane Doe">
+  <script>window.tracking = "<p>not text</p>";</script>
+</head>
+<body>
+  <div id="cookie-banner">We use cookies to improve your experience. Accept all cookies, or manage your preferences, to continue browsing.</div>
+  <header class="site-header">
+    <nav><a href="/">Home</a> <a href="/world">World</a> <a href="/sport">Sport</a></nav>
+  </header>
+  <div class="layout">
+    <article class="story">
+      <h1>Flood waters rise in river town</h1>
+      <p class="byline">By Jane Doe</p>
+      ${ARTICLE_PARAGRAPHS.map((p) => `<p>${p}</p>`).join('\n      ')}
+      <ul class="share"><li><a href="#">Share on social networks</a></li></ul>
+    </article>
+    <aside class="related-articles">
+      <h2>Related articles</h2>
+      <p><a href="/a">Another flood story, with many words to make it long enough to score</a></p>
+    </aside>
+    <section id="comments">
+      <p>Great article, thanks for writing it, I really enjoyed reading it this morning.</p>
+    </section>
+  </div>
+  <footer>Copyright 2026 The Daily Example. All rights reserved, including the right to reproduce.</footer>
+</body>
+</html>`;
+
+// No semantic tags: the content div must win on text and link density alone
+const BLOG_PAGE = `<html><head><title>Notes</title></head><body>
+<div id="menu-wrap"><div><a href="/1">First link in the menu</a>, <a href="/2">second link in the menu</a>, <a href="/3">third one</a></div></div>
+<div>
+  <div><a href="/x">Popular: Ten tricks</a>, <a href="/y">Why cats purr</a>, <a href="/z">A long list of links that goes on</a></div>
+</div>
+<div id="main">
+  <h1>On tea</h1>
+  <p>Tea, when brewed with care, offers a calm that coffee, for all its virtues, rarely matches; the ritual matters as much as the leaf.</p>
+  <p>Green tea wants cooler water, black tea wants it boiling, and oolong sits, as it so often does, somewhere in between the two.</p>
+  <div><a href="/tag/tea">tea</a> <a href="/tag/life">life</a> <a href="/tag/ritual">ritual</a></div>
+</div>
+<div class="footer-links"><a href="/about">About this blog and its author, a tea enthusiast</a></div>
+</body></html>`;
+
+test('decodeEntities handles named and numeric entities', () => {
+  assert.strictEqual(decodeEntities('a &amp; b &lt;c&gt; &#8217;&#x2019; &amp;lt;'), 'a & b <c> ’’ &lt;');
+});
+
+test('decodeEntities decodes typographic and accented entities', () => {
+  assert.strictEqual(
+    decodeEntities('It&rsquo;s &ldquo;fine&rdquo; &mdash; really&hellip; Caf&eacute; &Eacute;t&eacute; &euro;5 &bogus;'),
+    'It’s “fine” — really… Café Été €5 &bogus;'
+  );
+
+  const page = `<html><body><article><p>${'It&rsquo;s the Caf&eacute; &mdash; where &ldquo;everyone&rdquo; meets, all day long&hellip; '.repeat(3)}</p></article></body></html>`;
+  const { text } = extractArticle(page);
+  assert.ok(text.startsWith('It’s the Café — where “everyone” meets, all day long… It’s'));
+  assert.ok(!text.includes('&'));
+});
+
+test('decodeEntities replaces code points past U+10FFFF', () => {
+  assert.strictEqual(decodeEntities('a&#99999999;b &#x110000; &#x10FFFF;'), 'a\ufffdb \ufffd \u{10ffff}');
+});
+
+test('decodeEntities replaces surrogate code points', () => {
+  assert.strictEqual(decodeEntities('&#xD800;&#57343;&#xD7FF;'), '\ufffd\ufffd\ud7ff');
+});
+
+test('parseHtml tolerates unclosed and stray tags', () => {
+  const doc = parseHtml('<div><p>one<p>two</span></div><br>three');
+  const div = doc.children[0];
+  assert.strictEqual(div.tag, 'div');
+  assert.deepStrictEqual(div.children.map((c) => c.tag), ['p', 'p']);
+  assert.strictEqual(innerText(doc), 'one two three');
+});
+
+test('parseHtml does not parse markup inside scripts', () => {
+  const doc = parseHtml('<script>if (a < b) { x = "<p>"; }</script><p>text</p>');
+  assert.deepStrictEqual(doc.children.map((c) => c.tag), ['script', 'p']);
+  assert.strictEqual(doc.children[0].children.length, 0);
+});
+
+test('extractArticle keeps the article and drops boilerplate', () => {
+  const article = extractArticle(NEWS_PAGE);
+  assert.strictEqual(article.title, 'Flood waters rise in river town');
+  assert.strictEqual(article.byline, 'Jane Doe');
+  assert.strictEqual(article.text, [
+    'Flood waters rise in river town',
+    'By Jane Doe',
+    ...ARTICLE_PARAGRAPHS,
+  ].join('\n\n'));
+});
+
+test('extractArticle picks the main block by text and link density', () => {
+  const article = extractArticle(BLOG_PAGE);
+  assert.strictEqual(article.title, 'On tea');
+  assert.strictEqual(article.byline, '');
+  assert.ok(article.text.startsWith('On tea\n\nTea, when brewed with care'));
+  assert.ok(article.text.includes('oolong sits'));
+  for (const boilerplate of ['menu', 'Popular', 'ritual\n', 'About this blog']) {
+    assert.ok(!article.text.includes(boilerplate), `unexpected "${boilerplate}"`);
+  }
+});
+
+test('extractArticle falls back to the whole body', () => {
+  const article = extractArticle('<html><body>Short.</body></html>');
+  assert.strictEqual(article.text, 'Short.');
+});
+
+test('extractText uses article extraction for local HTML files', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'srit-'));
+  tempDirs.push(dir);
+  const filePath = path.join(dir, 'page.html');
+  fs.writeFileSync(filePath, NEWS_PAGE);
+  const text = await extractText(filePath);
+  assert.ok(text.includes(ARTICLE_PARAGRAPHS[1]));
+  assert.ok(!text.includes('cookies'));
+  assert.ok(!text.includes('Great article'));
+});
@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseHudFields, formatDuration, buildHudLine, formatSummary } = require('../lib/hud.js');
+
+const stats = {
+  remainingTime: 754000,
+  wordsRead: 1200,
+  totalWords: 5000,
+  elapsedTime: 185000,
+  chapter: 'Chapter 3: The Long Way Home',
+};
+
+test('parseHudFields accepts true, false and lists of fields', () => {
+  assert.deepStrictEqual(parseHudFields(true), ['remaining', 'progress', 'elapsed', 'chapter']);
+  assert.deepStrictEqual(parseHudFields(false), []);
+  assert.deepStrictEqual(parseHudFields(['elapsed', 'remaining']), ['elapsed', 'remaining']);
+  assert.throws(() => parseHudFields(['speed']), /Unknown HUD field "speed"/);
+});
+
+test('formatDuration uses seconds, minutes or hours', () => {
+  assert.strictEqual(formatDuration(42000), '42s');
+  assert.strictEqual(formatDuration(187000), '3m 07s');
+  assert.strictEqual(formatDuration(3900000), '1h 05m');
+});
+
+test('buildHudLine joins the fields in order', () => {
+  assert.strictEqual(
+    buildHudLine(stats, ['remaining', 'progress', 'elapsed', 'chapter'], 100),
+    '12m 34s left · 1200/5000 words · 3m 05s elapsed · Chapter 3: The Long Way Home'
+  );
+});
+
+test('buildHudLine shortens the chapter, then leaves out the last fields', () => {
+  assert.strictEqual(buildHudLine(stats, ['remaining', 'chapter'], 25), '12m 34s left · Chapter 3…');
+  assert.strictEqual(buildHudLine(stats, ['remaining', 'chapter', 'progress'], 20), '12m 34s left');
+  assert.strictEqual(buildHudLine(stats, ['progress'], 5), '');
+});
+
+test('buildHudLine leaves out a missing chapter', () => {
+  assert.strictEqual(buildHudLine({ ...stats, chapter: null }, ['chapter', 'elapsed'], 80), '3m 05s elapsed');
+});
+
+test('formatSummary reports what is left unless finished', () => {
+  assert.deepStrictEqual(formatSummary(stats), [
+    'Read: 1200/5000 words',
+    'Time: 3m 05s',
+    'Remaining: about 12m 34s',
+    'Chapter: Chapter 3: The Long Way Home',
+  ]);
+  assert.deepStrictEqual(formatSummary({ ...stats, wordsRead: 5000, remainingTime: 0, chapter: null }), [
+    'Read: 5000/5000 words',
+    'Time: 3m 05s',
+  ]);
+});
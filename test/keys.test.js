@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { keyName, buildKeymap, keyLabel, helpLines } = require('../lib/keys.js');
+
+test('keyName names special keys, control keys and characters', () => {
+  assert.strictEqual(keyName(undefined, { name: 'left' }), 'left');
+  assert.strictEqual(keyName(' ', { name: 'space' }), 'space');
+  assert.strictEqual(keyName('\x03', { name: 'c', ctrl: true }), 'ctrl+c');
+  assert.strictEqual(keyName('J', { name: 'j', shift: true }), 'J');
+  assert.strictEqual(keyName('[', { sequence: '[' }), '[');
+});
+
+test('buildKeymap binds the default keys by mode', () => {
+  const keymap = buildKeymap();
+  assert.strictEqual(keymap.reading.get('right'), 'next-word');
+  assert.strictEqual(keymap.paused.get('right'), 'peek-next-word');
+  assert.strictEqual(keymap.reading.get('space'), 'pause');
+  assert.strictEqual(keymap.paused.get('space'), 'pause');
+  assert.strictEqual(keymap.reading.get('7'), 'seek-7');
+  assert.strictEqual(keymap.reading.get('='), 'gamma-up');
+});
+
+test('buildKeymap replaces the default keys of configured actions', () => {
+  const keymap = buildKeymap({ faster: 'k', slower: ['j', 'down'] });
+  assert.strictEqual(keymap.reading.get('k'), 'faster');
+  assert.strictEqual(keymap.reading.get('j'), 'slower');
+  assert.strictEqual(keymap.reading.get('down'), 'slower');
+  assert.strictEqual(keymap.reading.get('up'), undefined);
+  assert.strictEqual(keymap.paused.get('up'), 'peek-line-up');
+});
+
+test('buildKeymap rejects conflicts, unknown actions and invalid keys', () => {
+  assert.throws(() => buildKeymap({ 'next-word': '[' }), /Key "\[" is bound to both/);
+  assert.throws(() => buildKeymap({ 'peek-next-word': 'space' }), /bound to both/);
+  assert.throws(() => buildKeymap({ jump: 'j' }), /Unknown action "jump"/);
+  assert.throws(() => buildKeymap({ quit: 'esc' }), /Invalid key "esc"/);
+  assert.throws(() => buildKeymap({ quit: 3 }), /Invalid key/);
+});
+
+test('buildKeymap lets reading and paused actions share keys', () => {
+  const keymap = buildKeymap({ 'next-word': 'l', 'peek-next-word': 'l' });
+  assert.strictEqual(keymap.reading.get('l'), 'next-word');
+  assert.strictEqual(keymap.paused.get('l'), 'peek-next-word');
+});
+
+test('keyLabel shows arrows and control keys', () => {
+  assert.strictEqual(keyLabel('left'), '←');
+  assert.strictEqual(keyLabel('escape'), 'Esc');
+  assert.strictEqual(keyLabel('ctrl+q'), 'Ctrl+Q');
+  assert.strictEqual(keyLabel('j'), 'j');
+});
+
+test('helpLines follow the active bindings', () => {
+  const lines = helpLines(buildKeymap({ faster: ['k', 'up'] }), false);
+  assert.deepStrictEqual(lines.find((line) => line.description === 'Increase speed'), { keys: 'k ↑', description: 'Increase speed' });
+  assert.deepStrictEqual(lines[lines.length - 1], { keys: '0123456789', description: 'Jump to 0%, 10%... 90%' });
+  assert.ok(!lines.some((line) => line.description.includes('--auto')));
+  assert.ok(helpLines(buildKeymap(), true).some((line) => line.keys === '+ ='));
+});
@@ -0,0 +1,204 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { scoreTokens, matchGeneratedTokens, checkScoringSetup, estimateSapCost } = require('../lib/llm.js');
+const { processText } = require('../lib/sap.js');
+
+/**
+ * Local server answering each path with a handler: (body) => response JSON
+ */
+async function withServer(routes, fn) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (data) => { body += data; });
+    req.on('end', () => {
+      const parsed = JSON.parse(body);
+      requests.push({ path: req.url, body: parsed });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(routes[req.url](parsed)));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    return await fn(`http://127.0.0.1:${server.address().port}`, requests);
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+}
+
+function strip(tokens) {
+  return tokens.map(({ token, logprob, startChar, endChar }) => [token, logprob, startChar, endChar]);
+}
+
+test('matchGeneratedTokens skips a preamble and stops where the copy strays', () => {
+  const generated = ['Sure', '!', ' Here', ':\n\n', 'The', ' cat', '\n', 'sat', ' down', ' quickly']
+    .map((token, i) => ({ token, logprob: -i }));
+  const { tokens, matchedChars } = matchGeneratedTokens('The cat sat on the mat', generated);
+  assert.deepStrictEqual(strip(tokens), [
+    ['The', -4, 0, 3],
+    [' cat', -5, 3, 7],
+    [' ', -6, 7, 8],
+    ['sat', -7, 8, 11],
+  ]);
+  assert.strictEqual(matchedChars, 11);
+});
+
+test('matchGeneratedTokens joins byte tokens of one character', () => {
+  const generated = [
+    { token: 'caf', logprob: -1, bytes: [99, 97, 102] },
+    { token: '\\xc3', logprob: -0.5, bytes: [0xc3] },
+    { token: '\\xa9', logprob: -0.25, bytes: [0xa9] },
+  ];
+  assert.deepStrictEqual(strip(matchGeneratedTokens('café', generated).tokens), [
+    ['caf', -1, 0, 3],
+    ['é', -0.75, 3, 4],
+  ]);
+});
+
+test('Ollama scoring forces the real text through generation', async () => {
+  // The model expects "cat" after "The", then "sat"; the real text has
+  // "dog" (among its alternatives), then "barked." (not among them, so it
+  // gets the likelihood of the least likely alternative)
+  const routes = {
+    '/api/generate': ({ prompt, raw }) => {
+      assert.strictEqual(raw, true);
+      const answers = {
+        'Once upon a time': [
+          { token: ' The', logprob: -0.5 },
+          { token: ' cat', logprob: -0.2, top_logprobs: [{ token: ' cat', logprob: -0.2 }, { token: ' dog', logprob: -2 }] },
+          { token: ' sat', logprob: -0.1 },
+        ],
+        'Once upon a time The dog': [
+          { token: ' sat', logprob: -0.3, top_logprobs: [{ token: ' sat', logprob: -0.3 }, { token: ' ran', logprob: -4 }] },
+        ],
+      };
+      return { response: '', logprobs: answers[prompt] };
+    },
+  };
+
+  await withServer(routes, async (host, requests) => {
+    process.env.OLLAMA_HOST = host;
+    try {
+      const tokens = await scoreTokens('Once upon a time', 'The dog barked.', { provider: 'ollama' });
+      assert.deepStrictEqual(strip(tokens), [
+        ['The', -0.5, 0, 3],
+        [' dog', -2, 3, 7],
+        [' barked.', -4, 7, 15],
+      ]);
+      assert.strictEqual(requests.length, 2);
+    } finally {
+      delete process.env.OLLAMA_HOST;
+    }
+  });
+});
+
+test('Ollama scoring falls back to a checked copy without native logprobs', async () => {
+  const routes = {
+    '/api/generate': () => ({ response: 'whatever' }),
+    '/v1/chat/completions': ({ messages }) => {
+      const text = messages[1].content.split('\n').pop();
+      const content = text === 'brown fox'
+        ? [{ token: 'Here you go: ', logprob: -1 }, { token: 'brown', logprob: -1.5 }, { token: ' fox', logprob: -2.5 }]
+        : [{ token: 'The', logprob: -1 }, { token: ' quick', logprob: -2 }, { token: ' red', logprob: -3 }];
+      return { choices: [{ logprobs: { content } }] };
+    },
+  };
+
+  await withServer(routes, async (host, requests) => {
+    process.env.OLLAMA_HOST = host;
+    try {
+      // The copy strays at "red": the rest is asked for again
+      const tokens = await scoreTokens('', 'The quick brown fox', { provider: 'ollama' });
+      assert.deepStrictEqual(strip(tokens), [
+        ['The', -1, 0, 3],
+        [' quick', -2, 3, 9],
+        ['brown', -1.5, 10, 15],
+        [' fox', -2.5, 15, 19],
+      ]);
+      assert.match(requests[2].body.messages[1].content, /Continue this text exactly:\n\nThe quick\n/);
+    } finally {
+      delete process.env.OLLAMA_HOST;
+    }
+  });
+});
+
+test('completions scoring reads the echoed prompt logprobs', async () => {
+  const routes = {
+    '/v1/completions': ({ prompt, echo, model }) => {
+      assert.strictEqual(prompt, 'It was late. The end');
+      assert.strictEqual(echo, true);
+      assert.strictEqual(model, 'my-model');
+      return {
+        choices: [{
+          logprobs: {
+            tokens: ['It', ' was', ' late', '.', ' The', ' end', '\n'],
+            token_logprobs: [null, -1, -2, -0.5, -0.7, -3, -0.1],
+          },
+        }],
+      };
+    },
+  };
+
+  await withServer(routes, async (host) => {
+    process.env.COMPLETIONS_URL = `${host}/v1`;
+    try {
+      const tokens = await scoreTokens('It was late.', 'The end', { provider: 'completions', model: 'my-model' });
+      assert.deepStrictEqual(strip(tokens), [
+        ['The', -0.7, 0, 3],
+        [' end', -3, 3, 7],
+      ]);
+    } finally {
+      delete process.env.COMPLETIONS_URL;
+    }
+  });
+});
+
+test('checkScoringSetup requires a completions server and a model', () => {
+  delete process.env.COMPLETIONS_URL;
+  assert.throws(() => checkScoringSetup('completions', { model: 'my-model' }), /COMPLETIONS_URL/);
+
+  process.env.COMPLETIONS_URL = 'http://localhost:8000/v1';
+  try {
+    assert.throws(() => checkScoringSetup('completions', {}), /requires --model/);
+    assert.strictEqual(checkScoringSetup('completions', { model: 'my-model' }), 'my-model');
+  } finally {
+    delete process.env.COMPLETIONS_URL;
+  }
+
+  assert.strictEqual(checkScoringSetup('ollama', {}), 'llama3.2');
+});
+
+test('estimateSapCost counts the worst-case re-requests with the model used', () => {
+  const text = Array.from({ length: 32 }, (_, i) => `word${i}`).join(' ');
+  const params = { chunk_size_words: 16, chunk_overlap_context_words: 12 };
+
+  // Two chunks, each copied up to three times: (50 + 18 + 24) in, 24 out
+  const openai = estimateSapCost(text, { provider: 'openai' }, params);
+  assert.strictEqual(openai.model, 'gpt-4o-mini');
+  assert.strictEqual(openai.inputTokens, 2 * 3 * 92);
+  assert.strictEqual(openai.outputTokens, 2 * 3 * 24);
+
+  // Forced generation: up to one request per token of the chunk
+  const ollama = estimateSapCost(text, { provider: 'ollama', model: 'qwen2.5' }, params);
+  assert.strictEqual(ollama.model, 'qwen2.5');
+  assert.strictEqual(ollama.inputTokens, 2 * 24 * 42);
+  assert.strictEqual(ollama.cost, 0);
+
+  // The model of --model is only used by local servers
+  assert.strictEqual(estimateSapCost(text, { provider: 'gemini', model: 'other' }, params).model, 'gemini-2.0-flash');
+});
+
+test('processText reports the fraction of the text scored faithfully', async () => {
+  // A paraphrase past the first two words: only they are scored
+  const scoreFn = async (_contextText, chunkText) => [
+    { token: chunkText.slice(0, 3), logprob: -1, startChar: 0, endChar: 3 },
+    { token: ' big', logprob: -2, startChar: 3, endChar: 7 },
+  ];
+  const result = await processText('one two three four', scoreFn, {}, null, { concurrency: 1 });
+  assert.strictEqual(result.faithfulFraction, 3 / 15);
+  assert.ok(result.surprisalBits[0] > 0);
+  assert.strictEqual(result.surprisalBits[1], 0);
+});
@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  LEXICON_LANGUAGES,
+  loadLexicon,
+  chooseLexiconLanguage,
+  wordRank,
+  estimateSurprisal,
+  processTextLocally,
+} = require('../lib/local.js');
+const { itemize } = require('../lib/sap.js');
+
+test('bundled lexicons rank common words first', () => {
+  for (const lang of LEXICON_LANGUAGES) {
+    assert.ok(loadLexicon(lang).size >= 1000);
+  }
+  // A spoken corpus: you and I come before the
+  assert.ok(loadLexicon('en').get('the') <= 3);
+  assert.strictEqual(loadLexicon('fr').get('de'), 1);
+  assert.strictEqual(loadLexicon('de'), null);
+});
+
+test('chooseLexiconLanguage follows the given language or guesses it', () => {
+  assert.strictEqual(chooseLexiconLanguage('whatever', 'fr-CA'), 'fr');
+  assert.strictEqual(chooseLexiconLanguage('whatever', 'de'), null);
+  assert.strictEqual(chooseLexiconLanguage('The cat sat on the mat and it was happy with the day.'), 'en');
+  assert.strictEqual(chooseLexiconLanguage("Le chat dort sur le lit et il est content de la journée."), 'fr');
+  assert.strictEqual(chooseLexiconLanguage('Der Hund schläft unter dem Tisch.'), null);
+});
+
+test('wordRank finds inflected forms, elisions and compounds', () => {
+  const en = loadLexicon('en');
+  const fr = loadLexicon('fr');
+  assert.strictEqual(wordRank('castles', en, 'en'), en.get('castle') * 2);
+  assert.strictEqual(wordRank("didn't", en, 'en'), en.get('didn'));
+  assert.strictEqual(wordRank("l'arbre", fr, 'fr'), fr.get('arbre'));
+  assert.strictEqual(wordRank('rendez-vous', fr, 'fr'), fr.get('rendez-vous'));
+  assert.strictEqual(wordRank('sous-marin', fr, 'fr'), Math.max(fr.get('sous'), fr.get('marin')));
+  assert.strictEqual(wordRank('xylophone', en, 'en'), null);
+});
+
+test('estimateSurprisal rates rare, long, numeric and capitalized words higher', () => {
+  const bits = estimateSurprisal(itemize('The man saw the photosynthesis of NASA in 1984 near Quebec.'), 'en');
+  const [the, man, , , photosynthesis, , nasa, , year, , quebec] = bits;
+  assert.ok(the < man);
+  assert.ok(man < photosynthesis);
+  assert.ok(nasa > man);
+  assert.ok(year > man);
+  assert.ok(quebec > man);
+});
+
+test('estimateSurprisal adds a bonus to a rare word after another rare word', () => {
+  const [, , alone] = estimateSurprisal(itemize('the big zygote'), 'en');
+  const [, , paired] = estimateSurprisal(itemize('the quixotic zygote'), 'en');
+  assert.ok(paired > alone + 0.5);
+});
+
+test('estimateSurprisal uses word shape only without a lexicon', () => {
+  const [short, long] = estimateSurprisal(itemize('Hund Geschwindigkeitsbegrenzung'), null);
+  assert.strictEqual(short, 0);
+  assert.ok(long > 0);
+});
+
+test('processTextLocally gives durations through the SAP kernel', () => {
+  const text = 'The cat sat on the mat. The photosynthesis of chlorophyll fascinated the cat.';
+  const result = processTextLocally(text, { target_wpm: 300, gamma: 0.6 });
+  assert.strictEqual(result.lexiconLang, 'en');
+  assert.strictEqual(result.durations.length, result.items.length);
+  const cat = result.items.findIndex((it) => it.text === 'cat');
+  const chlorophyll = result.items.findIndex((it) => it.text === 'chlorophyll');
+  assert.ok(result.durations[chlorophyll] > result.durations[cat]);
+});
@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_PACING, resolvePacing, findBoundaries, wordPause } = require('../lib/pacing.js');
+const { segmentWords } = require('../lib/segment.js');
+const { itemize, computeDurations } = require('../lib/sap.js');
+
+function boundaries(text) {
+  return findBoundaries(text, segmentWords(text));
+}
+
+test('findBoundaries tells commas, sentences, paragraphs and headings apart', () => {
+  const text = 'Chapter One\n\nHe left, "quietly." Then\nhe ran.\n\nEnd';
+  assert.deepStrictEqual(boundaries(text), ['none', 'heading', 'none', 'comma', 'period', 'none', 'none', 'para', 'none']);
+});
+
+test('findBoundaries does not take a long paragraph for a heading', () => {
+  const text = 'one two three four five six seven eight nine ten eleven\n\nnext';
+  assert.strictEqual(boundaries(text)[10], 'para');
+});
+
+test('wordPause adds the pause of the boundary', () => {
+  const pacing = resolvePacing({ comma: 50, sentence: 150, paragraph: 250, heading: 400 });
+  assert.strictEqual(wordPause('word', 'none', pacing), 0);
+  assert.strictEqual(wordPause('word,', 'comma', pacing), 50);
+  assert.strictEqual(wordPause('word.', 'period', pacing), 150);
+  assert.strictEqual(wordPause('word.', 'para', pacing), 250);
+  assert.strictEqual(wordPause('Introduction', 'heading', pacing), 400 + 4 * pacing.longWord);
+});
+
+test('wordPause adds quote and parenthesis pauses', () => {
+  const pacing = resolvePacing({ openQuote: 10, closeQuote: 20, openParen: 30, closeParen: 40 });
+  assert.strictEqual(wordPause('«word', 'none', pacing), 10);
+  assert.strictEqual(wordPause('word,”', 'comma', pacing), pacing.comma + 20);
+  assert.strictEqual(wordPause('(word)', 'none', pacing), 70);
+  assert.strictEqual(wordPause("don't", 'none', pacing), 0);
+});
+
+test('wordPause gives long words and numbers more time', () => {
+  const pacing = resolvePacing({ longWordLength: 6, longWord: 10, number: 25 });
+  assert.strictEqual(wordPause('sixsix', 'none', pacing), 0);
+  assert.strictEqual(wordPause('extraordinary', 'none', pacing), 70);
+  assert.strictEqual(wordPause('1984', 'none', pacing), 100);
+});
+
+test('resolvePacing rejects unknown settings and invalid values', () => {
+  assert.deepStrictEqual(resolvePacing(), DEFAULT_PACING);
+  assert.throws(() => resolvePacing({ semicolon: 100 }), /Unknown pacing setting "semicolon"/);
+  assert.throws(() => resolvePacing({ comma: -1 }), /Invalid pacing comma/);
+  assert.throws(() => resolvePacing({ comma: '100' }), /Invalid pacing comma/);
+});
+
+test('computeDurations adds the same pauses as normal mode', () => {
+  const text = 'Title\n\nOne, two.';
+  const pacing = resolvePacing({ heading: 400, comma: 70, sentence: 0 });
+  const durations = computeDurations(itemize(text), [], { target_wpm: 600, pacing, max_ms: 1000 });
+  assert.deepStrictEqual(durations, [500, 170, 100]);
+});
@@ -0,0 +1,115 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Positions are stored under the home directory: use a scratch one
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'srit-home-'));
+process.env.HOME = home;
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+const { getRangeId, loadPosition, savePosition, clearPosition, findPosition, getReplayStart } = require('../lib/resume.js');
+const { parseWords } = require('../lib/display.js');
+
+function makeText(count) {
+  const words = [];
+  for (let i = 0; i < count; i++) {
+    words.push(i % 10 === 9 ? `word${i}.` : `word${i}`);
+  }
+  return words.join(' ');
+}
+
+test('savePosition and loadPosition round-trip for the same content', () => {
+  const text = makeText(100);
+  const words = parseWords(text);
+  savePosition('book.txt', text, words, 42);
+  assert.deepStrictEqual(loadPosition('book.txt', text, words), { index: 42, total: 100, exact: true });
+});
+
+test('loadPosition finds the place again in an edited document', () => {
+  const text = makeText(100);
+  savePosition('edited.txt', text, parseWords(text), 60);
+
+  const editedText = 'A new preface was added. ' + text.replace('word20', 'changed');
+  const editedWords = parseWords(editedText);
+  const position = loadPosition('edited.txt', editedText, editedWords);
+  assert.strictEqual(position.exact, false);
+  assert.strictEqual(editedWords[position.index], 'word60');
+});
+
+test('loadPosition returns null for unknown documents', () => {
+  const text = makeText(20);
+  assert.strictEqual(loadPosition('unknown.txt', text, parseWords(text)), null);
+});
+
+test('clearPosition forgets a source', () => {
+  const text = makeText(50);
+  const words = parseWords(text);
+  savePosition('done.txt', text, words, 10);
+  clearPosition('done.txt');
+  assert.strictEqual(loadPosition('done.txt', text, words), null);
+});
+
+test('savePosition keeps only the latest position of a source', () => {
+  const first = makeText(30);
+  const second = makeText(40);
+  savePosition('versions.txt', first, parseWords(first), 5);
+  savePosition('versions.txt', second, parseWords(second), 25);
+  assert.strictEqual(loadPosition('versions.txt', first, parseWords(first)).index, 25);
+});
+
+test('positions in a page range or a section are kept apart from the whole document', () => {
+  const book = makeText(200);
+  const bookWords = parseWords(book);
+  const chapter = makeText(60);
+  const chapterWords = parseWords(chapter);
+  const range = getRangeId({ pages: null, section: ' Chapter 4' });
+  assert.strictEqual(range, 'section chapter 4');
+  assert.strictEqual(getRangeId({ pages: { from: 40, to: 62 }, section: null }), 'pages 40-62');
+  assert.strictEqual(getRangeId({ pages: null, section: null }), null);
+
+  savePosition('ranges.txt', book, bookWords, 150);
+  savePosition('ranges.txt', chapter, chapterWords, 30, range);
+  assert.strictEqual(loadPosition('ranges.txt', book, bookWords).index, 150);
+
+  // Once edited, each is found again from its own context
+  const editedChapter = chapter.replace('word5', 'changed');
+  assert.strictEqual(loadPosition('ranges.txt', editedChapter, parseWords(editedChapter), range).index, 30);
+  const editedBook = book.replace('word5', 'changed');
+  assert.deepStrictEqual(loadPosition('ranges.txt', editedBook, parseWords(editedBook)), { index: 150, total: 200, exact: false });
+
+  // Finishing the chapter leaves the book position alone
+  clearPosition('ranges.txt', range);
+  assert.strictEqual(loadPosition('ranges.txt', chapter, chapterWords, range), null);
+  assert.strictEqual(loadPosition('ranges.txt', book, bookWords).index, 150);
+});
+
+test('findPosition prefers the occurrence nearest the old relative position', () => {
+  const words = ['a', 'b', 'c', 'x', 'a', 'b', 'c', 'x'];
+  const saved = { index: 5, total: 8, before: ['a'], after: ['b', 'c'] };
+  assert.strictEqual(findPosition(words, saved), 5);
+});
+
+test('findPosition gives up when too little context matches', () => {
+  const saved = { index: 2, total: 4, before: ['p', 'q'], after: ['r', 's'] };
+  assert.strictEqual(findPosition(['a', 'b', 'q', 'c'], saved), -1);
+});
+
+test('getReplayStart replays the end of the previous sentence', () => {
+  const words = parseWords('One two three four five six seven eight nine ten. Next sentence starts here');
+  // Resuming at "starts": back to within the previous sentence, 8 words before "Next"
+  assert.strictEqual(getReplayStart(words, 12), 2);
+});
+
+test('getReplayStart does not go past the previous sentence start', () => {
+  const words = parseWords('Intro line. Short one. Resume here now');
+  assert.strictEqual(getReplayStart(words, 5), 2);
+  // Sentences end as the pacing model ends them, on an ellipsis too
+  assert.strictEqual(getReplayStart(parseWords('Intro line… Short one… Resume here now'), 5), 2);
+});
+
+test('getReplayStart steps back a few words inside a long sentence', () => {
+  const words = parseWords(makeText(9).replace('.', '') + ' ' + 'long '.repeat(30).trim());
+  assert.strictEqual(getReplayStart(words, 30), 22);
+});
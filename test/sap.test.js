@@ -0,0 +1,131 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  itemize,
+  alignTokensToItems,
+  processText,
+  formatSapDebug,
+  resolveNormalization,
+  normalizationStats,
+  computeDurations,
+  compareNormalizations,
+  DEFAULT_PARAMS,
+} = require('../lib/sap.js');
+
+// Scorer giving each word of the chunk (with the space before it) one
+// token, of as many bits as its length
+async function wordScorer(_contextText, chunkText) {
+  const tokens = [];
+  for (const match of chunkText.matchAll(/\s*\S+/g)) {
+    tokens.push({
+      token: match[0],
+      logprob: -match[0].trim().length * Math.log(2),
+      startChar: match.index,
+      endChar: match.index + match[0].length,
+    });
+  }
+  return tokens;
+}
+
+test('alignTokensToItems maps the scored text back to the original', () => {
+  const text = 'Call  me\n\nIshmael.';
+  const items = itemize(text);
+  // Scored as "Call me Ishmael.": each added space maps to no character
+  const sourceChars = [0, 1, 2, 3, -1, 6, 7, -1, 10, 11, 12, 13, 14, 15, 16, 17];
+  const tokens = [
+    { token: 'Call', startChar: 0, endChar: 4 },
+    { token: ' me', startChar: 4, endChar: 7 },
+    { token: ' ', startChar: 7, endChar: 8 },
+    { token: 'Ish', startChar: 8, endChar: 11 },
+    { token: 'mael', startChar: 11, endChar: 15 },
+    { token: '.', startChar: 15, endChar: 16 },
+  ];
+  assert.deepStrictEqual(alignTokensToItems(items, tokens, sourceChars), [0, 1, -1, 2, 2, 2]);
+});
+
+test('processText puts surprisal on the right words whatever the whitespace', async () => {
+  const words = Array.from({ length: 40 }, (_, i) => 'x'.repeat(1 + (i % 5)));
+  // Double spaces, line and paragraph breaks between the words
+  const separators = [' ', '  ', '\n', '\n\n', ' \t '];
+  const text = words.map((word, i) => word + separators[i % separators.length]).join('');
+
+  const result = await processText(text, wordScorer, { chunk_size_words: 7 }, null, { concurrency: 1 });
+  assert.deepStrictEqual(result.surprisalBits, words.map((word) => word.length));
+  assert.strictEqual(result.tokens.length, 40);
+  assert.ok(result.tokens.every((t, i) => t.item === i));
+});
+
+test('formatSapDebug lists each word with its tokens', async () => {
+  const result = await processText('The  whale\nsank.', wordScorer, {}, null, { concurrency: 1 });
+  const lines = formatSapDebug(result, { normalization: 'section' });
+  assert.match(lines[0], /#\s+Chars\s+Word\s+Bits\s+window\s+\*section\s+global\s+Tokens/);
+  assert.match(lines[2], /^ {5}2 {2}5-10 +whale +5\.00( +\d+ms){3} {2}" whale" 5\.00$/);
+  assert.ok(lines.includes('3 tokens over 3 words, 0 on no word (spaces between words)'));
+  assert.match(lines[lines.length - 1], /^3-3 +\d+ms +\d+ms +\d+ms$/);
+
+  const offline = formatSapDebug({ ...result, tokens: undefined });
+  assert.ok(offline.includes('3 words estimated offline, without tokens'));
+});
+
+// Synthetic document: an easy introduction (low surprisal with a few
+// surprising words), then a long dense section (high surprisal throughout)
+function syntheticDocument() {
+  const items = [];
+  const bits = [];
+  const add = (count, endsWith, level) => {
+    for (let k = 0; k < count; k++) {
+      const i = items.length;
+      items.push({ text: 'w', startChar: 2 * i, endChar: 2 * i + 1, endsWith: k === count - 1 ? endsWith : 'none' });
+      bits.push(level + ((i * 37) % 11) / 10);
+    }
+  };
+  add(2, 'heading', 2);
+  add(98, 'para', 2);
+  add(3, 'heading', 8);
+  add(297, 'para', 8);
+  // Surprising words of the introduction, well below the dense section
+  for (const i of [30, 60, 90]) bits[i] = 6;
+  return { items, bits };
+}
+
+test('resolveNormalization checks the mode and the window', () => {
+  assert.deepStrictEqual(resolveNormalization(), { normalization: 'global', normalization_window: 200 });
+  assert.deepStrictEqual(resolveNormalization('global', 50), { normalization: 'global', normalization_window: 50 });
+  assert.throws(() => resolveNormalization('chunk'), /Unknown normalization "chunk" \(modes: window, section, global\)/);
+  assert.throws(() => resolveNormalization('window', 5), /Invalid normalization window: 5/);
+});
+
+test('normalizationStats compares each word to its window, its section or the whole text', () => {
+  const { items, bits } = syntheticDocument();
+  const stats = (normalization, normalization_window = 100) =>
+    normalizationStats(items, bits, { ...DEFAULT_PARAMS, normalization, normalization_window });
+
+  const global = stats('global');
+  assert.ok(global.medians.every((m) => m === global.medians[0]));
+  assert.ok(global.medians[0] > 8);
+
+  // Sections start at the headings
+  const section = stats('section');
+  assert.ok(section.medians[0] < 3 && section.medians[99] === section.medians[0]);
+  assert.ok(section.medians[100] > 8 && section.medians[399] === section.medians[100]);
+
+  // Windows follow the text, and keep their width at both ends
+  const window = stats('window');
+  assert.ok(window.medians[0] < 3 && window.medians[10] === window.medians[0]);
+  assert.ok(window.medians[250] > 8 && window.medians[399] > 8);
+});
+
+test('the easy introduction gets its slowdowns with local normalization', () => {
+  const { items, bits } = syntheticDocument();
+  const params = { normalization_window: 100, pacing: { ...DEFAULT_PARAMS.pacing, heading: 0, paragraph: 0 } };
+  const base = computeDurations(items, bits, { ...params, gamma: 0 })[60];
+
+  assert.strictEqual(computeDurations(items, bits, { ...params, normalization: 'global' })[60], base);
+  assert.ok(computeDurations(items, bits, { ...params, normalization: 'section' })[60] > base);
+  assert.ok(computeDurations(items, bits, { ...params, normalization: 'window' })[60] > base);
+
+  const modes = compareNormalizations(items, bits, params);
+  assert.deepStrictEqual(modes.map((m) => m.mode), ['window', 'section', 'global']);
+  const slowed = Object.fromEntries(modes.map((m) => [m.mode, m.slowed]));
+  assert.ok(slowed.window > slowed.global && slowed.section > slowed.global);
+});
@@ -0,0 +1,198 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const {
+  DEFAULT_SCHEDULE,
+  resolveSchedule,
+  isRetryable,
+  retryDelay,
+  RateLimiter,
+  runScheduled,
+} = require('../lib/scheduler.js');
+const { scoreTokens, parseRetryAfter } = require('../lib/llm.js');
+const { processText } = require('../lib/sap.js');
+
+// Quick retries for the tests
+const FAST = { retries: 2, baseDelayMs: 1, maxDelayMs: 50 };
+
+function httpError(status, retryAfterMs = null) {
+  const err = new Error(`API error: ${status}`);
+  err.status = status;
+  err.retryAfterMs = retryAfterMs;
+  return err;
+}
+
+test('resolveSchedule layers provider and user settings', () => {
+  assert.deepStrictEqual(resolveSchedule({ concurrency: 8, rpm: 500 }, { rpm: 100 }, null), {
+    ...DEFAULT_SCHEDULE,
+    concurrency: 8,
+    rpm: 100,
+  });
+  assert.throws(() => resolveSchedule({ parallel: 2 }), /Unknown rate limit setting "parallel"/);
+  assert.throws(() => resolveSchedule({ concurrency: 0 }), /Invalid rate limit concurrency/);
+  assert.throws(() => resolveSchedule({ tpm: '1000' }), /Invalid rate limit tpm/);
+});
+
+test('isRetryable retries rate limits, server errors and dropped connections', () => {
+  assert.ok(isRetryable(httpError(429)));
+  assert.ok(isRetryable(httpError(503)));
+  assert.ok(!isRetryable(httpError(400)));
+  assert.ok(isRetryable(Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNRESET' } })));
+  assert.ok(!isRetryable(new Error('Unexpected token in JSON')));
+});
+
+test('retryDelay honors Retry-After and backs off exponentially with jitter', () => {
+  const schedule = resolveSchedule({ baseDelayMs: 1000, maxDelayMs: 10000 });
+  assert.strictEqual(retryDelay(httpError(429, 2500), 0, schedule), 2500);
+  assert.strictEqual(retryDelay(httpError(429, 30000), 0, schedule), null);
+  assert.strictEqual(retryDelay(httpError(503), 0, schedule, () => 0), 500);
+  assert.strictEqual(retryDelay(httpError(503), 2, schedule, () => 1), 4000);
+  assert.strictEqual(retryDelay(httpError(503), 6, schedule, () => 1), 10000);
+});
+
+test('parseRetryAfter reads seconds, dates and milliseconds', () => {
+  assert.strictEqual(parseRetryAfter(new Headers({ 'retry-after': '3' })), 3000);
+  assert.strictEqual(parseRetryAfter(new Headers({ 'retry-after-ms': '250', 'retry-after': '1' })), 250);
+  const date = parseRetryAfter(new Headers({ 'retry-after': new Date(Date.now() + 5000).toUTCString() }));
+  assert.ok(date > 3000 && date <= 5000);
+  assert.strictEqual(parseRetryAfter(new Headers()), null);
+});
+
+test('RateLimiter keeps requests and tokens within the window', () => {
+  const limiter = new RateLimiter({ rpm: 2, tpm: 100 }, 1000);
+  assert.strictEqual(limiter.delayFor(40, 0), 0);
+  limiter.record(40, 0);
+  limiter.record(40, 100);
+
+  // Third request: wait for the first one to leave the window
+  assert.strictEqual(limiter.delayFor(10, 200), 800);
+  assert.strictEqual(limiter.delayFor(10, 1000), 0);
+
+  // Too many tokens: wait until enough leave
+  const tokens = new RateLimiter({ tpm: 100 }, 1000);
+  tokens.record(60, 0);
+  tokens.record(30, 500);
+  assert.strictEqual(tokens.delayFor(50, 600), 400);
+  assert.strictEqual(tokens.delayFor(200, 600), 900);
+  assert.strictEqual(new RateLimiter({ tpm: 100 }).delayFor(200, 0), 0);
+});
+
+test('runScheduled keeps task order and bounds concurrency', async () => {
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const tasks = [30, 5, 20, 1, 10].map((ms, i) => ({
+    tokens: 1,
+    run: async () => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise((resolve) => setTimeout(resolve, ms));
+      inFlight--;
+      return i * 10;
+    },
+  }));
+
+  const progress = [];
+  const { results, failures } = await runScheduled(tasks, { concurrency: 2 }, { onProgress: (done) => progress.push(done) });
+  assert.deepStrictEqual(results, [0, 10, 20, 30, 40]);
+  assert.deepStrictEqual(failures, []);
+  assert.strictEqual(maxInFlight, 2);
+  assert.deepStrictEqual(progress, [1, 2, 3, 4, 5]);
+});
+
+test('runScheduled retries transient failures and reports permanent ones', async () => {
+  let calls = 0;
+  const tasks = [
+    { run: async () => { calls++; if (calls < 3) throw httpError(429, 1); return 'ok'; } },
+    { run: async () => { throw httpError(500); } },
+    { run: async () => { throw httpError(400); } },
+  ];
+  const { results, failures } = await runScheduled(tasks, { concurrency: 1, ...FAST });
+  assert.deepStrictEqual(results, ['ok', undefined, undefined]);
+  assert.deepStrictEqual(failures.map((f) => [f.index, f.attempts]), [[1, 3], [2, 1]]);
+});
+
+test('runScheduled stops at a failure every request would hit', async () => {
+  let calls = 0;
+  const tasks = Array.from({ length: 10 }, () => ({
+    run: async () => {
+      calls++;
+      throw httpError(401);
+    },
+  }));
+  await assert.rejects(runScheduled(tasks, { concurrency: 2, ...FAST }), /401/);
+  assert.strictEqual(calls, 2);
+});
+
+/**
+ * Fake Ollama server, a model that always predicts the given text: each
+ * token is a word, with a logprob of minus half its length. Each request
+ * is rate limited the first time; scoring the word "broken" always fails.
+ */
+function startFakeProvider(text) {
+  const seen = new Set();
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (data) => { body += data; });
+    req.on('end', () => {
+      const { prompt, options } = JSON.parse(body);
+      const rest = text.slice(prompt ? text.indexOf(prompt) + prompt.length : 0);
+
+      if (rest.trimStart().startsWith('broken')) {
+        res.writeHead(500);
+        res.end('model crashed');
+        return;
+      }
+      if (!seen.has(prompt)) {
+        seen.add(prompt);
+        res.writeHead(429, { 'Retry-After': '0' });
+        res.end('slow down');
+        return;
+      }
+
+      const logprobs = (rest.match(/\s*\S+/g) || []).slice(0, options.num_predict).map((token) => ({
+        token,
+        logprob: -token.trim().length / 2,
+        top_logprobs: [],
+      }));
+      // Random latency, so that chunks complete out of order
+      setTimeout(() => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ response: '', logprobs }));
+      }, Math.random() * 10);
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+test('processText scores chunks concurrently through rate limits, in a deterministic order', async () => {
+  const words = Array.from({ length: 100 }, (_, i) => (i === 70 ? 'broken' : `${'w'.repeat(1 + (i % 7))}${i}`));
+  const text = words.join(' ');
+  const server = await startFakeProvider(text);
+  process.env.OLLAMA_HOST = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    const scoreFn = (contextText, chunkText) => scoreTokens(contextText, chunkText, { provider: 'ollama' });
+    const params = { chunk_size_words: 10 };
+
+    const parallel = await processText(text, scoreFn, params, null, { concurrency: 4, ...FAST });
+    const sequential = await processText(text, scoreFn, params, null, { concurrency: 1, ...FAST });
+
+    assert.deepStrictEqual(parallel.surprisalBits, sequential.surprisalBits);
+    assert.deepStrictEqual(parallel.durations, sequential.durations);
+    assert.strictEqual(parallel.surprisalBits[3], 5 / 2 / Math.log(2));
+
+    // The chunk with the broken word failed after its retries, and is left unscored
+    assert.strictEqual(parallel.failures.length, 1);
+    const failure = parallel.failures[0];
+    assert.deepStrictEqual([failure.chunk, failure.startItem, failure.endItem, failure.attempts], [7, 70, 80, 3]);
+    assert.match(failure.error.message, /Ollama API error: 500 - model crashed/);
+    assert.strictEqual(parallel.surprisalBits[75], 0);
+  } finally {
+    delete process.env.OLLAMA_HOST;
+    server.closeAllConnections();
+    server.close();
+  }
+});
@@ -0,0 +1,116 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Screen } = require('../lib/screen.js');
+
+/**
+ * Stand-in for process.stdout that records the bytes written
+ */
+function fakeOutput(columns = 20, rows = 5) {
+  return {
+    columns,
+    rows,
+    data: '',
+    write(chunk) {
+      this.data += chunk;
+    },
+    take() {
+      const data = this.data;
+      this.data = '';
+      return data;
+    },
+  };
+}
+
+function drawFrame(screen, draw) {
+  screen.begin();
+  draw(screen);
+  screen.flush();
+}
+
+test('enter and leave switch to and from the alternate screen', () => {
+  const output = fakeOutput();
+  const screen = new Screen(output);
+  screen.enter();
+  assert.strictEqual(output.take(), '\x1b[?1049h\x1b[?25l');
+  screen.leave();
+  assert.strictEqual(output.take(), '\x1b[0m\x1b[?25h\x1b[?1049l');
+  screen.leave();
+  assert.strictEqual(output.take(), '');
+});
+
+test('first frame clears the screen and draws its text', () => {
+  const output = fakeOutput();
+  const screen = new Screen(output);
+  drawFrame(screen, (s) => s.text(2, 3, 'hello'));
+  assert.strictEqual(output.take(), '\x1b[0m\x1b[2J\x1b[2;3Hhello');
+});
+
+test('unchanged frames write nothing', () => {
+  const output = fakeOutput();
+  const screen = new Screen(output);
+  drawFrame(screen, (s) => s.text(2, 3, 'hello'));
+  output.take();
+  drawFrame(screen, (s) => s.text(2, 3, 'hello'));
+  assert.strictEqual(output.take(), '');
+});
+
+test('a new word only rewrites the changed cells and erases the old span', () => {
+  const output = fakeOutput();
+  const screen = new Screen(output);
+  drawFrame(screen, (s) => s.text(3, 5, 'reading'));
+  output.take();
+  drawFrame(screen, (s) => s.text(3, 5, 'read'));
+  assert.strictEqual(output.take(), '\x1b[3;9H   ');
+});
+
+test('a progress bar advances by single cells', () => {
+  const output = fakeOutput();
+  const screen = new Screen(output);
+  drawFrame(screen, (s) => s.text(5, 1, '[==>      ]'));
+  output.take();
+  drawFrame(screen, (s) => s.text(5, 1, '[===>     ]'));
+  assert.strictEqual(output.take(), '\x1b[5;4H=>');
+});
+
+test('styled text is written with its style and reset after', () => {
+  const output = fakeOutput();
+  const screen = new Screen(output);
+  drawFrame(screen, (s) => s.text(1, 1, 'ab'));
+  output.take();
+  drawFrame(screen, (s) => {
+    s.text(1, 1, 'a');
+    s.text(1, 2, 'b', '\x1b[31m');
+  });
+  assert.strictEqual(output.take(), '\x1b[1;2H\x1b[0m\x1b[31mb\x1b[0m');
+});
+
+test('wide characters take two cells', () => {
+  const output = fakeOutput();
+  const screen = new Screen(output);
+  drawFrame(screen, (s) => s.text(1, 1, '日本x'));
+  output.take();
+  drawFrame(screen, (s) => s.text(1, 1, '日x'));
+  assert.strictEqual(output.take(), '\x1b[1;3Hx  ');
+});
+
+test('text is clipped at the right edge', () => {
+  const output = fakeOutput(5, 2);
+  const screen = new Screen(output);
+  drawFrame(screen, (s) => s.text(1, 3, 'abcdef'));
+  assert.strictEqual(output.take(), '\x1b[0m\x1b[2J\x1b[1;3Habc');
+});
+
+test('invalidate and resizes redraw the whole screen', () => {
+  const output = fakeOutput();
+  const screen = new Screen(output);
+  drawFrame(screen, (s) => s.text(1, 1, 'hi'));
+  output.take();
+
+  screen.invalidate();
+  drawFrame(screen, (s) => s.text(1, 1, 'hi'));
+  assert.strictEqual(output.take(), '\x1b[0m\x1b[2J\x1b[1;1Hhi');
+
+  output.columns = 30;
+  drawFrame(screen, (s) => s.text(1, 1, 'hi'));
+  assert.strictEqual(output.take(), '\x1b[0m\x1b[2J\x1b[1;1Hhi');
+});
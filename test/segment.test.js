@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { detectLanguage, isUnspacedLanguage, isCharacterLanguage, segmentWords } = require('../lib/segment.js');
+const { itemize } = require('../lib/sap.js');
+
+const CHINESE = '我今天去北京大学。他说：“你好！”';
+const JAPANESE = '私は東京に住んでいます。「こんにちは」と言った。';
+const THAI = 'ภาษาไทยไม่มีการเว้นวรรค';
+
+test('detectLanguage recognizes scripts written without spaces', () => {
+  assert.strictEqual(detectLanguage(CHINESE), 'zh');
+  assert.strictEqual(detectLanguage(JAPANESE), 'ja');
+  assert.strictEqual(detectLanguage(THAI), 'th');
+});
+
+test('detectLanguage returns null for space-separated text', () => {
+  assert.strictEqual(detectLanguage('The quick brown fox jumps over the lazy dog.'), null);
+  assert.strictEqual(detectLanguage('An English text quoting 北京 once.'), null);
+  assert.strictEqual(detectLanguage('123 456'), null);
+});
+
+test('language helpers accept regional language tags', () => {
+  assert.strictEqual(isUnspacedLanguage('zh-Hant'), true);
+  assert.strictEqual(isUnspacedLanguage('th'), true);
+  assert.strictEqual(isUnspacedLanguage('en'), false);
+  assert.strictEqual(isCharacterLanguage('ja-JP'), true);
+  assert.strictEqual(isCharacterLanguage('th'), false);
+  assert.strictEqual(isCharacterLanguage(null), false);
+});
+
+test('segmentWords splits Chinese into words with punctuation attached', () => {
+  const words = segmentWords(CHINESE, 'zh').map((w) => w.text);
+  assert.deepStrictEqual(words, ['我', '今天', '去', '北京', '大学。', '他', '说：', '“你好！”']);
+});
+
+test('segmentWords attaches opening brackets to the next word', () => {
+  const words = segmentWords(JAPANESE, 'ja').map((w) => w.text);
+  assert.ok(words.includes('「こんにちは」'));
+  assert.strictEqual(words.join(''), JAPANESE);
+});
+
+test('segmentWords splits Thai into words', () => {
+  const words = segmentWords(THAI, 'th').map((w) => w.text);
+  assert.ok(words.length > 3);
+  assert.strictEqual(words.join(''), THAI);
+});
+
+test('segmentWords keeps character offsets into the text', () => {
+  const text = 'Intro text.\n\n我用iPhone拍照，很好。  End';
+  for (const word of segmentWords(text, 'zh')) {
+    assert.strictEqual(text.slice(word.start, word.end), word.text);
+  }
+});
+
+test('segmentWords splits on whitespace only without an unspaced language', () => {
+  const words = segmentWords('hello,  world\n我今天去', null).map((w) => w.text);
+  assert.deepStrictEqual(words, ['hello,', 'world', '我今天去']);
+});
+
+test('itemize segments Chinese and detects its punctuation', () => {
+  const text = '他说：你好。\n\n我们走吧';
+  const items = itemize(text, 'zh');
+  for (const item of items) {
+    assert.strictEqual(text.slice(item.startChar, item.endChar), item.text);
+  }
+  assert.deepStrictEqual(
+    items.map((it) => [it.text, it.endsWith]),
+    [['他', 'none'], ['说：', 'comma'], ['你好。', 'para'], ['我们', 'none'], ['走', 'none'], ['吧', 'none']]
+  );
+});
@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { THEMES, detectColorDepth, parseColor, colorSequence, resolveTheme } = require('../lib/theme.js');
+
+test('detectColorDepth honors NO_COLOR', () => {
+  assert.strictEqual(detectColorDepth({ NO_COLOR: '1', COLORTERM: 'truecolor' }), 1);
+  assert.strictEqual(detectColorDepth({ NO_COLOR: '', TERM: 'xterm' }), 4);
+});
+
+test('detectColorDepth reads COLORTERM, TERM and FORCE_COLOR', () => {
+  assert.strictEqual(detectColorDepth({ COLORTERM: 'truecolor', TERM: 'xterm' }), 24);
+  assert.strictEqual(detectColorDepth({ TERM: 'xterm-256color' }), 8);
+  assert.strictEqual(detectColorDepth({ TERM: 'xterm' }), 4);
+  assert.strictEqual(detectColorDepth({ TERM: 'dumb' }), 1);
+  assert.strictEqual(detectColorDepth({ FORCE_COLOR: '3', TERM: 'dumb' }), 24);
+  assert.strictEqual(detectColorDepth({ FORCE_COLOR: '0', COLORTERM: 'truecolor' }), 1);
+});
+
+test('parseColor accepts names, 256-color indices and #rrggbb', () => {
+  assert.deepStrictEqual(parseColor('red'), { basic: 1 });
+  assert.deepStrictEqual(parseColor('brightWhite'), { basic: 15 });
+  assert.deepStrictEqual(parseColor('gray'), { basic: 8 });
+  assert.deepStrictEqual(parseColor(208), { index: 208 });
+  assert.deepStrictEqual(parseColor('208'), { index: 208 });
+  assert.deepStrictEqual(parseColor('#E69F00'), { rgb: [230, 159, 0] });
+  assert.strictEqual(parseColor('256'), null);
+  assert.strictEqual(parseColor('orange'), null);
+  assert.strictEqual(parseColor('#fff'), null);
+});
+
+test('colorSequence uses truecolor when supported', () => {
+  assert.strictEqual(colorSequence({ rgb: [230, 159, 0] }, false, 24), '\x1b[38;2;230;159;0m');
+  assert.strictEqual(colorSequence({ rgb: [0, 0, 0] }, true, 24), '\x1b[48;2;0;0;0m');
+});
+
+test('colorSequence brings colors down to the terminal depth', () => {
+  // Nearest in the 6x6x6 cube: (215, 175, 0)
+  assert.strictEqual(colorSequence({ rgb: [230, 159, 0] }, false, 8), '\x1b[38;5;178m');
+  assert.strictEqual(colorSequence({ rgb: [128, 128, 128] }, false, 8), '\x1b[38;5;244m');
+  assert.strictEqual(colorSequence({ rgb: [250, 10, 10] }, false, 4), '\x1b[91m');
+  assert.strictEqual(colorSequence({ index: 196 }, true, 4), '\x1b[101m');
+  assert.strictEqual(colorSequence({ basic: 1 }, false, 8), '\x1b[31m');
+  assert.strictEqual(colorSequence({ basic: 0 }, true, 24), '\x1b[40m');
+  assert.strictEqual(colorSequence({ basic: 1 }, false, 1), '');
+});
+
+test('resolveTheme gives the default theme', () => {
+  const theme = resolveTheme({}, 4);
+  assert.strictEqual(theme.base, '');
+  assert.strictEqual(theme.highlight, '\x1b[31m');
+  assert.strictEqual(theme.dim, '\x1b[2m');
+  assert.strictEqual(theme.correct, '\x1b[32m');
+});
+
+test('resolveTheme applies highlightColor and textColor to the default theme', () => {
+  const theme = resolveTheme({ highlightColor: 'cyan', textColor: 'white' }, 4);
+  assert.strictEqual(theme.highlight, '\x1b[36m');
+  assert.strictEqual(theme.base, '\x1b[37m');
+  assert.strictEqual(resolveTheme({ theme: 'high-contrast', highlightColor: 'cyan' }, 4).highlight, '\x1b[93m');
+});
+
+test('resolveTheme sets the foreground and background of built-in themes', () => {
+  assert.strictEqual(resolveTheme({ theme: 'high-contrast' }, 4).base, '\x1b[97m\x1b[40m');
+  assert.strictEqual(resolveTheme({ theme: 'colorblind' }, 24).highlight, '\x1b[38;2;230;159;0m');
+});
+
+test('resolveTheme accepts role overrides on a base theme', () => {
+  const theme = resolveTheme({ theme: { base: 'colorblind', highlight: 202, background: '#101010' } }, 8);
+  assert.strictEqual(theme.highlight, '\x1b[38;5;202m');
+  assert.strictEqual(theme.base, '\x1b[48;5;233m');
+  assert.strictEqual(theme.status, '\x1b[38;5;74m');
+});
+
+test('resolveTheme without colors marks the fixation letter by weight', () => {
+  const theme = resolveTheme({ theme: 'colorblind' }, 1);
+  assert.strictEqual(theme.highlight, '\x1b[1m\x1b[4m');
+  assert.strictEqual(theme.base, '');
+  assert.strictEqual(theme.status, '');
+});
+
+test('resolveTheme rejects unknown themes and invalid colors', () => {
+  assert.throws(() => resolveTheme({ theme: 'solarized' }, 4), /Unknown theme "solarized"/);
+  assert.throws(() => resolveTheme({ theme: { highlight: 'orange' } }, 4), /Invalid color "orange" for theme highlight/);
+});
+
+test('built-in themes only use valid colors', () => {
+  for (const theme of Object.values(THEMES)) {
+    for (const value of Object.values(theme)) {
+      assert.ok(value === null || parseColor(value), value);
+    }
+  }
+});
@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { splitGraphemes, graphemeWidth, stringWidth, truncateToWidth } = require('../lib/width.js');
+
+const E_ACUTE = 'e\u0301'; // e + combining acute accent
+const FAMILY = '\u{1F468}\u200D\u{1F469}\u200D\u{1F467}'; // man, woman, girl joined by ZWJ
+
+test('splitGraphemes keeps combining accents with their letter', () => {
+  assert.deepStrictEqual(splitGraphemes(`caf${E_ACUTE}`), ['c', 'a', 'f', E_ACUTE]);
+});
+
+test('splitGraphemes keeps emoji ZWJ sequences together', () => {
+  assert.deepStrictEqual(splitGraphemes(`a${FAMILY}b`), ['a', FAMILY, 'b']);
+});
+
+test('graphemeWidth counts combining sequences as one column', () => {
+  assert.strictEqual(graphemeWidth(E_ACUTE), 1);
+});
+
+test('graphemeWidth counts emoji and CJK as two columns', () => {
+  assert.strictEqual(graphemeWidth(FAMILY), 2);
+  assert.strictEqual(graphemeWidth('\u{1F600}'), 2);
+  assert.strictEqual(graphemeWidth('漢'), 2);
+  assert.strictEqual(graphemeWidth('ア'), 2);
+  assert.strictEqual(graphemeWidth('한'), 2);
+  assert.strictEqual(graphemeWidth('Ａ'), 2);
+});
+
+test('graphemeWidth counts text-style symbols and zero-width characters', () => {
+  assert.strictEqual(graphemeWidth('©'), 1);
+  assert.strictEqual(graphemeWidth('\u2764\uFE0F'), 2); // heart with emoji presentation selector
+  assert.strictEqual(graphemeWidth('\u200B'), 0); // zero-width space
+});
+
+test('stringWidth sums grapheme widths', () => {
+  assert.strictEqual(stringWidth('hello'), 5);
+  assert.strictEqual(stringWidth(`caf${E_ACUTE}`), 4);
+  assert.strictEqual(stringWidth('日本語'), 6);
+  assert.strictEqual(stringWidth(`hi ${FAMILY}`), 5);
+});
+
+test('truncateToWidth cuts on grapheme boundaries', () => {
+  assert.strictEqual(truncateToWidth('short', 10), 'short');
+  assert.strictEqual(truncateToWidth('日本語の本', 6), '日本…');
+  assert.strictEqual(truncateToWidth(`${E_ACUTE}${E_ACUTE}${E_ACUTE}`, 2), `${E_ACUTE}…`);
+});